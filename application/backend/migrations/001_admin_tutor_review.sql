@@ -0,0 +1,14 @@
+-- Admin role and tutor application review metadata
+
+ALTER TABLE users
+  MODIFY role ENUM('Student', 'Tutor', 'Admin') NOT NULL DEFAULT 'Student';
+
+ALTER TABLE tutor_profiles
+  ADD COLUMN submitted_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN reviewed_by_user_id INT NULL,
+  ADD COLUMN reviewed_at TIMESTAMP NULL,
+  ADD COLUMN review_reason TEXT NULL,
+  ADD CONSTRAINT fk_tutor_profiles_reviewer
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tutor_profiles_status ON tutor_profiles (verification_status, submitted_at);
@@ -0,0 +1,20 @@
+-- Email ownership verification for new accounts
+
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL;
+
+-- Accounts created before verification existed are treated as verified
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE email_verification_tokens (
+  token_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_email_verification_token_hash (token_hash),
+  KEY idx_email_verification_user (user_id, created_at),
+  CONSTRAINT fk_email_verification_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,16 @@
+-- Persistent express-session storage with per-device metadata
+
+CREATE TABLE user_sessions (
+  session_id VARCHAR(128) NOT NULL PRIMARY KEY,
+  user_id INT NULL,
+  data MEDIUMTEXT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME NOT NULL,
+  KEY idx_user_sessions_user (user_id),
+  KEY idx_user_sessions_expires (expires_at),
+  CONSTRAINT fk_user_sessions_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
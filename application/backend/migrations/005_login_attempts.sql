@@ -0,0 +1,16 @@
+-- Audit log of login attempts, also used for brute-force throttling
+
+CREATE TABLE login_attempts (
+  attempt_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  user_id INT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  failure_reason VARCHAR(50) NULL,
+  attempted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_login_attempts_email (email, attempted_at),
+  KEY idx_login_attempts_ip (ip_address, attempted_at),
+  CONSTRAINT fk_login_attempts_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
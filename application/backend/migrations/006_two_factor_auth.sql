@@ -0,0 +1,22 @@
+-- Optional TOTP two-factor authentication for tutors and admins
+
+CREATE TABLE user_two_factor (
+  user_id INT NOT NULL PRIMARY KEY,
+  secret_base32 VARCHAR(64) NOT NULL,
+  enabled_at DATETIME NULL,
+  last_used_step BIGINT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_user_two_factor_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE two_factor_recovery_codes (
+  code_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_recovery_codes_user (user_id),
+  CONSTRAINT fk_recovery_codes_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
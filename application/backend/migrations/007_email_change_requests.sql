@@ -0,0 +1,15 @@
+-- Pending email address changes, confirmed from a link sent to the new address
+
+CREATE TABLE email_change_requests (
+  request_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  new_email VARCHAR(255) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_email_change_token_hash (token_hash),
+  KEY idx_email_change_user (user_id, created_at),
+  CONSTRAINT fk_email_change_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
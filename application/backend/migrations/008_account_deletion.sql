@@ -0,0 +1,5 @@
+-- Account deletion: deleted accounts are anonymized in place so messages,
+-- reviews and session history that reference them stay intact
+
+ALTER TABLE users
+  ADD COLUMN deleted_at DATETIME NULL;
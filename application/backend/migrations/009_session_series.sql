@@ -0,0 +1,26 @@
+-- Recurring session series: each occurrence is a normal sessions row linked to its series
+
+CREATE TABLE session_series (
+  series_id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  weekdays VARCHAR(20) NOT NULL,      -- comma-separated, 0 = Sunday ... 6 = Saturday
+  until_date DATE NOT NULL,
+  excluded_dates TEXT NULL,           -- JSON array of YYYY-MM-DD dates to skip
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_session_series_tutor (tutor_id),
+  CONSTRAINT fk_session_series_tutor
+    FOREIGN KEY (tutor_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+ALTER TABLE sessions
+  ADD COLUMN series_id INT NULL,
+  ADD KEY idx_sessions_series (series_id, start_time),
+  ADD CONSTRAINT fk_sessions_series
+    FOREIGN KEY (series_id) REFERENCES session_series(series_id) ON DELETE SET NULL;
+
+-- A join request with series_id set asks to join every upcoming occurrence
+ALTER TABLE session_join_requests
+  ADD COLUMN series_id INT NULL,
+  ADD KEY idx_join_requests_series (series_id, requester_user_id),
+  ADD CONSTRAINT fk_join_requests_series
+    FOREIGN KEY (series_id) REFERENCES session_series(series_id) ON DELETE SET NULL;
@@ -0,0 +1,14 @@
+-- FIFO waitlist for full sessions; rows are removed once a student is promoted or leaves
+
+CREATE TABLE session_waitlist (
+  waitlist_id INT AUTO_INCREMENT PRIMARY KEY,   -- increasing id gives the queue order
+  session_id INT NOT NULL,
+  user_id INT NOT NULL,
+  joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_session_waitlist_user (session_id, user_id),
+  KEY idx_session_waitlist_user (user_id),
+  CONSTRAINT fk_session_waitlist_session
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+  CONSTRAINT fk_session_waitlist_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,11 @@
+-- Attendance check-in: tutors show a rotating code/QR during the session,
+-- enrolled students enter it, and tutors can mark attendance by hand afterwards
+
+ALTER TABLE sessions
+  ADD COLUMN checkin_secret VARCHAR(64) NULL;   -- base32 TOTP secret, created the first time the code is shown
+
+ALTER TABLE session_attendees
+  ADD COLUMN attendance_status ENUM('present', 'absent') NULL,   -- NULL until checked in or marked
+  ADD COLUMN checked_in_at DATETIME NULL,
+  ADD COLUMN attendance_marked_at DATETIME NULL,
+  ADD KEY idx_session_attendees_attendance (user_id, attendance_status);
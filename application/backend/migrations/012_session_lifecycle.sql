@@ -0,0 +1,11 @@
+-- Statuses the lifecycle job moves sessions through:
+--   scheduled -> active (start_time reached) -> over (end_time reached)
+-- cancelled is only ever set by people (tutor or account deletion), never by the job.
+
+ALTER TABLE sessions
+  MODIFY COLUMN status ENUM('scheduled', 'active', 'over', 'cancelled') NOT NULL DEFAULT 'scheduled',
+  ADD KEY idx_sessions_status_times (status, start_time, end_time);
+
+-- Pending requests on a session that has already started expire
+ALTER TABLE session_join_requests
+  MODIFY COLUMN status ENUM('pending', 'accepted', 'denied', 'expired') NOT NULL DEFAULT 'pending';
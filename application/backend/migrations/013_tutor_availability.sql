@@ -0,0 +1,39 @@
+-- Tutor availability: weekly windows students can book one-on-one slots from
+
+CREATE TABLE tutor_availability (
+  tutor_id INT PRIMARY KEY,
+  slot_minutes SMALLINT NOT NULL DEFAULT 60,
+  buffer_minutes SMALLINT NOT NULL DEFAULT 0,   -- gap kept free before and after every session
+  auto_confirm TINYINT(1) NOT NULL DEFAULT 0,   -- 1 = bookings are accepted without a join request
+  location_details VARCHAR(255) NULL,           -- used as the location of booked sessions
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_tutor_availability_tutor
+    FOREIGN KEY (tutor_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE tutor_availability_windows (
+  window_id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  weekday TINYINT NOT NULL,           -- 0 = Sunday ... 6 = Saturday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  KEY idx_availability_windows_tutor (tutor_id, weekday),
+  CONSTRAINT fk_availability_windows_tutor
+    FOREIGN KEY (tutor_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE tutor_blackout_dates (
+  blackout_id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  blackout_date DATE NOT NULL,
+  UNIQUE KEY uq_blackout_dates_tutor_date (tutor_id, blackout_date),
+  CONSTRAINT fk_blackout_dates_tutor
+    FOREIGN KEY (tutor_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Sessions created by a student booking a slot; the slot stays taken while the request is pending
+ALTER TABLE sessions
+  ADD COLUMN booked_by_user_id INT NULL,
+  ADD KEY idx_sessions_booked_by (booked_by_user_id),
+  ADD CONSTRAINT fk_sessions_booked_by
+    FOREIGN KEY (booked_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL;
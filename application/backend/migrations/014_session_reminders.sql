@@ -0,0 +1,23 @@
+-- Session reminders: inbox (and optionally email) reminders at set offsets before start_time
+
+ALTER TABLE users
+  ADD COLUMN session_reminders_enabled TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN reminder_emails_enabled TINYINT(1) NOT NULL DEFAULT 1;
+
+-- One row per reminder sent. start_time is the start the reminder was for, so a
+-- rescheduled session gets fresh reminders while a restart never repeats one.
+CREATE TABLE session_reminders (
+  reminder_id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  user_id INT NOT NULL,
+  offset_minutes INT NOT NULL,
+  start_time DATETIME NOT NULL,
+  emailed TINYINT(1) NOT NULL DEFAULT 0,
+  sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_session_reminders (session_id, user_id, offset_minutes, start_time),
+  KEY idx_session_reminders_user (user_id),
+  CONSTRAINT fk_session_reminders_session
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+  CONSTRAINT fk_session_reminders_user
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- Cancelled sessions are kept (status = 'cancelled') instead of deleted, so
+-- enrollments, attendance and reviews that point at them keep their context
+
+ALTER TABLE sessions
+  ADD COLUMN cancelled_at DATETIME NULL,
+  ADD COLUMN cancellation_reason VARCHAR(500) NULL,
+  ADD KEY idx_sessions_tutor_status (tutor_id, status, start_time);
+
+-- Sessions deleted before this migration are gone; nothing to backfill
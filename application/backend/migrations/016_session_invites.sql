@@ -0,0 +1,30 @@
+-- Invite-only sessions: hidden from search and tutor profiles, joinable only
+-- with an invite code the tutor shares (as a code or a session link)
+
+ALTER TABLE sessions
+  ADD COLUMN visibility ENUM('public', 'invite_only') NOT NULL DEFAULT 'public';
+
+CREATE TABLE session_invites (
+  invite_id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  code VARCHAR(16) NOT NULL,
+  created_by INT NOT NULL,
+  skip_approval TINYINT(1) NOT NULL DEFAULT 0,   -- 1 = redeeming enrolls without a join request
+  max_uses INT NULL,                             -- NULL = unlimited
+  use_count INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NULL,                      -- NULL = valid until the session starts
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_session_invites_code (code),
+  KEY idx_session_invites_session (session_id),
+  CONSTRAINT fk_session_invites_session
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE CASCADE,
+  CONSTRAINT fk_session_invites_created_by
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Which invite a join request or enrollment came through
+ALTER TABLE session_join_requests
+  ADD COLUMN invite_id INT NULL,
+  ADD CONSTRAINT fk_session_join_requests_invite
+    FOREIGN KEY (invite_id) REFERENCES session_invites(invite_id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Post-session reviews: students review the tutor of a completed session they
+-- attended, once per session. tutor_ratings is recalculated from reviews on every write.
+
+ALTER TABLE reviews
+  ADD COLUMN session_id INT NULL,                -- NULL for reviews written before this migration
+  ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD UNIQUE KEY uq_reviews_session_student (session_id, student_id),
+  ADD KEY idx_reviews_tutor_created (tutor_id, created_at),
+  ADD CONSTRAINT fk_reviews_session
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id) ON DELETE SET NULL;
+
+-- Bring tutor_ratings in line with the reviews that already exist
+INSERT INTO tutor_ratings (tutor_user_id, rating_avg, rating_count)
+SELECT tutor_id, ROUND(AVG(rating), 2), COUNT(*)
+FROM reviews
+GROUP BY tutor_id
+ON DUPLICATE KEY UPDATE
+  rating_avg = VALUES(rating_avg),
+  rating_count = VALUES(rating_count);
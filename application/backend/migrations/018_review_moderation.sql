@@ -0,0 +1,44 @@
+-- Review moderation: public tutor replies, reports from users, and admin hiding
+-- with an audit trail. Hidden reviews stay in the table but are left out of
+-- tutor profiles and of tutor_ratings.
+
+ALTER TABLE reviews
+  ADD COLUMN tutor_reply TEXT NULL,
+  ADD COLUMN tutor_replied_at DATETIME NULL,
+  ADD COLUMN hidden_at DATETIME NULL,
+  ADD COLUMN hidden_by_user_id INT NULL,
+  ADD CONSTRAINT fk_reviews_hidden_by
+    FOREIGN KEY (hidden_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- One report per user per review; the admin's decision closes every open report on the review
+CREATE TABLE review_reports (
+  report_id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  reporter_user_id INT NOT NULL,
+  reason ENUM('spam', 'harassment', 'inappropriate', 'false_information', 'other') NOT NULL,
+  details VARCHAR(500) NULL,
+  status ENUM('open', 'actioned', 'dismissed') NOT NULL DEFAULT 'open',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME NULL,
+  UNIQUE KEY uq_review_reports_reporter (review_id, reporter_user_id),
+  KEY idx_review_reports_status (status, created_at),
+  CONSTRAINT fk_review_reports_review
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+  CONSTRAINT fk_review_reports_reporter
+    FOREIGN KEY (reporter_user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Every moderation decision, with the admin's note
+CREATE TABLE review_moderation_log (
+  log_id INT AUTO_INCREMENT PRIMARY KEY,
+  review_id INT NOT NULL,
+  admin_user_id INT NULL,
+  action ENUM('hide', 'restore', 'dismiss') NOT NULL,
+  note VARCHAR(1000) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_review_moderation_log_review (review_id, created_at),
+  CONSTRAINT fk_review_moderation_log_review
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+  CONSTRAINT fk_review_moderation_log_admin
+    FOREIGN KEY (admin_user_id) REFERENCES users(user_id) ON DELETE SET NULL
+);
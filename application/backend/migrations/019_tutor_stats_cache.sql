@@ -0,0 +1,11 @@
+-- Cached tutor profile statistics (rating breakdown, sessions taught, hours, attendance).
+-- Rows are deleted whenever the underlying reviews, sessions or attendance change and
+-- rebuilt on the next read; computed_at bounds how stale a row can get otherwise.
+
+CREATE TABLE tutor_stats_cache (
+  tutor_user_id INT PRIMARY KEY,
+  stats TEXT NOT NULL,                 -- JSON object, see utils/tutorStats.js
+  computed_at DATETIME NOT NULL,
+  CONSTRAINT fk_tutor_stats_cache_tutor
+    FOREIGN KEY (tutor_user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
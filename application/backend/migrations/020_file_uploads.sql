@@ -0,0 +1,18 @@
+-- Uploaded files: who owns each one, what it's for and where its bytes live.
+-- files.url stays the public-facing address (/api/files/:id), which checks access
+-- before serving the file from its storage backend.
+
+ALTER TABLE files
+  ADD COLUMN owner_user_id INT NULL,
+  ADD COLUMN purpose ENUM('avatar', 'resume') NOT NULL DEFAULT 'avatar',
+  ADD COLUMN storage_backend VARCHAR(20) NOT NULL DEFAULT 'local',
+  ADD COLUMN storage_key VARCHAR(255) NULL,
+  ADD COLUMN thumbnail_key VARCHAR(255) NULL,      -- resized copy, images only
+  ADD COLUMN original_name VARCHAR(255) NULL,
+  ADD COLUMN mime_type VARCHAR(100) NULL,
+  ADD COLUMN size_bytes INT NULL,
+  ADD COLUMN uploaded_at DATETIME NULL,
+  ADD COLUMN deleted_at DATETIME NULL,             -- replaced or removed; bytes are deleted from storage
+  ADD KEY idx_files_owner (owner_user_id, purpose),
+  ADD CONSTRAINT fk_files_owner
+    FOREIGN KEY (owner_user_id) REFERENCES users(user_id) ON DELETE SET NULL;
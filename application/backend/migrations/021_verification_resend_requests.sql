@@ -0,0 +1,11 @@
+-- Every accepted verification resend request, whether or not the address has an
+-- account, so throttling can't be used to find out which addresses are registered
+
+CREATE TABLE verification_resend_requests (
+  request_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(45) NULL,
+  requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_verification_resend_email (email, requested_at),
+  KEY idx_verification_resend_ip (ip_address, requested_at)
+);
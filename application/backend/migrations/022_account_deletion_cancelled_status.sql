@@ -0,0 +1,5 @@
+-- Account deletion marks upcoming sessions hosted by the deleted account as
+-- cancelled. 012 adds the same status; this makes sure it exists either way.
+
+ALTER TABLE sessions
+  MODIFY COLUMN status ENUM('scheduled', 'active', 'over', 'cancelled') NOT NULL DEFAULT 'scheduled';
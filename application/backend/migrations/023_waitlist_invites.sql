@@ -0,0 +1,7 @@
+-- The invite a student used to join an invite-only session's waitlist; a use is
+-- only counted when they're promoted
+
+ALTER TABLE session_waitlist
+  ADD COLUMN invite_id INT NULL,
+  ADD CONSTRAINT fk_session_waitlist_invite
+    FOREIGN KEY (invite_id) REFERENCES session_invites(invite_id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+-- Invalidating a tutor's cached stats now clears the row and bumps version instead
+-- of deleting it. A rebuild is only saved if version hasn't moved since it started,
+-- so stats computed before a change can't overwrite the invalidation.
+
+ALTER TABLE tutor_stats_cache
+  MODIFY COLUMN stats TEXT NULL,       -- NULL once invalidated
+  MODIFY COLUMN computed_at DATETIME NULL,
+  ADD COLUMN version INT NOT NULL DEFAULT 0;
@@ -0,0 +1,17 @@
+-- Who cancelled a session, so a tutor's cancellation rate only counts their own
+-- cancellations. NULL for bookings that were never confirmed (declined or expired).
+
+ALTER TABLE sessions
+  ADD COLUMN cancelled_by_user_id INT NULL,
+  ADD CONSTRAINT fk_sessions_cancelled_by
+    FOREIGN KEY (cancelled_by_user_id) REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- Sessions cancelled before this migration: work it out from the reasons the app sets
+UPDATE sessions
+SET cancelled_by_user_id = CASE cancellation_reason
+  WHEN 'The student cancelled their booking' THEN booked_by_user_id
+  WHEN 'The booking was not confirmed before the session started' THEN NULL
+  WHEN 'The tutor did not accept the booking' THEN NULL
+  ELSE tutor_id
+END
+WHERE status = 'cancelled';
@@ -4,6 +4,10 @@ const express = require('express');
 const cors = require('cors');
 const session = require('express-session');
 const { testConnection } = require('./src/config/db');
+const { getAppBaseUrl } = require('./src/utils/mailer');
+const { MySQLSessionStore } = require('./src/config/sessionStore');
+const { startSessionLifecycleJob } = require('./src/jobs/sessionLifecycle');
+const { startSessionReminderJob } = require('./src/jobs/sessionReminders');
 
 const app = express();
 
@@ -14,8 +18,14 @@ app.use(cors({
 
 app.use(express.json());
 
-// Session configuration
+// Behind a reverse proxy in production - trust it so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Session configuration (persisted in MySQL so restarts and multiple processes share sessions)
 app.use(session({
+  store: new MySQLSessionStore(),
   secret: process.env.SESSION_SECRET || 'edugator-secret-key-change-in-production',
   resave: false,
   saveUninitialized: false,
@@ -39,4 +49,17 @@ app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   await testConnection();
+
+  // Reset, verification and check-in links can't be built without it
+  try {
+    console.log(`App base URL: ${getAppBaseUrl()}`);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+  }
+
+  // Advance session statuses and expire stale join requests in the background
+  startSessionLifecycleJob();
+
+  // Remind attendees and tutors of upcoming sessions
+  startSessionReminderJob();
 });
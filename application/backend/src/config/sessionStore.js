@@ -0,0 +1,110 @@
+const session = require('express-session');
+const { pool } = require('./db');
+
+// Remove expired rows every 15 minutes
+const CLEANUP_INTERVAL_MS = 1000 * 60 * 15;
+
+// Fallback lifetime for sessions without a cookie expiry
+const DEFAULT_TTL_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Format a Date as a MySQL DATETIME string in UTC (pool uses timezone 'Z')
+ */
+const toMySQLDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const getExpiry = (sess) => {
+  const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires) : null;
+  return expires && !isNaN(expires.getTime()) ? expires : new Date(Date.now() + DEFAULT_TTL_MS);
+};
+
+/**
+ * express-session store backed by the user_sessions table
+ * Keeps user_id, user agent and IP in their own columns so a user's
+ * logged-in devices can be listed and revoked.
+ */
+class MySQLSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.cleanupTimer = setInterval(() => {
+      this.clearExpired().catch((error) => {
+        console.error('Error clearing expired sessions:', error.message);
+      });
+    }, CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  get(sid, callback) {
+    pool.query(
+      'SELECT data FROM user_sessions WHERE session_id = ? AND expires_at > UTC_TIMESTAMP()',
+      [sid]
+    )
+      .then(([rows]) => callback(null, rows.length > 0 ? JSON.parse(rows[0].data) : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    const now = toMySQLDateTime(new Date());
+
+    pool.query(
+      `INSERT INTO user_sessions (session_id, user_id, data, expires_at, user_agent, ip_address, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         user_id = VALUES(user_id),
+         data = VALUES(data),
+         expires_at = VALUES(expires_at),
+         user_agent = VALUES(user_agent),
+         ip_address = VALUES(ip_address),
+         last_seen_at = VALUES(last_seen_at)`,
+      [
+        sid,
+        sess.userId || null,
+        JSON.stringify(sess),
+        toMySQLDateTime(getExpiry(sess)),
+        sess.userAgent ? String(sess.userAgent).slice(0, 255) : null,
+        sess.ipAddress || null,
+        now
+      ]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    pool.query(
+      'UPDATE user_sessions SET expires_at = ?, last_seen_at = ? WHERE session_id = ?',
+      [toMySQLDateTime(getExpiry(sess)), toMySQLDateTime(new Date()), sid]
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  destroy(sid, callback) {
+    pool.query('DELETE FROM user_sessions WHERE session_id = ?', [sid])
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+
+  clearExpired() {
+    return pool.query('DELETE FROM user_sessions WHERE expires_at <= UTC_TIMESTAMP()');
+  }
+}
+
+/**
+ * Revoke every session belonging to a user, optionally keeping one (the caller's own)
+ * Returns the number of sessions removed
+ */
+const destroyUserSessions = async (userId, exceptSessionId = null) => {
+  const [result] = exceptSessionId
+    ? await pool.query(
+      'DELETE FROM user_sessions WHERE user_id = ? AND session_id != ?',
+      [userId, exceptSessionId]
+    )
+    : await pool.query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+
+  return result.affectedRows;
+};
+
+module.exports = {
+  MySQLSessionStore,
+  destroyUserSessions
+};
@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { pool } = require('../config/db');
+const { destroyUserSessions } = require('../config/sessionStore');
+const { sendInboxMessage } = require('../utils/inbox');
+const { formatSessionDetails, notifySessionCancelled } = require('../utils/sessionNotifications');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../utils/twoFactor');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { removeStoredFile } = require('../utils/uploads');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+
+/**
+ * Export everything we store about the logged-in user as a JSON download
+ * Includes profile, courses, session enrollments, join requests, messages and reviews
+ */
+const exportAccountData = async (req, res) => {
+  const userId = req.session?.userId;
+
+  try {
+    const [users] = await pool.query(
+      `SELECT user_id, email, first_name, last_name, role, created_at, email_verified_at,
+              session_reminders_enabled, reminder_emails_enabled
+       FROM users WHERE user_id = ?`,
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [studentProfile] = await pool.query(
+      `SELECT major, academic_level, gpa, expected_graduation_date, bio
+       FROM student_profiles WHERE user_id = ?`,
+      [userId]
+    );
+
+    const [tutorProfile] = await pool.query(
+      `SELECT years_experience, hourly_rate, description, bio, verification_status,
+              submitted_at, reviewed_at, review_reason
+       FROM tutor_profiles WHERE user_id = ?`,
+      [userId]
+    );
+
+    const [studentCourses] = await pool.query(
+      `SELECT
+        CONCAT(d.code, ' ', c.course_number) AS course,
+        c.course_title,
+        sc.status,
+        sc.term_label,
+        sc.instructor_name,
+        sc.schedule_text,
+        sc.added_at
+      FROM student_courses sc
+      JOIN courses c ON sc.course_id = c.course_id
+      JOIN departments d ON c.department_id = d.department_id
+      WHERE sc.student_user_id = ?
+      ORDER BY sc.added_at`,
+      [userId]
+    );
+
+    const [enrollments] = await pool.query(
+      `SELECT
+        s.session_id,
+        s.title,
+        s.start_time,
+        s.end_time,
+        s.location_details,
+        s.status,
+        CONCAT(u.first_name, ' ', u.last_name) AS tutor_name,
+        sa.enrolled_at,
+        sa.attendance_status,
+        sa.checked_in_at
+      FROM session_attendees sa
+      JOIN sessions s ON sa.session_id = s.session_id
+      JOIN users u ON s.tutor_id = u.user_id
+      WHERE sa.user_id = ?
+      ORDER BY s.start_time`,
+      [userId]
+    );
+
+    const [joinRequests] = await pool.query(
+      `SELECT
+        sjr.request_id,
+        sjr.session_id,
+        s.title AS session_title,
+        sjr.status,
+        sjr.created_at,
+        sjr.responded_at
+      FROM session_join_requests sjr
+      LEFT JOIN sessions s ON sjr.session_id = s.session_id
+      WHERE sjr.requester_user_id = ?
+      ORDER BY sjr.created_at`,
+      [userId]
+    );
+
+    const [waitlist] = await pool.query(
+      `SELECT w.session_id, s.title AS session_title, s.start_time, w.joined_at
+       FROM session_waitlist w
+       JOIN sessions s ON w.session_id = s.session_id
+       WHERE w.user_id = ?
+       ORDER BY w.joined_at`,
+      [userId]
+    );
+
+    const [hostedSessions] = await pool.query(
+      `SELECT session_id, title, session_type, start_time, end_time, capacity, location_details, status,
+              cancelled_at, cancellation_reason
+       FROM sessions WHERE tutor_id = ?
+       ORDER BY start_time`,
+      [userId]
+    );
+
+    const [messages] = await pool.query(
+      `SELECT
+        m.message_id,
+        um.folder,
+        CONCAT(su.first_name, ' ', su.last_name) AS sender_name,
+        CONCAT(ru.first_name, ' ', ru.last_name) AS receiver_name,
+        m.subject,
+        m.message_type,
+        m.message_content,
+        m.time_sent,
+        um.is_read
+      FROM user_messages um
+      JOIN messages m ON um.message_id = m.message_id
+      LEFT JOIN users su ON m.sender_id = su.user_id
+      LEFT JOIN users ru ON m.receiver_id = ru.user_id
+      WHERE um.user_id = ?
+      ORDER BY m.time_sent`,
+      [userId]
+    );
+
+    const [reviewsWritten] = await pool.query(
+      `SELECT
+        CONCAT(tu.first_name, ' ', tu.last_name) AS tutor_name,
+        r.rating,
+        r.comment,
+        r.created_at
+      FROM reviews r
+      LEFT JOIN users tu ON r.tutor_id = tu.user_id
+      WHERE r.student_id = ?
+      ORDER BY r.created_at`,
+      [userId]
+    );
+
+    const [reviewsReceived] = await pool.query(
+      `SELECT
+        CONCAT(su.first_name, ' ', su.last_name) AS student_name,
+        r.rating,
+        r.comment,
+        r.created_at
+      FROM reviews r
+      LEFT JOIN users su ON r.student_id = su.user_id
+      WHERE r.tutor_id = ?
+      ORDER BY r.created_at`,
+      [userId]
+    );
+
+    const user = users[0];
+    const exportData = {
+      exportedAt: new Date().toISOString(),
+      account: user,
+      studentProfile: studentProfile[0] || null,
+      tutorProfile: tutorProfile[0] || null,
+      studentCourses,
+      enrollments,
+      joinRequests,
+      waitlist,
+      hostedSessions,
+      messages,
+      reviews: {
+        written: reviewsWritten,
+        received: reviewsReceived
+      }
+    };
+
+    res.set('Content-Disposition', `attachment; filename="edugator-data-${user.user_id}.json"`);
+    return res.status(200).json(exportData);
+
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export account data'
+    });
+  }
+};
+
+/**
+ * Get the logged-in user's notification preferences
+ */
+const getNotificationSettings = async (req, res) => {
+  const userId = req.session?.userId;
+
+  try {
+    const [users] = await pool.query(
+      'SELECT session_reminders_enabled, reminder_emails_enabled FROM users WHERE user_id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sessionReminders: users[0].session_reminders_enabled === 1,
+        reminderEmails: users[0].reminder_emails_enabled === 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification settings'
+    });
+  }
+};
+
+/**
+ * Update the logged-in user's notification preferences
+ * Body: { sessionReminders?: boolean, reminderEmails?: boolean }
+ */
+const updateNotificationSettings = async (req, res) => {
+  const userId = req.session?.userId;
+  const { sessionReminders, reminderEmails } = req.body || {};
+
+  const updates = [];
+  const params = [];
+
+  if (typeof sessionReminders === 'boolean') {
+    updates.push('session_reminders_enabled = ?');
+    params.push(sessionReminders ? 1 : 0);
+  }
+
+  if (typeof reminderEmails === 'boolean') {
+    updates.push('reminder_emails_enabled = ?');
+    params.push(reminderEmails ? 1 : 0);
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide sessionReminders and/or reminderEmails as true or false'
+    });
+  }
+
+  try {
+    await pool.query(`UPDATE users SET ${updates.join(', ')} WHERE user_id = ?`, [...params, userId]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notification settings saved'
+    });
+
+  } catch (error) {
+    console.error('Error updating notification settings:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save notification settings'
+    });
+  }
+};
+
+/**
+ * Delete the logged-in user's account
+ * Requires the account password (and a 2FA code when 2FA is enabled).
+ *
+ * Everything runs in one transaction:
+ * - Upcoming sessions the user hosts are cancelled and their students notified
+ * - The user is withdrawn from upcoming sessions and pending join requests; tutors are notified
+ * - Profiles, courses, tokens and the user's own mailbox copies are removed
+ * - Uploaded files are marked deleted and removed from storage after commit
+ * - The users row is anonymized in place ("Deleted User"), so messages and reviews
+ *   they wrote stay with their recipients but no longer identify them
+ * All login sessions are revoked afterwards.
+ */
+const deleteAccount = async (req, res) => {
+  const userId = req.session?.userId;
+  const { password, code, recoveryCode } = req.body || {};
+
+  if (!password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is required to delete your account'
+    });
+  }
+
+  let connection;
+
+  try {
+    const [users] = await pool.query(
+      'SELECT user_id, password_hash FROM users WHERE user_id = ? AND deleted_at IS NULL',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, users[0].password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (await isTwoFactorEnabled(userId)) {
+      if (!(await verifySecondFactor(userId, { code, recoveryCode }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid authentication or recovery code is required'
+        });
+      }
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // 1. Cancel upcoming sessions this user hosts and notify their students
+    const [hostedSessions] = await connection.query(
+      `SELECT session_id, title, start_time, location_details
+       FROM sessions
+       WHERE tutor_id = ? AND status IN ('scheduled', 'active') AND start_time > NOW()
+       FOR UPDATE`,
+      [userId]
+    );
+
+    let notifiedCount = 0;
+    for (const session of hostedSessions) {
+      notifiedCount += await notifySessionCancelled({
+        session,
+        senderId: userId,
+        cancelledBy: 'because the tutor has closed their EduGator account'
+      }, connection);
+
+      await connection.query(
+        `UPDATE sessions
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'The tutor closed their account',
+             cancelled_by_user_id = ?
+         WHERE session_id = ?`,
+        [userId, session.session_id]
+      );
+    }
+
+    // notifySessionCancelled told waitlisted students they were removed
+    if (hostedSessions.length > 0) {
+      await connection.query(
+        'DELETE FROM session_waitlist WHERE session_id IN (?)',
+        [hostedSessions.map(s => s.session_id)]
+      );
+      await invalidateTutorStats(userId, connection);
+    }
+
+    // 2. Withdraw from upcoming sessions, pass each seat to the waitlist and let the tutor know
+    await connection.query('DELETE FROM session_waitlist WHERE user_id = ?', [userId]);
+
+    const [enrollments] = await connection.query(
+      `SELECT s.session_id, s.title, s.start_time, s.location_details, s.tutor_id
+       FROM session_attendees sa
+       JOIN sessions s ON sa.session_id = s.session_id
+       WHERE sa.user_id = ? AND s.status IN ('scheduled', 'active') AND s.start_time > NOW()`,
+      [userId]
+    );
+
+    for (const session of enrollments) {
+      await connection.query(
+        'DELETE FROM session_attendees WHERE session_id = ? AND user_id = ?',
+        [session.session_id, userId]
+      );
+
+      const promoted = await promoteFromWaitlist(session.session_id, connection);
+
+      let content = `A student enrolled in your session "${session.title}" has closed their EduGator account and has been removed from the session.\n\n`;
+      content += formatSessionDetails(session);
+      content += promoted.length > 0
+        ? `Their spot has been given to the next student on the waitlist.`
+        : `A spot is now available in this session.`;
+
+      await sendInboxMessage({
+        senderId: userId,
+        receiverId: session.tutor_id,
+        subject: `Student Unenrolled: ${session.title}`,
+        content
+      }, connection);
+      notifiedCount += 1;
+    }
+
+    // Accepted requests stay as the record of past enrollments
+    await connection.query(
+      `UPDATE session_join_requests SET status = 'denied', responded_at = CURRENT_TIMESTAMP
+       WHERE requester_user_id = ? AND status = 'pending'`,
+      [userId]
+    );
+
+    // 3. Remove personal data
+    await connection.query('DELETE FROM student_courses WHERE student_user_id = ?', [userId]);
+    await connection.query('DELETE FROM student_profiles WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM tutor_courses WHERE tutor_user_id = ?', [userId]);
+    await connection.query('DELETE FROM tutor_subjects WHERE tutor_user_id = ?', [userId]);
+    await connection.query('DELETE FROM tutor_ratings WHERE tutor_user_id = ?', [userId]);
+    await connection.query('DELETE FROM tutor_profiles WHERE user_id = ?', [userId]);
+
+    // The user's own inbox/sent copies go; recipients keep theirs
+    await connection.query('DELETE FROM user_messages WHERE user_id = ?', [userId]);
+
+    await connection.query('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM email_verification_tokens WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM email_change_requests WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM login_attempts WHERE user_id = ?', [userId]);
+
+    const [uploadedFiles] = await connection.query(
+      `SELECT file_id, storage_backend, storage_key, thumbnail_key
+       FROM files WHERE owner_user_id = ? AND deleted_at IS NULL AND storage_key IS NOT NULL`,
+      [userId]
+    );
+    await connection.query(
+      'UPDATE files SET deleted_at = NOW() WHERE owner_user_id = ? AND deleted_at IS NULL',
+      [userId]
+    );
+
+    // 4. Anonymize the account - messages and reviews now show "Deleted User"
+    const unusablePasswordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    await connection.query(
+      `UPDATE users
+       SET email = ?, first_name = 'Deleted', last_name = 'User', password_hash = ?,
+           profile_file_id = NULL, email_verified_at = NULL, deleted_at = CURRENT_TIMESTAMP
+       WHERE user_id = ?`,
+      [`deleted-user-${userId}@deleted.invalid`, unusablePasswordHash, userId]
+    );
+
+    await connection.commit();
+
+    for (const file of uploadedFiles) {
+      await removeStoredFile(file);
+    }
+
+    // 5. Sign out everywhere
+    await destroyUserSessions(userId);
+
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+
+      let message = 'Your account has been deleted';
+      if (notifiedCount > 0) {
+        message += `. ${notifiedCount} affected user${notifiedCount !== 1 ? 's have' : ' has'} been notified.`;
+      }
+
+      return res.status(200).json({
+        success: true,
+        message
+      });
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error deleting account:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete account. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  getNotificationSettings,
+  updateNotificationSettings,
+  deleteAccount
+};
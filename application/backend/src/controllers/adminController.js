@@ -0,0 +1,534 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const { MAX_MODERATION_NOTE_LENGTH, refreshTutorRating } = require('../utils/reviews');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+
+const APPLICATION_STATUSES = ['pending', 'verified', 'rejected'];
+const REPORT_QUEUE_STATUSES = ['open', 'resolved'];
+
+/**
+ * List tutor applications
+ * Supports ?status=pending|verified|rejected (default pending) and ?q= name/email search
+ */
+const getTutorApplications = async (req, res) => {
+  try {
+    const status = (req.query.status || 'pending').trim();
+    const q = (req.query.q || '').trim();
+
+    if (status !== 'all' && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be "pending", "verified", "rejected" or "all"'
+      });
+    }
+
+    let query = `
+      SELECT
+        tp.user_id,
+        CONCAT(u.first_name, ' ', u.last_name) AS applicant_name,
+        u.email,
+        u.role,
+        tp.years_experience,
+        tp.hourly_rate,
+        tp.description,
+        tp.bio,
+        tp.verification_status,
+        tp.submitted_at,
+        tp.reviewed_at,
+        tp.review_reason,
+        CONCAT(r.first_name, ' ', r.last_name) AS reviewed_by,
+        rf.url AS resume_url,
+        rf.original_name AS resume_name
+      FROM tutor_profiles tp
+      INNER JOIN users u ON tp.user_id = u.user_id
+      LEFT JOIN users r ON tp.reviewed_by_user_id = r.user_id
+      LEFT JOIN files rf ON rf.file_id = tp.resume_file_id AND rf.deleted_at IS NULL
+      WHERE 1 = 1
+    `;
+
+    const params = [];
+
+    if (status !== 'all') {
+      query += ' AND tp.verification_status = ?';
+      params.push(status);
+    }
+
+    if (q) {
+      query += ` AND (
+        CONCAT(u.first_name, ' ', u.last_name) LIKE ? OR
+        u.email LIKE ?
+      )`;
+      params.push(`%${q}%`, `%${q}%`);
+    }
+
+    query += ' ORDER BY tp.submitted_at ASC';
+
+    const [applications] = await pool.query(query, params);
+
+    return res.status(200).json({
+      success: true,
+      count: applications.length,
+      data: applications
+    });
+
+  } catch (error) {
+    console.error('Error fetching tutor applications:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tutor applications'
+    });
+  }
+};
+
+/**
+ * Get a single tutor application by applicant user ID
+ */
+const getTutorApplication = async (req, res) => {
+  const applicantId = parseInt(req.params.userId, 10);
+
+  if (isNaN(applicantId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid applicant ID'
+    });
+  }
+
+  try {
+    const [applications] = await pool.query(
+      `SELECT
+        tp.user_id,
+        CONCAT(u.first_name, ' ', u.last_name) AS applicant_name,
+        u.email,
+        u.role,
+        u.created_at AS member_since,
+        tp.years_experience,
+        tp.hourly_rate,
+        tp.description,
+        tp.bio,
+        tp.verification_status,
+        tp.submitted_at,
+        tp.reviewed_at,
+        tp.review_reason,
+        CONCAT(r.first_name, ' ', r.last_name) AS reviewed_by,
+        rf.url AS resume_url,
+        rf.original_name AS resume_name
+      FROM tutor_profiles tp
+      INNER JOIN users u ON tp.user_id = u.user_id
+      LEFT JOIN users r ON tp.reviewed_by_user_id = r.user_id
+      LEFT JOIN files rf ON rf.file_id = tp.resume_file_id AND rf.deleted_at IS NULL
+      WHERE tp.user_id = ?`,
+      [applicantId]
+    );
+
+    if (applications.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: applications[0]
+    });
+
+  } catch (error) {
+    console.error('Error fetching tutor application:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tutor application'
+    });
+  }
+};
+
+/**
+ * Record a decision on a pending application inside a single transaction
+ * - Updates tutor_profiles verification status and review metadata
+ * - Promotes the applicant to Tutor when approved
+ * - Sends the applicant an inbox message with the outcome
+ */
+const decideTutorApplication = async (req, res, decision) => {
+  const adminId = req.session.userId;
+  const applicantId = parseInt(req.params.userId, 10);
+  const reason = (req.body?.reason || '').trim();
+
+  if (isNaN(applicantId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid applicant ID'
+    });
+  }
+
+  if (decision === 'rejected' && !reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required when rejecting an application'
+    });
+  }
+
+  if (reason.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reason must be 1000 characters or less'
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the application row so two admins can't decide it at once
+    const [applications] = await connection.query(
+      `SELECT tp.user_id, tp.verification_status, u.first_name, u.last_name
+       FROM tutor_profiles tp
+       INNER JOIN users u ON tp.user_id = u.user_id
+       WHERE tp.user_id = ?
+       FOR UPDATE`,
+      [applicantId]
+    );
+
+    if (applications.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const application = applications[0];
+
+    if (application.verification_status !== 'pending') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `This application has already been ${application.verification_status}`
+      });
+    }
+
+    await connection.query(
+      `UPDATE tutor_profiles
+       SET verification_status = ?, reviewed_by_user_id = ?, reviewed_at = CURRENT_TIMESTAMP, review_reason = ?
+       WHERE user_id = ?`,
+      [decision, adminId, reason || null, applicantId]
+    );
+
+    if (decision === 'verified') {
+      await connection.query(
+        `UPDATE users SET role = 'Tutor' WHERE user_id = ? AND role = 'Student'`,
+        [applicantId]
+      );
+    }
+
+    // Notify the applicant of the decision
+    let subject;
+    let content;
+    if (decision === 'verified') {
+      subject = 'Tutor Application Approved';
+      content = `🎉 Congratulations ${application.first_name}! Your application to become an EduGator tutor has been approved.\n\n`;
+      if (reason) {
+        content += `💬 Note from the reviewer:\n"${reason}"\n\n`;
+      }
+      content += `You can now add the courses you tutor and create sessions from your tutor dashboard.`;
+    } else {
+      subject = 'Tutor Application Update';
+      content = `Unfortunately, your application to become an EduGator tutor was not approved.\n\n`;
+      content += `💬 Reason:\n"${reason}"\n\n`;
+      content += `You are welcome to update your application and resubmit it for review.`;
+    }
+
+    await sendInboxMessage({
+      senderId: adminId,
+      receiverId: applicantId,
+      subject,
+      content
+    }, connection);
+
+    await connection.commit();
+
+    const applicantName = `${application.first_name} ${application.last_name}`;
+    return res.status(200).json({
+      success: true,
+      message: decision === 'verified'
+        ? `${applicantName} has been approved as a tutor and notified`
+        : `${applicantName}'s application has been rejected and they have been notified`
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error recording tutor application decision (${decision}):`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update application. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Approve a pending tutor application
+ */
+const approveTutorApplication = (req, res) => decideTutorApplication(req, res, 'verified');
+
+/**
+ * Reject a pending tutor application (requires a written reason)
+ */
+const rejectTutorApplication = (req, res) => decideTutorApplication(req, res, 'rejected');
+
+/**
+ * Review moderation queue: reported reviews with their reports
+ * Supports ?status=open|resolved (default open). Open reviews with the most reports come first.
+ */
+const getReviewReports = async (req, res) => {
+  try {
+    const status = (req.query.status || 'open').trim();
+
+    if (!REPORT_QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be "open" or "resolved"'
+      });
+    }
+
+    const statusFilter = status === 'open' ? "rr.status = 'open'" : "rr.status IN ('actioned', 'dismissed')";
+
+    const [reviews] = await pool.query(
+      `SELECT
+        r.review_id,
+        r.tutor_id,
+        CONCAT(tu.first_name, ' ', tu.last_name) AS tutor_name,
+        r.student_id,
+        CONCAT(su.first_name, ' ', su.last_name) AS student_name,
+        r.rating,
+        r.comment,
+        r.tutor_reply,
+        r.created_at,
+        r.hidden_at,
+        COUNT(rr.report_id) AS report_count,
+        MIN(rr.created_at) AS first_reported_at,
+        (SELECT ml.note FROM review_moderation_log ml
+         WHERE ml.review_id = r.review_id
+         ORDER BY ml.created_at DESC, ml.log_id DESC LIMIT 1) AS last_moderation_note
+      FROM review_reports rr
+      INNER JOIN reviews r ON rr.review_id = r.review_id
+      LEFT JOIN users tu ON r.tutor_id = tu.user_id
+      LEFT JOIN users su ON r.student_id = su.user_id
+      WHERE ${statusFilter}
+      GROUP BY r.review_id
+      ORDER BY ${status === 'open' ? 'report_count DESC, first_reported_at ASC' : 'MAX(rr.resolved_at) DESC'}`
+    );
+
+    if (reviews.length > 0) {
+      const [reports] = await pool.query(
+        `SELECT
+          rr.report_id,
+          rr.review_id,
+          CONCAT(u.first_name, ' ', u.last_name) AS reporter_name,
+          rr.reason,
+          rr.details,
+          rr.status,
+          rr.created_at
+        FROM review_reports rr
+        LEFT JOIN users u ON rr.reporter_user_id = u.user_id
+        WHERE rr.review_id IN (?) AND ${statusFilter}
+        ORDER BY rr.created_at ASC`,
+        [reviews.map(review => review.review_id)]
+      );
+
+      for (const review of reviews) {
+        review.reports = reports.filter(report => report.review_id === review.review_id);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+
+  } catch (error) {
+    console.error('Error fetching review reports:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reported reviews'
+    });
+  }
+};
+
+/**
+ * Record a moderation decision on a review inside a single transaction
+ * - hide: takes the review off the tutor's profile and rating, closes open reports
+ *   as actioned and lets the author know
+ * - restore: puts a hidden review back
+ * - dismiss: closes open reports and leaves the review up
+ * Every decision is written to review_moderation_log with the admin's note.
+ */
+const moderateReview = async (req, res, action) => {
+  const adminId = req.session.userId;
+  const reviewId = parseInt(req.params.id, 10);
+  const note = (req.body?.note || '').trim();
+
+  if (isNaN(reviewId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid review ID'
+    });
+  }
+
+  if (!note) {
+    return res.status(400).json({
+      success: false,
+      message: 'A moderation note is required'
+    });
+  }
+
+  if (note.length > MAX_MODERATION_NOTE_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Note must be ${MAX_MODERATION_NOTE_LENGTH} characters or less`
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the review so two admins can't moderate it at once
+    const [reviews] = await connection.query(
+      `SELECT r.review_id, r.tutor_id, r.student_id, r.hidden_at,
+              CONCAT(tu.first_name, ' ', tu.last_name) AS tutor_name
+       FROM reviews r
+       LEFT JOIN users tu ON r.tutor_id = tu.user_id
+       WHERE r.review_id = ?
+       FOR UPDATE`,
+      [reviewId]
+    );
+
+    if (reviews.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const review = reviews[0];
+
+    if (action === 'hide' && review.hidden_at) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This review is already hidden'
+      });
+    }
+
+    if (action === 'restore' && !review.hidden_at) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This review is not hidden'
+      });
+    }
+
+    if (action === 'hide' || action === 'dismiss') {
+      const [result] = await connection.query(
+        `UPDATE review_reports SET status = ?, resolved_at = NOW()
+         WHERE review_id = ? AND status = 'open'`,
+        [action === 'hide' ? 'actioned' : 'dismissed', reviewId]
+      );
+
+      if (action === 'dismiss' && result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'This review has no open reports'
+        });
+      }
+    }
+
+    if (action === 'hide') {
+      await connection.query(
+        'UPDATE reviews SET hidden_at = NOW(), hidden_by_user_id = ? WHERE review_id = ?',
+        [adminId, reviewId]
+      );
+    } else if (action === 'restore') {
+      await connection.query(
+        'UPDATE reviews SET hidden_at = NULL, hidden_by_user_id = NULL WHERE review_id = ?',
+        [reviewId]
+      );
+    }
+
+    await connection.query(
+      `INSERT INTO review_moderation_log (review_id, admin_user_id, action, note)
+       VALUES (?, ?, ?, ?)`,
+      [reviewId, adminId, action, note]
+    );
+
+    if (action !== 'dismiss') {
+      await refreshTutorRating(review.tutor_id, connection);
+      await invalidateTutorStats(review.tutor_id, connection);
+    }
+
+    if (action === 'hide' && review.student_id) {
+      await sendInboxMessage({
+        senderId: adminId,
+        receiverId: review.student_id,
+        subject: 'Your Review Was Removed',
+        content: `Your review of ${review.tutor_name || 'a tutor'} was removed by a moderator and is no longer shown on their profile.\n\n💬 Reason:\n"${note}"`
+      }, connection);
+    }
+
+    await connection.commit();
+
+    const messages = {
+      hide: 'Review hidden and the author has been notified',
+      restore: 'Review restored',
+      dismiss: 'Reports dismissed'
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: messages[action]
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error moderating review (${action}):`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update review. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Hide a review from the tutor's profile and rating (requires a note)
+ */
+const hideReview = (req, res) => moderateReview(req, res, 'hide');
+
+/**
+ * Show a previously hidden review again (requires a note)
+ */
+const restoreReview = (req, res) => moderateReview(req, res, 'restore');
+
+/**
+ * Close the open reports on a review without hiding it (requires a note)
+ */
+const dismissReviewReports = (req, res) => moderateReview(req, res, 'dismiss');
+
+module.exports = {
+  getTutorApplications,
+  getTutorApplication,
+  approveTutorApplication,
+  rejectTutorApplication,
+  getReviewReports,
+  hideReview,
+  restoreReview,
+  dismissReviewReports
+};
@@ -0,0 +1,280 @@
+const QRCode = require('qrcode');
+const { pool } = require('../config/db');
+const { STEP_SECONDS, generateSecret, generateCode, verifyCode } = require('../utils/totp');
+const { getAppBaseUrl } = require('../utils/mailer');
+const { CHECKIN_OPENS_MINUTES_BEFORE, isCheckinOpen } = require('../utils/attendance');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+
+const ATTENDANCE_STATUSES = ['present', 'absent'];
+
+/**
+ * Get the current check-in code for a session the tutor is running
+ * The code rotates every STEP_SECONDS; the QR code links straight to the
+ * session page with the code filled in.
+ */
+const getCheckinCode = async (req, res) => {
+  const userId = req.session.userId;
+  const { id } = req.params;
+
+  try {
+    const [sessions] = await pool.query(
+      `SELECT session_id, tutor_id, start_time, end_time, status, checkin_secret,
+              (SELECT COUNT(*) FROM session_attendees WHERE session_id = sessions.session_id) AS enrolled_count,
+              (SELECT COUNT(*) FROM session_attendees
+               WHERE session_id = sessions.session_id AND attendance_status = 'present') AS checked_in_count
+       FROM sessions WHERE session_id = ?`,
+      [id]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = sessions[0];
+
+    if (session.tutor_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only run check-in for your own sessions'
+      });
+    }
+
+    if (!isCheckinOpen(session)) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in opens ${CHECKIN_OPENS_MINUTES_BEFORE} minutes before the session starts and closes when it ends`
+      });
+    }
+
+    // Create the secret the first time check-in is opened; the WHERE keeps two
+    // simultaneous requests from ending up with different secrets
+    if (!session.checkin_secret) {
+      await pool.query(
+        'UPDATE sessions SET checkin_secret = ? WHERE session_id = ? AND checkin_secret IS NULL',
+        [generateSecret(), id]
+      );
+
+      const [secrets] = await pool.query('SELECT checkin_secret FROM sessions WHERE session_id = ?', [id]);
+      session.checkin_secret = secrets[0].checkin_secret;
+    }
+
+    const code = generateCode(session.checkin_secret);
+    const checkinUrl = `${getAppBaseUrl()}/session.html?id=${session.session_id}&checkin=${code}`;
+    const qrCode = await QRCode.toDataURL(checkinUrl);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code,
+        qrCode,
+        checkinUrl,
+        expiresInSeconds: STEP_SECONDS - (Math.floor(Date.now() / 1000) % STEP_SECONDS),
+        enrolledCount: session.enrolled_count,
+        checkedInCount: session.checked_in_count
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generating check-in code:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate check-in code'
+    });
+  }
+};
+
+/**
+ * Check the current student in to a session with the code the tutor is showing
+ */
+const checkIn = async (req, res) => {
+  const userId = req.session.userId;
+  const { id } = req.params;
+  const { code } = req.body || {};
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Check-in code is required'
+    });
+  }
+
+  try {
+    const [sessions] = await pool.query(
+      `SELECT s.session_id, s.tutor_id, s.start_time, s.end_time, s.status, s.checkin_secret,
+              sa.user_id AS attendee_id, sa.attendance_status
+       FROM sessions s
+       LEFT JOIN session_attendees sa ON sa.session_id = s.session_id AND sa.user_id = ?
+       WHERE s.session_id = ?`,
+      [userId, id]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = sessions[0];
+
+    if (!session.attendee_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this session'
+      });
+    }
+
+    if (session.attendance_status === 'present') {
+      return res.status(200).json({
+        success: true,
+        message: 'You are already checked in'
+      });
+    }
+
+    if (!isCheckinOpen(session) || !session.checkin_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is not open for this session'
+      });
+    }
+
+    if (verifyCode(session.checkin_secret, code) === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired check-in code. Please use the code currently shown by your tutor.'
+      });
+    }
+
+    await pool.query(
+      `UPDATE session_attendees
+       SET attendance_status = 'present', checked_in_at = NOW()
+       WHERE session_id = ? AND user_id = ?`,
+      [id, userId]
+    );
+    await invalidateTutorStats(session.tutor_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'You are checked in. Enjoy the session!'
+    });
+
+  } catch (error) {
+    console.error('Error checking in to session:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+};
+
+/**
+ * Mark attendance by hand once a session has started
+ * Body: { attendance: [{ studentId, status: 'present' | 'absent' }] }
+ */
+const markAttendance = async (req, res) => {
+  const userId = req.session.userId;
+  const { id } = req.params;
+  const { attendance } = req.body || {};
+
+  if (!Array.isArray(attendance) || attendance.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one attendance entry is required'
+    });
+  }
+
+  const invalid = attendance.find(entry =>
+    !Number.isInteger(parseInt(entry?.studentId, 10)) || !ATTENDANCE_STATUSES.includes(entry?.status)
+  );
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each entry needs a studentId and a status of "present" or "absent"'
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.query(
+      'SELECT session_id, tutor_id, start_time, status FROM sessions WHERE session_id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (sessions.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = sessions[0];
+
+    if (session.tutor_id !== userId) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'You can only mark attendance for your own sessions'
+      });
+    }
+
+    if (session.status === 'cancelled' || new Date(session.start_time) > new Date()) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance can only be marked once the session has started'
+      });
+    }
+
+    for (const entry of attendance) {
+      const [result] = await connection.query(
+        `UPDATE session_attendees
+         SET attendance_status = ?, attendance_marked_at = NOW(),
+             checked_in_at = CASE WHEN ? = 'absent' THEN NULL ELSE checked_in_at END
+         WHERE session_id = ? AND user_id = ?`,
+        [entry.status, entry.status, id, parseInt(entry.studentId, 10)]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Student ${entry.studentId} is not enrolled in this session`
+        });
+      }
+    }
+
+    await invalidateTutorStats(session.tutor_id, connection);
+
+    await connection.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: `Attendance saved for ${attendance.length} student${attendance.length !== 1 ? 's' : ''}`
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error marking attendance:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save attendance'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+module.exports = {
+  getCheckinCode,
+  checkIn,
+  markAttendance
+};
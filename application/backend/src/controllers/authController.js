@@ -1,86 +1,228 @@
 const bcrypt = require('bcrypt');
 const { pool } = require('../config/db');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail, getAppBaseUrl } = require('../utils/mailer');
+const { destroyUserSessions } = require('../config/sessionStore');
+const { getLoginRetryAfter, recordLoginAttempt } = require('../utils/loginThrottle');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../utils/twoFactor');
+
+// Password reset links are valid for one hour
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Email verification links are valid for 24 hours
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// Email change confirmation links are valid for 24 hours
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+// Only SFSU addresses can hold an account
+const SFSU_EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@(sfsu\.edu|mail\.sfsu\.edu)$/;
+
+// Resend throttling: one email per cooldown window, capped per rolling day,
+// plus a cap per IP across all addresses
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+const VERIFICATION_MAX_PER_DAY = 5;
+const VERIFICATION_MAX_PER_IP_PER_HOUR = 20;
+
+// Compared against when the email is unknown so response timing doesn't reveal accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('edugator-dummy-password', 10);
+
+// A password-verified login waits this long for its second factor
+const TWO_FACTOR_PENDING_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
 
 /**
- * Register a new user (student only - all users start as students)
+ * Check a new password against the registration rules
+ * Returns an error message, or null if the password is acceptable
  */
-const register = async (req, res) => {
-  const { firstName, lastName, email, password, studentProfile } = req.body;
+const validateNewPassword = (password) => {
+  if (typeof password !== 'string' || password.replace(/\s/g, '').length === 0) {
+    return 'Password cannot be only whitespace';
+  }
 
-  // Validate input
-  if (!firstName || !lastName || !email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'All required fields must be provided'
-    });
+  if (password.length < 6 || password.length > 255) {
+    return 'Password must be between 6 and 255 characters';
   }
 
-  // Trim whitespace from inputs
-  firstName = firstName.trim();
-  lastName = lastName.trim();
-  email = email.trim().toLowerCase(); // Normalize email to lowercase
-  password = password.trim();
+  return null;
+};
+
+/**
+ * Start an authenticated session for a user
+ * Regenerates the session ID (prevents fixation) and records the device
+ * details shown on the logged-in devices list.
+ */
+const startUserSession = (req, user) => {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
 
-  // Validate that fields aren't empty after trimming
-  if (!firstName || !lastName || !email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'All required fields must be provided'
+      req.session.userId = user.user_id;
+      req.session.email = user.email;
+      req.session.role = user.role;
+      req.session.firstName = user.first_name;
+      req.session.lastName = user.last_name;
+      req.session.userAgent = req.get('user-agent') || null;
+      req.session.ipAddress = req.ip || null;
+
+      resolve();
     });
+  });
+};
+
+/**
+ * Create an email verification token for a user and email them the link
+ */
+const sendVerificationEmail = async ({ userId, email, firstName }) => {
+  const baseUrl = getAppBaseUrl();
+  const { token, tokenHash } = generateToken();
+
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [userId, tokenHash, EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  const verifyUrl = `${baseUrl}/auth/verify-email.html?token=${token}`;
+
+  let text = `Hi ${firstName},\n\n`;
+  text += `Welcome to EduGator! Please confirm that this SFSU email address belongs to you by opening the link below:\n\n`;
+  text += `${verifyUrl}\n\n`;
+  text += `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n`;
+  text += `If you didn't create an EduGator account, you can ignore this email.`;
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your EduGator email address',
+    text
+  });
+};
+
+const ACADEMIC_LEVELS = ['freshman', 'sophomore', 'junior', 'senior', 'graduate', 'other'];
+
+/**
+ * Validate a registration request body
+ * Returns { errors, values } where errors maps field name -> message so the
+ * register page can show them inline. Nothing is written until errors is empty.
+ */
+const validateRegistration = (body) => {
+  const errors = {};
+  const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const firstName = trimmed(body.firstName);
+  const lastName = trimmed(body.lastName);
+  const email = trimmed(body.email).toLowerCase(); // Normalize email to lowercase
+  const password = typeof body.password === 'string' ? body.password.trim() : '';
+  const profile = body.studentProfile || {};
+
+  // Validate name fields (length limits prevent buffer overflow)
+  if (!firstName) {
+    errors.firstName = 'First name is required';
+  } else if (firstName.length > 100) {
+    errors.firstName = 'First name must be 100 characters or less';
+  }
+
+  if (!lastName) {
+    errors.lastName = 'Last name is required';
+  } else if (lastName.length > 100) {
+    errors.lastName = 'Last name must be 100 characters or less';
   }
 
   // Validate SFSU email domain
-  const validEmailPattern = /^[A-Za-z0-9._%+-]+@(sfsu\.edu|mail\.sfsu\.edu)$/;
-  if (!validEmailPattern.test(email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email must be a valid SFSU email address (@sfsu.edu or @mail.sfsu.edu)'
-    });
+  if (!email) {
+    errors.email = 'Email is required';
+  } else if (email.length > 255) {
+    errors.email = 'Email must be 255 characters or less';
+  } else if (!SFSU_EMAIL_PATTERN.test(email)) {
+    errors.email = 'Email must be a valid SFSU email address (@sfsu.edu or @mail.sfsu.edu)';
   }
 
-  // Validate email length (prevent buffer overflow)
-  if (email.length > 255) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email must be 255 characters or less'
-    });
+  if (!password) {
+    errors.password = 'Password is required';
+  } else {
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      errors.password = passwordError;
+    }
   }
 
-  // Validate name lengths (prevent buffer overflow)
-  if (firstName.length > 100 || lastName.length > 100) {
-    return res.status(400).json({
-      success: false,
-      message: 'First name and last name must be 100 characters or less'
-    });
+  // Validate terms acceptance
+  if (!body.termsAccepted) {
+    errors.termsAccepted = 'You must accept the terms and conditions to register';
   }
 
-  // Validate password is not just whitespace
-  if (password.replace(/\s/g, '').length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Password cannot be only whitespace'
-    });
+  // Validate optional student profile fields
+  if (profile.bio && String(profile.bio).length > 1000) {
+    errors.bio = 'Bio must be 1000 characters or less';
   }
 
-  // Validate password length
-  if (password.length < 6 || password.length > 255) {
-    return res.status(400).json({
-      success: false,
-      message: 'Password must be between 6 and 255 characters'
-    });
+  if (profile.major && String(profile.major).length > 100) {
+    errors.major = 'Major must be 100 characters or less';
   }
 
-  // Validate terms acceptance
-  if (!req.body.termsAccepted) {
+  if (profile.academicLevel && !ACADEMIC_LEVELS.includes(profile.academicLevel)) {
+    errors.academicLevel = 'Please select a valid academic level';
+  }
+
+  let gpa = null;
+  if (profile.gpa !== null && profile.gpa !== undefined && profile.gpa !== '') {
+    gpa = parseFloat(profile.gpa);
+    if (isNaN(gpa) || gpa < 0 || gpa > 4) {
+      errors.gpa = 'GPA must be between 0.00 and 4.00';
+    }
+  }
+
+  // The register page turns its MM/YYYY field into YYYY-MM-01 before sending
+  if (profile.graduationDate) {
+    const match = typeof profile.graduationDate === 'string' ? profile.graduationDate.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+    if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== Number(match[3])) {
+      errors.graduationDate = 'Enter a valid graduation month (MM/YYYY)';
+    }
+  }
+
+  return {
+    errors,
+    values: {
+      firstName,
+      lastName,
+      email,
+      password,
+      profile: {
+        major: profile.major ? String(profile.major).trim() : null,
+        academicLevel: profile.academicLevel || null,
+        gpa,
+        graduationDate: profile.graduationDate || null,
+        bio: profile.bio ? String(profile.bio).trim() : null
+      }
+    }
+  };
+};
+
+/**
+ * Register a new user (student only - all users start as students)
+ * Validates everything up front, then creates the user and student profile
+ * in one transaction so a failure can't leave an orphaned account behind.
+ */
+const register = async (req, res) => {
+  const { errors, values } = validateRegistration(req.body || {});
+
+  if (Object.keys(errors).length > 0) {
     return res.status(400).json({
       success: false,
-      message: 'You must accept the terms and conditions to register'
+      message: Object.values(errors)[0],
+      errors
     });
   }
 
+  const { firstName, lastName, email, password, profile } = values;
+
   // All users register as students
   const role = 'Student';
 
+  let connection;
+  let userId;
+
   try {
     // Check if email already exists
     const [existingUsers] = await pool.query(
@@ -91,7 +233,8 @@ const register = async (req, res) => {
     if (existingUsers.length > 0) {
       return res.status(409).json({
         success: false,
-        message: 'Email already registered'
+        message: 'Email already registered',
+        errors: { email: 'Email already registered' }
       });
     }
 
@@ -99,85 +242,83 @@ const register = async (req, res) => {
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Insert user into database
-    const [result] = await pool.query(
+    const [result] = await connection.query(
       'INSERT INTO users (email, password_hash, first_name, last_name, role) VALUES (?, ?, ?, ?, ?)',
       [email, passwordHash, firstName, lastName, role]
     );
 
-    const userId = result.insertId;
-
-    // Validate and sanitize student profile fields
-    const profile = studentProfile || {};
-    
-    // Validate bio length
-    if (profile.bio && profile.bio.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Bio must be 1000 characters or less'
-      });
-    }
-
-    // Validate major length
-    if (profile.major && profile.major.length > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Major must be 100 characters or less'
-      });
-    }
-
-    // Validate GPA range
-    if (profile.gpa !== null && profile.gpa !== undefined) {
-      const gpaValue = parseFloat(profile.gpa);
-      if (isNaN(gpaValue) || gpaValue < 0 || gpaValue > 4) {
-        return res.status(400).json({
-          success: false,
-          message: 'GPA must be between 0.00 and 4.00'
-        });
-      }
-    }
+    userId = result.insertId;
 
     // Create student profile with optional fields
-    await pool.query(
+    await connection.query(
       `INSERT INTO student_profiles
        (user_id, major, academic_level, gpa, expected_graduation_date, bio)
        VALUES (?, ?, ?, ?, ?, ?)`,
       [
         userId,
-        profile.major || null,
-        profile.academicLevel || null,
-        profile.gpa || null,
-        profile.graduationDate || null,
-        profile.bio || null
+        profile.major,
+        profile.academicLevel,
+        profile.gpa,
+        profile.graduationDate,
+        profile.bio
       ]
     );
 
-    return res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      user: {
-        userId,
-        email,
-        firstName,
-        lastName,
-        role
-      }
-    });
+    await connection.commit();
 
   } catch (error) {
+    if (connection) await connection.rollback();
+
+    // Lost a race with another registration for the same address
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered',
+        errors: { email: 'Email already registered' }
+      });
+    }
+
     console.error('Registration error:', error);
     return res.status(500).json({
       success: false,
       message: 'Registration failed. Please try again.'
     });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  // Prove the registrant owns the mailbox before they can log in.
+  // The account already exists at this point, so a mail failure is recoverable via resend.
+  try {
+    await sendVerificationEmail({ userId, email, firstName });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
   }
+
+  return res.status(201).json({
+    success: true,
+    message: 'Registration successful. Please check your SFSU email to verify your account before logging in.',
+    verificationRequired: true,
+    user: {
+      userId,
+      email,
+      firstName,
+      lastName,
+      role
+    }
+  });
 };
 
 /**
  * Login user and create session
  */
 const login = async (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
 
   // Validate input
   if (!email || !password) {
@@ -195,40 +336,169 @@ const login = async (req, res) => {
     });
   }
 
+  const attempt = {
+    email,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+
   try {
+    // Throttle before touching bcrypt - keyed on the submitted email and the client IP
+    const retryAfter = await getLoginRetryAfter(attempt);
+    if (retryAfter > 0) {
+      await recordLoginAttempt({ ...attempt, success: false, failureReason: 'throttled' });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many login attempts. Please try again later.'
+      });
+    }
+
     // Get user with role information
     const [users] = await pool.query(
-      `SELECT user_id, email, password_hash, first_name, last_name, role
+      `SELECT user_id, email, password_hash, first_name, last_name, role, email_verified_at
        FROM users
        WHERE email = ?`,
       [email]
     );
 
-    if (users.length === 0) {
+    const user = users[0];
+
+    // Verify password (against a dummy hash for unknown emails to keep timing uniform)
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid) {
+      await recordLoginAttempt({
+        ...attempt,
+        userId: user ? user.user_id : null,
+        success: false,
+        failureReason: user ? 'bad_password' : 'unknown_email'
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Only checked after the password so unverified accounts can't be probed
+    if (!user.email_verified_at) {
+      await recordLoginAttempt({ ...attempt, userId: user.user_id, success: false, failureReason: 'email_not_verified' });
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in. Check your SFSU inbox for the verification link.'
+      });
+    }
+
+    // With 2FA on, the password only opens a short pending step - no userId until the code checks out
+    if (await isTwoFactorEnabled(user.user_id)) {
+      req.session.pendingTwoFactor = {
+        userId: user.user_id,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_MINUTES * 60 * 1000,
+        attempts: 0
+      };
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    await recordLoginAttempt({ ...attempt, userId: user.user_id, success: true });
+
+    // Create session
+    await startUserSession(req, user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        userId: user.user_id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+};
+
+/**
+ * Second login step for accounts with 2FA enabled
+ * Accepts { code } from the authenticator app or a one-time { recoveryCode }
+ */
+const completeTwoFactorLogin = async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const pending = req.session.pendingTwoFactor;
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return res.status(401).json({
+      success: false,
+      message: 'Your login has expired. Please sign in again.'
+    });
+  }
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  try {
+    const [users] = await pool.query(
+      'SELECT user_id, email, first_name, last_name, role FROM users WHERE user_id = ?',
+      [pending.userId]
+    );
+
+    if (users.length === 0) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        message: 'Your login has expired. Please sign in again.'
+      });
+    }
+
     const user = users[0];
+    const attempt = {
+      email: user.email,
+      userId: user.user_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    const isCodeValid = await verifySecondFactor(user.user_id, { code, recoveryCode });
+
+    if (!isCodeValid) {
+      await recordLoginAttempt({ ...attempt, success: false, failureReason: 'bad_totp' });
+
+      pending.attempts += 1;
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).json({
+          success: false,
+          message: 'Too many incorrect codes. Please sign in again.'
+        });
+      }
 
-    if (!isPasswordValid) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Create session
-    req.session.userId = user.user_id;
-    req.session.email = user.email;
-    req.session.role = user.role;
-    req.session.firstName = user.first_name;
-    req.session.lastName = user.last_name;
+    await recordLoginAttempt({ ...attempt, success: true });
+
+    // Regenerating the session also drops the pending state
+    await startUserSession(req, user);
 
     return res.status(200).json({
       success: true,
@@ -243,7 +513,7 @@ const login = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     return res.status(500).json({
       success: false,
       message: 'Login failed. Please try again.'
@@ -284,9 +554,9 @@ const getCurrentUser = async (req, res) => {
   }
 
   try {
-    // Fetch current role from database (in case it was changed by admin)
+    // Fetch current role and email from database (in case either changed since login)
     const [users] = await pool.query(
-      'SELECT role FROM users WHERE user_id = ?',
+      'SELECT role, email FROM users WHERE user_id = ?',
       [req.session.userId]
     );
 
@@ -306,11 +576,15 @@ const getCurrentUser = async (req, res) => {
       req.session.role = currentRole;
     }
 
+    if (req.session.email !== users[0].email) {
+      req.session.email = users[0].email;
+    }
+
     return res.status(200).json({
       success: true,
       user: {
         userId: req.session.userId,
-        email: req.session.email,
+        email: users[0].email,
         firstName: req.session.firstName,
         lastName: req.session.lastName,
         role: currentRole
@@ -325,9 +599,718 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * Request a password reset email
+ * Always responds with the same message so the endpoint can't be used to discover accounts
+ */
+const forgotPassword = async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+  if (!email || email.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid email address is required'
+    });
+  }
+
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    // Resolved before the lookup so a misconfigured server fails the same way for every email
+    const baseUrl = getAppBaseUrl();
+
+    const [users] = await pool.query(
+      'SELECT user_id, first_name FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length === 0) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const user = users[0];
+    const { token, tokenHash } = generateToken();
+
+    // Only the most recent link should work - retire any outstanding tokens
+    await pool.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [user.user_id]
+    );
+
+    await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+      [user.user_id, tokenHash, PASSWORD_RESET_TTL_MINUTES, req.ip || null]
+    );
+
+    const resetUrl = `${baseUrl}/auth/reset-password.html?token=${token}`;
+
+    let text = `Hi ${user.first_name},\n\n`;
+    text += `We received a request to reset your EduGator password. Use the link below to choose a new one:\n\n`;
+    text += `${resetUrl}\n\n`;
+    text += `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n`;
+    text += `If you didn't request a password reset, you can safely ignore this email.`;
+
+    await sendMail({
+      to: email,
+      subject: 'Reset your EduGator password',
+      text
+    });
+
+    return res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process request. Please try again.'
+    });
+  }
+};
+
+/**
+ * Reset a password using a token from the reset email
+ * Tokens are single-use: the token is consumed in the same transaction as the password update.
+ * Every existing login session for the account is revoked afterwards.
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || typeof token !== 'string' || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset token and new password are required'
+    });
+  }
+
+  const passwordError = validateNewPassword(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: passwordError
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [tokens] = await connection.query(
+      `SELECT token_id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const resetToken = tokens[0];
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await connection.query(
+      'UPDATE users SET password_hash = ? WHERE user_id = ?',
+      [passwordHash, resetToken.user_id]
+    );
+
+    // Consume this token and any others still outstanding for the user
+    await connection.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [resetToken.user_id]
+    );
+
+    await connection.commit();
+
+    // Whoever had the old password may still be logged in
+    await destroyUserSessions(resetToken.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Your password has been reset and you have been logged out everywhere. You can now log in.'
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Verify an email address using the token from the verification email
+ */
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  try {
+    const [tokens] = await pool.query(
+      `SELECT evt.token_id, evt.user_id, evt.used_at, evt.expires_at <= NOW() AS expired,
+              u.email_verified_at
+       FROM email_verification_tokens evt
+       INNER JOIN users u ON evt.user_id = u.user_id
+       WHERE evt.token_hash = ?`,
+      [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid. Please request a new one.'
+      });
+    }
+
+    const verification = tokens[0];
+
+    if (verification.email_verified_at) {
+      return res.status(200).json({
+        success: true,
+        message: 'Your email address is already verified. You can log in.'
+      });
+    }
+
+    if (verification.used_at || verification.expired) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link has expired. Please request a new one.'
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE user_id = ? AND email_verified_at IS NULL',
+      [verification.user_id]
+    );
+
+    // Retire every outstanding verification token for this user
+    await pool.query(
+      `UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [verification.user_id]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Your email address has been verified. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify email. Please try again.'
+    });
+  }
+};
+
+/**
+ * Resend the verification email for an unverified account
+ * Throttled per submitted address (one email per cooldown window and a daily cap)
+ * and per IP, whether or not the address has an account. The response is the
+ * same in every case so it can't be used to check which addresses are registered.
+ */
+const resendVerification = async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  const ipAddress = req.ip || null;
+
+  if (!email || email.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid email address is required'
+    });
+  }
+
+  // Throttled, unknown and already-verified addresses all get this same response
+  const genericResponse = {
+    success: true,
+    message: `If that account exists and is not yet verified, a new verification email has been sent. You can request one every ${VERIFICATION_RESEND_COOLDOWN_SECONDS} seconds.`
+  };
+
+  try {
+    const [recent] = await pool.query(
+      `SELECT
+        SUM(email = ? AND requested_at > DATE_SUB(NOW(), INTERVAL 1 DAY)) AS sent_today,
+        COALESCE(TIMESTAMPDIFF(SECOND, MAX(CASE WHEN email = ? THEN requested_at END), NOW()), ?) AS seconds_since_last,
+        SUM(ip_address = ? AND requested_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)) AS sent_from_ip
+       FROM verification_resend_requests
+       WHERE (email = ? OR ip_address = ?) AND requested_at > DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+      [email, email, VERIFICATION_RESEND_COOLDOWN_SECONDS, ipAddress, email, ipAddress]
+    );
+
+    const sentToday = Number(recent[0].sent_today) || 0;
+    const secondsSinceLast = Number(recent[0].seconds_since_last);
+    const sentFromIp = Number(recent[0].sent_from_ip) || 0;
+
+    if (sentToday >= VERIFICATION_MAX_PER_DAY ||
+        secondsSinceLast < VERIFICATION_RESEND_COOLDOWN_SECONDS ||
+        sentFromIp >= VERIFICATION_MAX_PER_IP_PER_HOUR) {
+      return res.status(200).json(genericResponse);
+    }
+
+    await pool.query(
+      'INSERT INTO verification_resend_requests (email, ip_address) VALUES (?, ?)',
+      [email, ipAddress]
+    );
+
+    const [users] = await pool.query(
+      'SELECT user_id, first_name, email_verified_at FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length > 0 && !users[0].email_verified_at) {
+      await sendVerificationEmail({
+        userId: users[0].user_id,
+        email,
+        firstName: users[0].first_name
+      });
+    }
+
+    return res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email. Please try again.'
+    });
+  }
+};
+
+/**
+ * List the current user's logged-in devices (active sessions)
+ * Session IDs are never exposed - each device is identified by a hash of its ID
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const [sessions] = await pool.query(
+      `SELECT session_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+       FROM user_sessions
+       WHERE user_id = ? AND expires_at > UTC_TIMESTAMP()
+       ORDER BY last_seen_at DESC`,
+      [req.session.userId]
+    );
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(s => ({
+        id: hashToken(s.session_id),
+        userAgent: s.user_agent,
+        ipAddress: s.ip_address,
+        createdAt: s.created_at,
+        lastSeenAt: s.last_seen_at,
+        expiresAt: s.expires_at,
+        current: s.session_id === req.sessionID
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch logged-in devices'
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions (log out a device)
+ */
+const revokeUserSession = async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^[a-f0-9]{64}$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID'
+    });
+  }
+
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM user_sessions WHERE user_id = ? AND SHA2(session_id, 256) = ?',
+      [req.session.userId, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Revoking the device you're using is the same as logging out
+    if (id === hashToken(req.sessionID)) {
+      res.clearCookie('connect.sid');
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Device logged out'
+    });
+
+  } catch (error) {
+    console.error('Error revoking user session:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to log out device'
+    });
+  }
+};
+
+/**
+ * Log out everywhere - revoke every session for the current user, including this one
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await destroyUserSessions(req.session.userId);
+
+    req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      return res.status(200).json({
+        success: true,
+        message: `Logged out of ${revokedCount} device${revokedCount !== 1 ? 's' : ''}`
+      });
+    });
+
+  } catch (error) {
+    console.error('Error logging out everywhere:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all devices'
+    });
+  }
+};
+
+/**
+ * Change password for the logged-in user
+ * Requires the current password; every other session is logged out afterwards
+ */
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      message: 'Current password and new password are required'
+    });
+  }
+
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: passwordError
+    });
+  }
+
+  try {
+    const [users] = await pool.query(
+      'SELECT password_hash FROM users WHERE user_id = ?',
+      [req.session.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, users[0].password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, users[0].password_hash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your current password'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    await pool.query(
+      'UPDATE users SET password_hash = ? WHERE user_id = ?',
+      [passwordHash, req.session.userId]
+    );
+
+    // Outstanding reset links were issued for the old password
+    await pool.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [req.session.userId]
+    );
+
+    const revokedCount = await destroyUserSessions(req.session.userId, req.sessionID);
+
+    return res.status(200).json({
+      success: true,
+      message: revokedCount > 0
+        ? `Password updated. You have been logged out of ${revokedCount} other device${revokedCount !== 1 ? 's' : ''}.`
+        : 'Password updated.'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to change password. Please try again.'
+    });
+  }
+};
+
+/**
+ * Request an email change for the logged-in user
+ * The new address must be an SFSU address and is only swapped in once the
+ * link sent to it is opened (see confirmEmailChange)
+ */
+const requestEmailChange = async (req, res) => {
+  const { password } = req.body;
+  const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.trim().toLowerCase() : '';
+
+  if (!newEmail || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'New email and current password are required'
+    });
+  }
+
+  if (newEmail.length > 255 || !SFSU_EMAIL_PATTERN.test(newEmail)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email must be a valid SFSU email address (@sfsu.edu or @mail.sfsu.edu)'
+    });
+  }
+
+  try {
+    const [users] = await pool.query(
+      'SELECT user_id, email, first_name, password_hash FROM users WHERE user_id = ?',
+      [req.session.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = users[0];
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is already your email address'
+      });
+    }
+
+    const [existing] = await pool.query(
+      'SELECT user_id FROM users WHERE email = ?',
+      [newEmail]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const baseUrl = getAppBaseUrl();
+
+    // Only the most recent request can be confirmed
+    await pool.query(
+      `UPDATE email_change_requests SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [user.user_id]
+    );
+
+    const { token, tokenHash } = generateToken();
+
+    await pool.query(
+      `INSERT INTO email_change_requests (user_id, new_email, token_hash, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [user.user_id, newEmail, tokenHash, EMAIL_CHANGE_TTL_HOURS]
+    );
+
+    const confirmUrl = `${baseUrl}/auth/confirm-email-change.html?token=${token}`;
+
+    let text = `Hi ${user.first_name},\n\n`;
+    text += `We received a request to change your EduGator email address to ${newEmail}. Open the link below to confirm:\n\n`;
+    text += `${confirmUrl}\n\n`;
+    text += `This link expires in ${EMAIL_CHANGE_TTL_HOURS} hours.\n`;
+    text += `If you didn't request this, you can ignore this email.`;
+
+    await sendMail({
+      to: newEmail,
+      subject: 'Confirm your new EduGator email address',
+      text
+    });
+
+    // Give the current owner a heads-up in case the request wasn't theirs
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your EduGator email address is being changed',
+        text: `Hi ${user.first_name},\n\nA request was made to change your EduGator email address to ${newEmail}. The change only takes effect once it is confirmed from the new address.\n\nIf this wasn't you, change your password right away.`
+      });
+    } catch (error) {
+      console.error('Error sending email change notice:', error);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email will change once you open it.`
+    });
+
+  } catch (error) {
+    console.error('Email change request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start email change. Please try again.'
+    });
+  }
+};
+
+/**
+ * Confirm an email change using the token sent to the new address
+ */
+const confirmEmailChange = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Confirmation token is required'
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [requests] = await connection.query(
+      `SELECT request_id, user_id, new_email FROM email_change_requests
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (requests.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired. Please request the change again.'
+      });
+    }
+
+    const changeRequest = requests[0];
+
+    // Someone may have registered the address since the request was made
+    const [existing] = await connection.query(
+      'SELECT user_id FROM users WHERE email = ?',
+      [changeRequest.new_email]
+    );
+
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    // Opening the link proves ownership of the new address
+    await connection.query(
+      'UPDATE users SET email = ?, email_verified_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [changeRequest.new_email, changeRequest.user_id]
+    );
+
+    await connection.query(
+      `UPDATE email_change_requests SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND used_at IS NULL`,
+      [changeRequest.user_id]
+    );
+
+    await connection.commit();
+
+    if (req.session.userId === changeRequest.user_id) {
+      req.session.email = changeRequest.new_email;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Your email address is now ${changeRequest.new_email}.`
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+    console.error('Email change confirmation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to change email. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
 module.exports = {
   register,
   login,
+  completeTwoFactorLogin,
   logout,
-  getCurrentUser
+  getCurrentUser,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getUserSessions,
+  revokeUserSession,
+  logoutAll,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange
 };
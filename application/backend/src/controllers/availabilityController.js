@@ -0,0 +1,418 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const { formatSessionDetails } = require('../utils/sessionNotifications');
+const { getNoShowCooldown, describeNoShowCooldown } = require('../utils/attendance');
+const { lockTutorSchedule, findStudentConflicts } = require('../utils/conflicts');
+const {
+  toClock,
+  getTutorAvailability,
+  validateAvailabilityInput,
+  findFreeSlots
+} = require('../utils/availability');
+
+const DEFAULT_SLOT_DAYS = 14;
+const MAX_BOOKING_MESSAGE_LENGTH = 1000;
+const MAX_PENDING_BOOKINGS_PER_TUTOR = 2;
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:00)?$/;
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Get the current tutor's availability settings, windows and blackout dates
+ */
+const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await getTutorAvailability(req.session.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability'
+    });
+  }
+};
+
+/**
+ * Replace the current tutor's availability
+ * Body: { slotMinutes, bufferMinutes, autoConfirm, locationDetails,
+ *         windows: [{ weekday, startTime: 'HH:MM', endTime: 'HH:MM' }], blackoutDates: ['YYYY-MM-DD'] }
+ * Sessions that were already booked are kept even if they fall outside the new windows.
+ */
+const updateMyAvailability = async (req, res) => {
+  const userId = req.session.userId;
+  const { error, values } = validateAvailabilityInput(req.body || {});
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.query(
+      `INSERT INTO tutor_availability (tutor_id, slot_minutes, buffer_minutes, auto_confirm, location_details)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         slot_minutes = VALUES(slot_minutes),
+         buffer_minutes = VALUES(buffer_minutes),
+         auto_confirm = VALUES(auto_confirm),
+         location_details = VALUES(location_details)`,
+      [userId, values.slotMinutes, values.bufferMinutes, values.autoConfirm ? 1 : 0, values.locationDetails]
+    );
+
+    await connection.query('DELETE FROM tutor_availability_windows WHERE tutor_id = ?', [userId]);
+    if (values.windows.length > 0) {
+      await connection.query(
+        'INSERT INTO tutor_availability_windows (tutor_id, weekday, start_time, end_time) VALUES ?',
+        [values.windows.map(w => [userId, w.weekday, toClock(w.start), toClock(w.end)])]
+      );
+    }
+
+    await connection.query('DELETE FROM tutor_blackout_dates WHERE tutor_id = ?', [userId]);
+    if (values.blackoutDates.length > 0) {
+      await connection.query(
+        'INSERT INTO tutor_blackout_dates (tutor_id, blackout_date) VALUES ?',
+        [values.blackoutDates.map(date => [userId, date])]
+      );
+    }
+
+    await connection.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Availability saved',
+      data: await getTutorAvailability(userId)
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error saving availability:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save availability'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * List a verified tutor's free one-on-one slots
+ * Supports ?from=YYYY-MM-DD (default today) and ?days= (default 14)
+ */
+const getTutorSlots = async (req, res) => {
+  const tutorId = parseInt(req.params.id, 10);
+
+  if (isNaN(tutorId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tutor ID'
+    });
+  }
+
+  try {
+    const [tutors] = await pool.query(
+      `SELECT 1 FROM tutor_profiles WHERE user_id = ? AND verification_status = 'verified'`,
+      [tutorId]
+    );
+
+    if (tutors.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    const from = (req.query.from || todayString()).trim();
+    const days = req.query.days ? parseInt(req.query.days, 10) : DEFAULT_SLOT_DAYS;
+    const { error, slots, availability } = await findFreeSlots(tutorId, from, days);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        slotMinutes: availability.slotMinutes,
+        autoConfirm: availability.autoConfirm,
+        slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tutor slots:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available slots'
+    });
+  }
+};
+
+/**
+ * Book one of a tutor's free slots as a one-on-one session
+ * Body: { startTime: 'YYYY-MM-DDTHH:mm', courseId, message?, confirmConflicts? }
+ * - Creates a one_on_one session for the slot, marked as booked by the student
+ * - With auto-confirm on, enrolls the student straight away
+ * - Otherwise sends the tutor a join request to accept or deny
+ * - A student can have at most MAX_PENDING_BOOKINGS_PER_TUTOR unconfirmed bookings with one tutor
+ */
+const bookTutorSlot = async (req, res) => {
+  const studentId = req.session.userId;
+  const tutorId = parseInt(req.params.id, 10);
+  const { startTime, courseId, message, confirmConflicts } = req.body || {};
+
+  if (isNaN(tutorId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tutor ID'
+    });
+  }
+
+  const match = typeof startTime === 'string' ? startTime.match(DATE_TIME_PATTERN) : null;
+
+  if (!match || !courseId) {
+    return res.status(400).json({
+      success: false,
+      message: 'A slot start time (YYYY-MM-DDTHH:mm) and a course are required'
+    });
+  }
+
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Message must be text'
+    });
+  }
+
+  if (message && message.trim().length > MAX_BOOKING_MESSAGE_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Message must be ${MAX_BOOKING_MESSAGE_LENGTH} characters or less`
+    });
+  }
+
+  if (tutorId === studentId) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot book a session with yourself'
+    });
+  }
+
+  const slotStart = `${match[1]} ${match[2]}:00`;
+  let connection;
+
+  try {
+    const [courses] = await pool.query(
+      `SELECT c.course_id, c.course_number, d.code AS department_code
+       FROM tutor_courses tc
+       JOIN tutor_profiles tp ON tc.tutor_user_id = tp.user_id
+       JOIN courses c ON tc.course_id = c.course_id
+       JOIN departments d ON c.department_id = d.department_id
+       WHERE tc.tutor_user_id = ? AND tc.course_id = ? AND tp.verification_status = 'verified'`,
+      [tutorId, courseId]
+    );
+
+    if (courses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This tutor does not offer that course'
+      });
+    }
+
+    const course = courses[0];
+
+    // Repeated no-shows block new bookings the same way they block join requests
+    const cooldown = await getNoShowCooldown(studentId);
+    if (cooldown) {
+      return res.status(403).json({
+        success: false,
+        message: describeNoShowCooldown(cooldown)
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the tutor, like session creation does, and their availability row so two
+    // students can't book the same slot
+    await lockTutorSchedule(tutorId, connection);
+
+    // Counted under the tutor lock so parallel requests can't slip past the cap
+    const [[{ pendingBookings }]] = await connection.query(
+      `SELECT COUNT(*) AS pendingBookings
+       FROM session_join_requests sjr
+       JOIN sessions s ON sjr.session_id = s.session_id
+       WHERE sjr.requester_user_id = ? AND sjr.tutor_user_id = ? AND sjr.status = 'pending'
+         AND s.booked_by_user_id = ? AND s.status = 'scheduled'`,
+      [studentId, tutorId, studentId]
+    );
+
+    if (pendingBookings >= MAX_PENDING_BOOKINGS_PER_TUTOR) {
+      await connection.rollback();
+      return res.status(429).json({
+        success: false,
+        message: `You already have ${pendingBookings} bookings waiting for this tutor to confirm. ` +
+          'Please wait for a response before booking another slot.'
+      });
+    }
+
+    const [locked] = await connection.query(
+      'SELECT tutor_id FROM tutor_availability WHERE tutor_id = ? FOR UPDATE',
+      [tutorId]
+    );
+
+    if (locked.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'This tutor has not published any availability'
+      });
+    }
+
+    const { slots, availability } = await findFreeSlots(tutorId, match[1], 1, connection);
+    const slot = (slots || []).find(s => s.startTime === slotStart);
+
+    if (!slot) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'That slot is no longer available. Please pick another time.'
+      });
+    }
+
+    if (!confirmConflicts) {
+      const conflicts = await findStudentConflicts(studentId, slot.startTime, slot.endTime, {}, connection);
+
+      if (conflicts.length > 0) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          requiresConfirmation: true,
+          message: 'This slot overlaps with something already on your schedule',
+          conflicts
+        });
+      }
+    }
+
+    const title = `One-on-One: ${course.department_code} ${course.course_number}`;
+
+    const [sessionResult] = await connection.query(
+      `INSERT INTO sessions (tutor_id, title, start_time, end_time, session_type, capacity, location_details, status, booked_by_user_id)
+       VALUES (?, ?, ?, ?, 'one_on_one', 1, ?, 'scheduled', ?)`,
+      [tutorId, title, slot.startTime, slot.endTime, availability.locationDetails, studentId]
+    );
+
+    const sessionId = sessionResult.insertId;
+    const session = {
+      session_id: sessionId,
+      title,
+      start_time: slot.startTime,
+      location_details: availability.locationDetails
+    };
+
+    await connection.query(
+      'INSERT INTO session_courses (session_id, course_id) VALUES (?, ?)',
+      [sessionId, course.course_id]
+    );
+
+    const [students] = await connection.query(
+      'SELECT first_name, last_name FROM users WHERE user_id = ?',
+      [studentId]
+    );
+    const studentName = students.length > 0 ? `${students[0].first_name} ${students[0].last_name}` : 'A student';
+    const studentNote = message && message.trim() ? `💬 Message from student:\n"${message.trim()}"\n\n` : '';
+
+    if (availability.autoConfirm) {
+      const tutorMessageId = await sendInboxMessage({
+        senderId: studentId,
+        receiverId: tutorId,
+        subject: `New Booking: ${title}`,
+        content: `${studentName} booked a one-on-one session with you.\n\n` +
+          formatSessionDetails(session) + studentNote +
+          `It was confirmed automatically because auto-confirm is on in your availability settings.`
+      }, connection);
+
+      await connection.query(
+        `INSERT INTO session_join_requests (session_id, requester_user_id, tutor_user_id, message_id, status, responded_at)
+         VALUES (?, ?, ?, ?, 'accepted', CURRENT_TIMESTAMP)`,
+        [sessionId, studentId, tutorId, tutorMessageId]
+      );
+
+      await connection.query(
+        'INSERT INTO session_attendees (session_id, user_id) VALUES (?, ?)',
+        [sessionId, studentId]
+      );
+
+      await sendInboxMessage({
+        senderId: tutorId,
+        receiverId: studentId,
+        subject: `Booking Confirmed: ${title}`,
+        content: `🎉 Your one-on-one session is confirmed!\n\n` + formatSessionDetails(session) +
+          `You can find it on your dashboard under your enrolled sessions.`
+      }, connection);
+    } else {
+      const requestMessageId = await sendInboxMessage({
+        senderId: studentId,
+        receiverId: tutorId,
+        subject: `Session Request: ${title}`,
+        content: `📚 Session Request: ${title}\n` + formatSessionDetails(session) +
+          `👥 Type: One-on-One\n\n${studentName} booked this slot from your availability and would like you to confirm it.` +
+          (studentNote ? `\n\n${studentNote.trim()}` : ''),
+        messageType: 'session_join_request'
+      }, connection);
+
+      await connection.query(
+        `INSERT INTO session_join_requests (session_id, requester_user_id, tutor_user_id, message_id, status)
+         VALUES (?, ?, ?, ?, 'pending')`,
+        [sessionId, studentId, tutorId, requestMessageId]
+      );
+    }
+
+    await connection.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: availability.autoConfirm
+        ? 'Your session is booked and confirmed'
+        : 'Slot reserved. The tutor will confirm your booking.',
+      sessionId,
+      confirmed: availability.autoConfirm
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error booking tutor slot:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to book slot. Please try again.'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+module.exports = {
+  getMyAvailability,
+  updateMyAvailability,
+  getTutorSlots,
+  bookTutorSlot
+};
@@ -1,4 +1,10 @@
 const { pool } = require('../config/db');
+const {
+  getStudentAttendanceStats,
+  getTutorAttendanceStats,
+  getNoShowCooldown,
+  describeNoShowCooldown
+} = require('../utils/attendance');
 
 /**
  * Get student dashboard data
@@ -6,13 +12,6 @@ const { pool } = require('../config/db');
 const getStudentDashboard = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Get user and student profile
     const [userRows] = await pool.query(
@@ -23,6 +22,7 @@ const getStudentDashboard = async (req, res) => {
         u.last_name,
         u.role,
         u.profile_file_id,
+        f.url AS profile_picture_url,
         sp.major,
         sp.academic_level,
         sp.gpa,
@@ -30,6 +30,7 @@ const getStudentDashboard = async (req, res) => {
         sp.bio
       FROM users u
       LEFT JOIN student_profiles sp ON u.user_id = sp.user_id
+      LEFT JOIN files f ON f.file_id = u.profile_file_id
       WHERE u.user_id = ? AND u.role = 'Student'`,
       [userId]
     );
@@ -77,14 +78,22 @@ const getStudentDashboard = async (req, res) => {
     const [sessionStats] = await pool.query(
       `SELECT COUNT(DISTINCT sa.session_id) AS session_count
       FROM session_attendees sa
-      WHERE sa.user_id = ?`,
+      JOIN sessions s ON sa.session_id = s.session_id
+      WHERE sa.user_id = ? AND s.status <> 'cancelled'`,
       [userId]
     );
 
+    const attendance = await getStudentAttendanceStats(userId);
+    const cooldown = await getNoShowCooldown(userId);
+
     const stats = {
       coursesEnrolled: currentCourses.length,
       totalCredits: totalCredits,
-      tutoringSessions: sessionStats[0]?.session_count || 0
+      tutoringSessions: sessionStats[0]?.session_count || 0,
+      attendance,
+      requestsBlocked: cooldown
+        ? { until: cooldown.blockedUntil, message: describeNoShowCooldown(cooldown) }
+        : null
     };
 
     return res.status(200).json({
@@ -100,7 +109,8 @@ const getStudentDashboard = async (req, res) => {
           gpa: student.gpa ? parseFloat(student.gpa) : null,
           expectedGraduation: student.expected_graduation_date,
           bio: student.bio,
-          profileFileId: student.profile_file_id
+          profileFileId: student.profile_file_id,
+          profilePictureUrl: student.profile_picture_url || null
         },
         courses: courses.map(c => {
           // Use course_number from database, fallback to extracting from title
@@ -137,13 +147,6 @@ const getStudentDashboard = async (req, res) => {
 const getTutorDashboard = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Get user and tutor profile
     const [userRows] = await pool.query(
@@ -154,6 +157,7 @@ const getTutorDashboard = async (req, res) => {
         u.last_name,
         u.role,
         u.profile_file_id,
+        f.url AS profile_picture_url,
         u.created_at,
         tp.years_experience,
         tp.verification_status,
@@ -166,6 +170,7 @@ const getTutorDashboard = async (req, res) => {
       FROM users u
       LEFT JOIN tutor_profiles tp ON u.user_id = tp.user_id
       LEFT JOIN tutor_ratings tr ON u.user_id = tr.tutor_user_id
+      LEFT JOIN files f ON f.file_id = u.profile_file_id
       WHERE u.user_id = ? AND u.role = 'Tutor'`,
       [userId]
     );
@@ -206,6 +211,8 @@ const getTutorDashboard = async (req, res) => {
         s.capacity,
         s.location_details,
         s.status,
+        s.series_id,
+        s.visibility,
         s.created_at,
         COUNT(DISTINCT sa.user_id) AS enrolled_count,
         GROUP_CONCAT(
@@ -223,7 +230,7 @@ const getTutorDashboard = async (req, res) => {
       LEFT JOIN session_courses sc ON s.session_id = sc.session_id
       LEFT JOIN courses c ON sc.course_id = c.course_id
       LEFT JOIN departments d ON c.department_id = d.department_id
-      WHERE s.tutor_id = ?
+      WHERE s.tutor_id = ? AND s.status <> 'cancelled'
       GROUP BY s.session_id
       ORDER BY s.start_time DESC`,
       [userId]
@@ -240,14 +247,17 @@ const getTutorDashboard = async (req, res) => {
       `SELECT COUNT(DISTINCT sa.user_id) AS student_count
       FROM sessions s
       JOIN session_attendees sa ON s.session_id = sa.session_id
-      WHERE s.tutor_id = ?`,
+      WHERE s.tutor_id = ? AND s.status <> 'cancelled'`,
       [userId]
     );
 
+    const attendance = await getTutorAttendanceStats(userId);
+
     const stats = {
       coursesOffered,
       activeSessions,
       studentsHelped: studentStats[0]?.student_count || 0,
+      attendance,
       rating: tutor.rating_avg ? parseFloat(tutor.rating_avg).toFixed(1) : null,
       ratingCount: tutor.rating_count || 0
     };
@@ -266,6 +276,7 @@ const getTutorDashboard = async (req, res) => {
           description: tutor.description,
           bio: tutor.bio,
           profileFileId: tutor.profile_file_id,
+          profilePictureUrl: tutor.profile_picture_url || null,
           resumeFileId: tutor.resume_file_id,
           memberSince: tutor.created_at
         },
@@ -290,6 +301,8 @@ const getTutorDashboard = async (req, res) => {
           capacity: s.capacity,
           locationDetails: s.location_details,
           status: s.status,
+          seriesId: s.series_id,
+          visibility: s.visibility,
           enrolledCount: s.enrolled_count,
           createdAt: s.created_at,
           courseNames: s.course_names || 'No course assigned',
@@ -315,13 +328,6 @@ const getTutorDashboard = async (req, res) => {
 const addStudentCourse = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     const { title, code, credits, instructor, schedule, termLabel, status } = req.body;
 
@@ -333,19 +339,6 @@ const addStudentCourse = async (req, res) => {
       });
     }
 
-    // Verify user is a student
-    const [studentCheck] = await pool.query(
-      'SELECT user_id FROM users WHERE user_id = ? AND role = "Student"',
-      [userId]
-    );
-
-    if (studentCheck.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'User is not a student'
-      });
-    }
-
     // Parse department code (e.g., "CSC 415" -> "CSC")
     const departmentCode = code.split(' ')[0].toUpperCase();
     const courseNumber = code.split(' ')[1] || '000';
@@ -462,13 +455,6 @@ const removeStudentCourse = async (req, res) => {
   const userId = req.session?.userId;
   const { courseId } = req.params;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Delete the enrollment
     const [result] = await pool.query(
@@ -503,13 +489,6 @@ const removeStudentCourse = async (req, res) => {
 const getStudentCalendar = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Get student courses with schedule information
     const [courses] = await pool.query(
@@ -603,13 +582,6 @@ const getStudentCalendar = async (req, res) => {
 const getTutorCalendar = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Get tutor's created sessions with details
     const [sessions] = await pool.query(
@@ -672,13 +644,6 @@ const getTutorCalendar = async (req, res) => {
 const updateStudentProfile = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     const { firstName, lastName, major, gpa, graduationDate, bio } = req.body;
 
@@ -755,13 +720,6 @@ const updateStudentProfile = async (req, res) => {
 const updateTutorProfile = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     const { firstName, lastName, yearsExperience, description, bio } = req.body;
 
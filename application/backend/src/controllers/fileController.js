@@ -0,0 +1,221 @@
+const { pool } = require('../config/db');
+const { getStorage } = require('../utils/fileStorage');
+const { processAvatar, storeFile, removeStoredFile, canAccessFile } = require('../utils/uploads');
+
+/**
+ * Set the current user's profile picture
+ * Multipart field "avatar" (JPEG, PNG or WebP). The image is cropped to a square,
+ * stored with a thumbnail, and replaces any previous avatar.
+ */
+const uploadAvatar = async (req, res) => {
+  const userId = req.session.userId;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Choose an image to upload'
+    });
+  }
+
+  let images;
+
+  try {
+    images = await processAvatar(req.file.buffer);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'That image could not be read. Try a different file.'
+    });
+  }
+
+  let connection;
+  let stored = null;
+  let previous = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [users] = await connection.query(
+      `SELECT f.file_id, f.storage_backend, f.storage_key, f.thumbnail_key
+       FROM users u
+       LEFT JOIN files f ON f.file_id = u.profile_file_id
+       WHERE u.user_id = ?
+       FOR UPDATE`,
+      [userId]
+    );
+
+    stored = await storeFile({
+      ownerId: userId,
+      purpose: 'avatar',
+      buffer: images.avatar,
+      thumbnail: images.thumbnail,
+      mimeType: 'image/webp',
+      extension: 'webp',
+      originalName: req.file.originalname
+    }, connection);
+
+    await connection.query('UPDATE users SET profile_file_id = ? WHERE user_id = ?', [stored.file_id, userId]);
+
+    if (users.length > 0 && users[0].file_id) {
+      previous = users[0];
+      await connection.query('UPDATE files SET deleted_at = NOW() WHERE file_id = ?', [previous.file_id]);
+    }
+
+    await connection.commit();
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (stored) await removeStoredFile(stored);
+    console.error('Error uploading avatar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload profile picture'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  if (previous) {
+    await removeStoredFile(previous);
+  }
+
+  const url = `/api/files/${stored.file_id}`;
+
+  return res.status(200).json({
+    success: true,
+    message: 'Profile picture updated',
+    data: {
+      fileId: stored.file_id,
+      url,
+      thumbnailUrl: `${url}?size=thumb`
+    }
+  });
+};
+
+/**
+ * Remove the current user's profile picture
+ */
+const removeAvatar = async (req, res) => {
+  const userId = req.session.userId;
+  let connection;
+  let previous = null;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [files] = await connection.query(
+      `SELECT f.file_id, f.storage_backend, f.storage_key, f.thumbnail_key
+       FROM users u
+       INNER JOIN files f ON f.file_id = u.profile_file_id
+       WHERE u.user_id = ?
+       FOR UPDATE`,
+      [userId]
+    );
+
+    if (files.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'You don\'t have a profile picture'
+      });
+    }
+
+    previous = files[0];
+
+    await connection.query('UPDATE users SET profile_file_id = NULL WHERE user_id = ?', [userId]);
+    await connection.query('UPDATE files SET deleted_at = NOW() WHERE file_id = ?', [previous.file_id]);
+
+    await connection.commit();
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error removing avatar:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove profile picture'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  await removeStoredFile(previous);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Profile picture removed'
+  });
+};
+
+/**
+ * Download an uploaded file
+ * Supports ?size=thumb for images that have a thumbnail. Avatars are public;
+ * other files need the owner's or an admin's session. Files the caller can't
+ * see are reported as not found.
+ */
+const downloadFile = async (req, res) => {
+  const fileId = parseInt(req.params.id, 10);
+
+  if (isNaN(fileId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid file ID'
+    });
+  }
+
+  try {
+    const [files] = await pool.query(
+      `SELECT file_id, owner_user_id, purpose, storage_backend, storage_key, thumbnail_key,
+              original_name, mime_type
+       FROM files
+       WHERE file_id = ? AND deleted_at IS NULL AND storage_key IS NOT NULL`,
+      [fileId]
+    );
+
+    const file = files[0];
+    let user = null;
+
+    if (file && req.session?.userId) {
+      const [users] = await pool.query('SELECT role FROM users WHERE user_id = ?', [req.session.userId]);
+      user = users.length > 0 ? { userId: req.session.userId, role: users[0].role } : null;
+    }
+
+    if (!file || !canAccessFile(file, user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const wantsThumbnail = req.query.size === 'thumb' && file.thumbnail_key;
+    const contents = await getStorage(file.storage_backend).read(wantsThumbnail ? file.thumbnail_key : file.storage_key);
+    const isPublic = canAccessFile(file, null);
+
+    res.set({
+      'Content-Type': file.mime_type,
+      'Content-Length': contents.length,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': isPublic ? 'public, max-age=86400' : 'private, no-store'
+    });
+
+    if (!file.mime_type.startsWith('image/')) {
+      res.attachment(file.original_name || `file-${file.file_id}`);
+    }
+
+    return res.status(200).send(contents);
+
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to download file'
+    });
+  }
+};
+
+module.exports = {
+  uploadAvatar,
+  removeAvatar,
+  downloadFile
+};
@@ -0,0 +1,314 @@
+const { pool } = require('../config/db');
+const {
+  MAX_INVITES_PER_SESSION,
+  normalizeInviteCode,
+  generateInviteCode,
+  validateInviteInput,
+  getInviteProblem,
+  findUsableInvite
+} = require('../utils/invites');
+
+/**
+ * Load a session the current tutor owns
+ * Returns { session } or { status, message } for the error response.
+ */
+const getOwnedSession = async (sessionId, userId) => {
+  const [sessions] = await pool.query(
+    `SELECT session_id, tutor_id, title, start_time, status, visibility
+     FROM sessions WHERE session_id = ?`,
+    [sessionId]
+  );
+
+  if (sessions.length === 0) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  if (sessions[0].tutor_id !== userId) {
+    return { status: 403, message: 'You can only manage invites for your own sessions' };
+  }
+
+  return { session: sessions[0] };
+};
+
+const formatInvite = (invite) => ({
+  inviteId: invite.invite_id,
+  code: invite.code,
+  skipApproval: invite.skip_approval === 1,
+  maxUses: invite.max_uses,
+  useCount: invite.use_count,
+  expiresAt: invite.expires_at,
+  revokedAt: invite.revoked_at,
+  createdAt: invite.created_at,
+  usable: getInviteProblem(invite) === null
+});
+
+/**
+ * List the invites for one of the current tutor's sessions, newest first
+ */
+const getSessionInvites = async (req, res) => {
+  const userId = req.session?.userId;
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (isNaN(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID'
+    });
+  }
+
+  try {
+    const { session, status, message } = await getOwnedSession(sessionId, userId);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const [invites] = await pool.query(
+      `SELECT invite_id, code, skip_approval, max_uses, use_count, expires_at, revoked_at, created_at
+       FROM session_invites
+       WHERE session_id = ?
+       ORDER BY created_at DESC, invite_id DESC`,
+      [sessionId]
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        visibility: session.visibility,
+        invites: invites.map(formatInvite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching session invites:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invites'
+    });
+  }
+};
+
+/**
+ * Create an invite code for one of the current tutor's upcoming sessions
+ * Body: { skipApproval?, maxUses?, expiresAt?: 'YYYY-MM-DDTHH:mm' }
+ * Works for public sessions too; there it lets students skip approval.
+ */
+const createSessionInvite = async (req, res) => {
+  const userId = req.session?.userId;
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (isNaN(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID'
+    });
+  }
+
+  try {
+    const { session, status, message } = await getOwnedSession(sessionId, userId);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (session.status !== 'scheduled' || new Date(session.start_time) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invites can only be created for upcoming sessions'
+      });
+    }
+
+    const { error, values } = validateInviteInput(req.body || {}, session);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [countRows] = await pool.query(
+      'SELECT COUNT(*) AS total FROM session_invites WHERE session_id = ? AND revoked_at IS NULL',
+      [sessionId]
+    );
+
+    if (countRows[0].total >= MAX_INVITES_PER_SESSION) {
+      return res.status(400).json({
+        success: false,
+        message: `A session can have at most ${MAX_INVITES_PER_SESSION} active invites. Revoke one first.`
+      });
+    }
+
+    // Codes are random; retry on the rare collision with an existing one
+    let inviteId = null;
+    let code;
+
+    for (let attempt = 0; attempt < 5 && inviteId === null; attempt++) {
+      code = generateInviteCode();
+
+      try {
+        const [result] = await pool.query(
+          `INSERT INTO session_invites (session_id, code, created_by, skip_approval, max_uses, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [sessionId, code, userId, values.skipApproval ? 1 : 0, values.maxUses, values.expiresAt]
+        );
+        inviteId = result.insertId;
+      } catch (insertError) {
+        if (insertError.code !== 'ER_DUP_ENTRY') throw insertError;
+      }
+    }
+
+    if (inviteId === null) {
+      throw new Error('Could not generate a unique invite code');
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invite created',
+      data: {
+        inviteId,
+        code,
+        skipApproval: values.skipApproval,
+        maxUses: values.maxUses,
+        useCount: 0,
+        expiresAt: values.expiresAt,
+        revokedAt: null,
+        usable: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating session invite:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create invite'
+    });
+  }
+};
+
+/**
+ * Revoke an invite so it can't be used again
+ * Students who already joined with it stay enrolled.
+ */
+const revokeSessionInvite = async (req, res) => {
+  const userId = req.session?.userId;
+  const sessionId = parseInt(req.params.id, 10);
+  const inviteId = parseInt(req.params.inviteId, 10);
+
+  if (isNaN(sessionId) || isNaN(inviteId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session or invite ID'
+    });
+  }
+
+  try {
+    const { session, status, message } = await getOwnedSession(sessionId, userId);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const [result] = await pool.query(
+      `UPDATE session_invites SET revoked_at = NOW()
+       WHERE invite_id = ? AND session_id = ? AND revoked_at IS NULL`,
+      [inviteId, sessionId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or already revoked'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invite revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking session invite:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invite'
+    });
+  }
+};
+
+/**
+ * Resolve an invite code to the session it's for
+ * Lets students type a code and land on the session page with the invite attached.
+ */
+const lookupInvite = async (req, res) => {
+  const code = normalizeInviteCode(req.params.code);
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invite code is required'
+    });
+  }
+
+  try {
+    const { invite, error } = await findUsableInvite(code);
+
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [sessions] = await pool.query(
+      `SELECT s.session_id, s.title, s.start_time, s.status,
+              CONCAT(u.first_name, ' ', u.last_name) AS tutor_name
+       FROM sessions s
+       INNER JOIN users u ON s.tutor_id = u.user_id
+       WHERE s.session_id = ?`,
+      [invite.session_id]
+    );
+
+    if (sessions.length === 0 || sessions[0].status !== 'scheduled' || new Date(sessions[0].start_time) <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'The session for this invite is no longer open'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code: invite.code,
+        sessionId: sessions[0].session_id,
+        title: sessions[0].title,
+        startTime: sessions[0].start_time,
+        tutorName: sessions[0].tutor_name,
+        skipApproval: invite.skip_approval === 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error looking up invite:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to look up invite'
+    });
+  }
+};
+
+module.exports = {
+  getSessionInvites,
+  createSessionInvite,
+  revokeSessionInvite,
+  lookupInvite
+};
@@ -1,20 +1,160 @@
 const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const { describeWeeklyRecurrence } = require('../utils/recurrence');
+const { formatSessionDateTime, formatSessionDetails } = require('../utils/sessionNotifications');
+const { getWaitlistPosition } = require('../utils/waitlist');
+const { getNoShowCooldown, describeNoShowCooldown } = require('../utils/attendance');
+const { findStudentConflicts } = require('../utils/conflicts');
+const { findUsableInvite, claimInvite } = require('../utils/invites');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+
+/**
+ * Get the upcoming occurrences of a series a student could still be enrolled in,
+ * with enrollment counts so callers can tell which ones are full
+ */
+const getOpenSeriesOccurrences = async (conn, seriesId, studentId) => {
+  const [occurrences] = await conn.query(
+    `SELECT s.session_id, s.start_time, s.end_time, s.capacity,
+            (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) AS enrolled_count
+     FROM sessions s
+     WHERE s.series_id = ? AND s.status = 'scheduled' AND s.start_time > NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM session_attendees sa WHERE sa.session_id = s.session_id AND sa.user_id = ?
+       )
+     ORDER BY s.start_time`,
+    [seriesId, studentId]
+  );
+
+  return occurrences;
+};
+
+/**
+ * Student sessions and classes that overlap any of the given sessions
+ * Each class is listed once even when several weekly occurrences hit it.
+ */
+const findConflictsForSessions = async (studentId, sessions, conn = pool) => {
+  const conflicts = [];
+  const seen = new Set();
+
+  for (const session of sessions) {
+    const found = await findStudentConflicts(
+      studentId, session.start_time, session.end_time, { excludeSessionIds: [session.session_id] }, conn
+    );
+
+    for (const conflict of found) {
+      const key = conflict.type === 'class' ? `class:${conflict.courseId}` : `session:${conflict.sessionId}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        conflicts.push(conflict);
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Enroll a student through an invite that skips approval
+ * Locks the sessions being joined so seats can't be oversold, counts one use of
+ * the invite and records an accepted join request so the enrollment shows up
+ * like any other. With wholeSeries every upcoming occurrence with space is joined.
+ * Returns { enrolledCount } or { status, error }.
+ */
+const enrollWithInvite = async ({ invite, session, studentId, studentName, wholeSeries, message }) => {
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const targetIds = wholeSeries
+      ? (await getOpenSeriesOccurrences(connection, session.series_id, studentId)).map(o => o.session_id)
+      : [session.session_id];
+
+    const [locked] = targetIds.length === 0 ? [[]] : await connection.query(
+      `SELECT s.session_id, s.capacity,
+              (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) AS enrolled_count
+       FROM sessions s
+       WHERE s.session_id IN (?) AND s.status = 'scheduled'
+       ORDER BY s.start_time
+       FOR UPDATE`,
+      [targetIds]
+    );
+
+    const openSessions = locked.filter(s => s.enrolled_count < s.capacity);
+
+    if (openSessions.length === 0) {
+      await connection.rollback();
+      return {
+        status: 400,
+        error: wholeSeries
+          ? 'There are no upcoming sessions in this series with space available'
+          : 'This session is already full'
+      };
+    }
+
+    if (!(await claimInvite(invite.invite_id, connection))) {
+      await connection.rollback();
+      return { status: 409, error: 'This invite is no longer valid. Ask the tutor for a new one.' };
+    }
+
+    const sessionTitle = session.title || 'Tutoring Session';
+    let content = `${studentName} joined your session with an invite code.\n\n`;
+    content += formatSessionDetails(session);
+    if (wholeSeries) {
+      content += `🔁 They were enrolled in ${openSessions.length} upcoming session${openSessions.length !== 1 ? 's' : ''} in this series.\n\n`;
+    }
+    if (message && message.trim()) {
+      content += `💬 Message from student:\n"${message.trim()}"\n\n`;
+    }
+    content += `Invite ${invite.code} doesn't need your approval. You can revoke it from your dashboard.`;
+
+    const messageId = await sendInboxMessage({
+      senderId: studentId,
+      receiverId: session.tutor_id,
+      subject: `Joined with Invite: ${sessionTitle}`,
+      content
+    }, connection);
+
+    await connection.query(
+      `INSERT INTO session_join_requests
+         (session_id, series_id, requester_user_id, tutor_user_id, message_id, status, responded_at, invite_id)
+       VALUES (?, ?, ?, ?, ?, 'accepted', CURRENT_TIMESTAMP, ?)`,
+      [session.session_id, wholeSeries ? session.series_id : null, studentId, session.tutor_id, messageId, invite.invite_id]
+    );
+
+    await connection.query(
+      'INSERT INTO session_attendees (session_id, user_id) VALUES ?',
+      [openSessions.map(s => [s.session_id, studentId])]
+    );
+
+    // Anyone joining outright no longer needs their waitlist spot
+    await connection.query(
+      'DELETE FROM session_waitlist WHERE session_id IN (?) AND user_id = ?',
+      [openSessions.map(s => s.session_id), studentId]
+    );
+
+    await connection.commit();
+    return { enrolledCount: openSessions.length };
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+};
 
 /**
  * Send a session join request to a tutor
  * Creates a message with message_type='session_join_request' and a session_join_requests record
+ * With wholeSeries: true the request covers every upcoming occurrence of the session's series
+ * Invite-only sessions need inviteCode; an invite that skips approval enrolls the student
+ * straight away instead of sending a request.
  */
 const sendSessionRequest = async (req, res) => {
-  // Check if user is logged in
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to send a request'
-    });
-  }
-
   const studentId = req.session.userId;
-  const { sessionId, tutorId, message } = req.body;
+  const { sessionId, tutorId, message, wholeSeries, confirmConflicts, inviteCode } = req.body;
 
   // Validate required fields
   if (!sessionId || !tutorId) {
@@ -24,13 +164,17 @@ const sendSessionRequest = async (req, res) => {
     });
   }
 
+  let connection;
+
   try {
     // Verify the session exists and get its details
     const [sessions] = await pool.query(
-      `SELECT s.session_id, s.tutor_id, s.title, s.start_time, s.end_time,
-              s.session_type, s.capacity, s.location_details,
+      `SELECT s.session_id, s.tutor_id, s.series_id, s.title, s.start_time, s.end_time,
+              s.session_type, s.capacity, s.location_details, s.booked_by_user_id, s.visibility,
+              ss.weekdays AS series_weekdays, ss.until_date AS series_until_date,
               (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) as enrolled_count
        FROM sessions s
+       LEFT JOIN session_series ss ON s.series_id = ss.series_id
        WHERE s.session_id = ?`,
       [sessionId]
     );
@@ -60,14 +204,90 @@ const sendSessionRequest = async (req, res) => {
       });
     }
 
-    // Check if session is full
-    if (session.enrolled_count >= session.capacity) {
+    // Booked slots belong to the student who booked them
+    if (session.booked_by_user_id && session.booked_by_user_id !== studentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This one-on-one session was booked by another student'
+      });
+    }
+
+    // Invite-only sessions need a working invite; public sessions can still use one to skip approval
+    let invite = null;
+    if (session.visibility === 'invite_only' || inviteCode) {
+      const result = await findUsableInvite(inviteCode, session.session_id);
+      if (result.error) {
+        return res.status(403).json({
+          success: false,
+          message: result.error
+        });
+      }
+      invite = result.invite;
+    }
+
+    // Repeated no-shows block new requests for a while
+    const cooldown = await getNoShowCooldown(studentId);
+    if (cooldown) {
+      return res.status(403).json({
+        success: false,
+        message: describeNoShowCooldown(cooldown)
+      });
+    }
+
+    let openOccurrences = [];
+
+    if (wholeSeries) {
+      if (!session.series_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'This session is not part of a series'
+        });
+      }
+
+      const [seriesRequests] = await pool.query(
+        `SELECT 1 FROM session_join_requests
+         WHERE series_id = ? AND requester_user_id = ? AND status = 'pending'`,
+        [session.series_id, studentId]
+      );
+
+      if (seriesRequests.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a pending request for this series'
+        });
+      }
+
+      openOccurrences = (await getOpenSeriesOccurrences(pool, session.series_id, studentId))
+        .filter(o => o.enrolled_count < o.capacity);
+
+      if (openOccurrences.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'There are no upcoming sessions in this series with space available'
+        });
+      }
+    } else if (session.enrolled_count >= session.capacity) {
+      // Check if session is full
       return res.status(400).json({
         success: false,
         message: 'This session is already full'
       });
     }
 
+    // Clashes with the student's other sessions or classes need an explicit go-ahead
+    if (!confirmConflicts) {
+      const conflicts = await findConflictsForSessions(studentId, wholeSeries ? openOccurrences : [session]);
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          requiresConfirmation: true,
+          message: 'This overlaps with something already on your schedule',
+          conflicts
+        });
+      }
+    }
+
     // Check if student already has a pending or accepted request for this session
     const [existingRequests] = await pool.query(
       `SELECT status FROM session_join_requests
@@ -82,7 +302,7 @@ const sendSessionRequest = async (req, res) => {
           success: false,
           message: 'You already have a pending request for this session'
         });
-      } else if (existingStatus === 'accepted') {
+      } else if (existingStatus === 'accepted' && !wholeSeries) {
         return res.status(400).json({
           success: false,
           message: 'You are already enrolled in this session'
@@ -101,7 +321,7 @@ const sendSessionRequest = async (req, res) => {
       [sessionId, studentId]
     );
 
-    if (existingEnrollment.length > 0) {
+    if (existingEnrollment.length > 0 && !wholeSeries) {
       return res.status(400).json({
         success: false,
         message: 'You are already enrolled in this session'
@@ -123,6 +343,25 @@ const sendSessionRequest = async (req, res) => {
 
     const studentName = `${students[0].first_name} ${students[0].last_name}`;
 
+    if (invite && invite.skip_approval) {
+      const result = await enrollWithInvite({ invite, session, studentId, studentName, wholeSeries, message });
+
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      return res.status(201).json({
+        success: true,
+        enrolled: true,
+        message: result.enrolledCount > 1
+          ? `You've been enrolled in ${result.enrolledCount} sessions of this series`
+          : `You've been enrolled in this session`
+      });
+    }
+
     // Format the session date/time for the message
     const sessionDate = new Date(session.start_time);
     const formattedDate = sessionDate.toLocaleDateString('en-US', {
@@ -147,15 +386,38 @@ const sendSessionRequest = async (req, res) => {
     let messageContent = `📚 Session Request: ${sessionTitle}\n`;
     messageContent += `📅 ${formattedDate} at ${formattedTime}\n`;
     messageContent += `📍 ${session.location_details || 'Location TBD'}\n`;
-    messageContent += `👥 Type: ${sessionType}\n\n`;
-    messageContent += `${studentName} would like to join this session.`;
+    messageContent += `👥 Type: ${sessionType}\n`;
+
+    if (wholeSeries) {
+      messageContent += `🔁 Series: ${describeWeeklyRecurrence(session.series_weekdays, session.series_until_date)} `;
+      messageContent += `(${openOccurrences.length} upcoming session${openOccurrences.length !== 1 ? 's' : ''} with space)\n\n`;
+      messageContent += `${studentName} would like to join every session in this series.`;
+    } else {
+      messageContent += `\n${studentName} would like to join this session.`;
+    }
+
+    if (invite) {
+      messageContent += `\n🎟️ Sent with invite code ${invite.code}.`;
+    }
 
     if (message && message.trim()) {
       messageContent += `\n\n💬 Message from student:\n"${message.trim()}"`;
     }
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // An invite that still needs approval is used up by the request itself
+    if (invite && !(await claimInvite(invite.invite_id, connection))) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'This invite is no longer valid. Ask the tutor for a new one.'
+      });
+    }
+
     // Insert the message into the messages table with message_type = 'session_join_request'
-    const [result] = await pool.query(
+    const [result] = await connection.query(
       `INSERT INTO messages (sender_id, receiver_id, subject, message_type, message_content)
        VALUES (?, ?, ?, 'session_join_request', ?)`,
       [studentId, tutorId, messageSubject, messageContent]
@@ -164,26 +426,28 @@ const sendSessionRequest = async (req, res) => {
     const messageId = result.insertId;
 
     // Insert into user_messages for sender (sent folder)
-    await pool.query(
+    await connection.query(
       `INSERT INTO user_messages (user_id, message_id, folder, is_read)
        VALUES (?, ?, 'sent', 1)`,
       [studentId, messageId]
     );
 
     // Insert into user_messages for receiver (inbox folder)
-    await pool.query(
+    await connection.query(
       `INSERT INTO user_messages (user_id, message_id, folder, is_read)
        VALUES (?, ?, 'inbox', 0)`,
       [tutorId, messageId]
     );
 
     // Insert into session_join_requests table
-    await pool.query(
-      `INSERT INTO session_join_requests (session_id, requester_user_id, tutor_user_id, message_id, status)
-       VALUES (?, ?, ?, ?, 'pending')`,
-      [sessionId, studentId, tutorId, messageId]
+    await connection.query(
+      `INSERT INTO session_join_requests (session_id, series_id, requester_user_id, tutor_user_id, message_id, status, invite_id)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [sessionId, wholeSeries ? session.series_id : null, studentId, tutorId, messageId, invite ? invite.invite_id : null]
     );
 
+    await connection.commit();
+
     return res.status(201).json({
       success: true,
       message: 'Your request has been sent to the tutor',
@@ -191,11 +455,14 @@ const sendSessionRequest = async (req, res) => {
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error('Error sending session request:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to send request. Please try again.'
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -204,13 +471,6 @@ const sendSessionRequest = async (req, res) => {
  * Includes message_type and session_join_request details for session requests
  */
 const getInboxMessages = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to view messages'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -228,6 +488,7 @@ const getInboxMessages = async (req, res) => {
         sjr.request_id,
         sjr.session_id,
         sjr.status AS request_status,
+        sjr.series_id AS request_series_id,
         s.title AS session_title,
         s.start_time AS session_start_time,
         s.capacity AS session_capacity,
@@ -258,6 +519,7 @@ const getInboxMessages = async (req, res) => {
         requestId: msg.request_id || null,
         sessionId: msg.session_id || null,
         requestStatus: msg.request_status || null,
+        seriesId: msg.request_series_id || null,
         sessionTitle: msg.session_title || null,
         sessionStartTime: msg.session_start_time || null,
         sessionCapacity: msg.session_capacity || null,
@@ -277,13 +539,6 @@ const getInboxMessages = async (req, res) => {
  * Get sent messages (messages sent by the current user)
  */
 const getSentMessages = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to view messages'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -330,13 +585,6 @@ const getSentMessages = async (req, res) => {
  * Get draft messages
  */
 const getDraftMessages = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to view drafts'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -382,13 +630,6 @@ const getDraftMessages = async (req, res) => {
  * Get trash messages
  */
 const getTrashMessages = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to view trash'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -448,13 +689,6 @@ const getTrashMessages = async (req, res) => {
  * Send a new message to another user
  */
 const sendMessage = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to send messages'
-    });
-  }
-
   const senderId = req.session.userId;
   const { receiverId, receiverEmail, subject, message } = req.body;
 
@@ -564,13 +798,6 @@ const sendMessage = async (req, res) => {
  * Save a draft message
  */
 const saveDraft = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in to save drafts'
-    });
-  }
-
   const senderId = req.session.userId;
   const { receiverId, receiverEmail, subject, message } = req.body;
 
@@ -629,13 +856,6 @@ const saveDraft = async (req, res) => {
  * Update an existing draft
  */
 const updateDraft = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
   const { receiverId, receiverEmail, subject, message } = req.body;
@@ -703,13 +923,6 @@ const updateDraft = async (req, res) => {
  * Send a draft (convert to sent message)
  */
 const sendDraft = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
 
@@ -805,13 +1018,6 @@ const sendDraft = async (req, res) => {
  * Mark a message as read
  */
 const markMessageAsRead = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
 
@@ -847,13 +1053,6 @@ const markMessageAsRead = async (req, res) => {
  * Get unread message count for the current user
  */
 const getUnreadCount = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -881,13 +1080,6 @@ const getUnreadCount = async (req, res) => {
  * Search users by email or name (for compose autocomplete)
  */
 const searchUsers = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const query = (req.query.q || '').trim();
   const userId = req.session.userId;
 
@@ -933,13 +1125,6 @@ const searchUsers = async (req, res) => {
  * Move a message to trash (or permanently delete if already in trash)
  */
 const deleteMessage = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
 
@@ -995,13 +1180,6 @@ const deleteMessage = async (req, res) => {
  * Restore a message from trash
  */
 const restoreFromTrash = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
 
@@ -1066,13 +1244,6 @@ const restoreFromTrash = async (req, res) => {
  * Permanently delete a draft
  */
 const deleteDraft = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
   const messageId = req.params.id;
 
@@ -1129,13 +1300,6 @@ const deleteDraft = async (req, res) => {
  * Empty trash (permanently delete all messages in trash)
  */
 const emptyTrash = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
@@ -1160,19 +1324,14 @@ const emptyTrash = async (req, res) => {
 /**
  * Accept a session join request
  * - Updates session_join_requests status to 'accepted'
- * - Adds student to session_attendees
+ * - Adds student to session_attendees (every upcoming occurrence with space for a series request)
  * - Sends acceptance message to student
+ * Seats are rechecked with the sessions locked, in the same transaction as the enrollment.
  */
 const acceptSessionRequest = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const tutorId = req.session.userId;
   const requestId = parseInt(req.params.id, 10);
+  const { confirmConflicts } = req.body || {};
 
   if (isNaN(requestId)) {
     return res.status(400).json({
@@ -1181,10 +1340,12 @@ const acceptSessionRequest = async (req, res) => {
     });
   }
 
+  let connection;
+
   try {
     // Get the request details
     const [requests] = await pool.query(
-      `SELECT sjr.*, s.title, s.capacity, s.start_time, s.location_details,
+      `SELECT sjr.*, s.title, s.capacity, s.start_time, s.end_time, s.location_details,
               CONCAT(u.first_name, ' ', u.last_name) AS student_name,
               u.user_id AS student_id,
               (SELECT COUNT(*) FROM session_attendees WHERE session_id = sjr.session_id) AS enrolled_count
@@ -1220,27 +1381,102 @@ const acceptSessionRequest = async (req, res) => {
       });
     }
 
-    // Check if session is full
-    if (request.enrolled_count >= request.capacity) {
+    let targetIds = [request.session_id];
+
+    if (request.series_id) {
+      // Whole-series request: enroll in every upcoming occurrence that still has space
+      const occurrences = await getOpenSeriesOccurrences(pool, request.series_id, request.student_id);
+      const openOccurrences = occurrences.filter(o => o.enrolled_count < o.capacity);
+
+      if (openOccurrences.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every upcoming session in this series is full. Cannot accept more students.'
+        });
+      }
+
+      if (!confirmConflicts) {
+        const conflicts = await findConflictsForSessions(request.student_id, openOccurrences);
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            requiresConfirmation: true,
+            message: `${request.student_name} has other commitments during some of these sessions`,
+            conflicts
+          });
+        }
+      }
+
+      targetIds = occurrences.map(o => o.session_id);
+    } else {
+      // Check if session is full
+      if (request.enrolled_count >= request.capacity) {
+        return res.status(400).json({
+          success: false,
+          message: 'This session is already full. Cannot accept more students.'
+        });
+      }
+
+      if (!confirmConflicts) {
+        const conflicts = await findConflictsForSessions(request.student_id, [request]);
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            requiresConfirmation: true,
+            message: `${request.student_name} has other commitments during this session`,
+            conflicts
+          });
+        }
+      }
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the request so it can only be answered once
+    const [pending] = await connection.query(
+      `SELECT request_id FROM session_join_requests
+       WHERE request_id = ? AND status = 'pending'
+       FOR UPDATE`,
+      [requestId]
+    );
+
+    if (pending.length === 0) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'This session is already full. Cannot accept more students.'
+        message: 'This request has already been answered'
       });
     }
 
-    // Check if student is already enrolled (edge case)
-    const [existingEnrollment] = await pool.query(
-      `SELECT 1 FROM session_attendees WHERE session_id = ? AND user_id = ?`,
-      [request.session_id, request.student_id]
+    // Seats are counted again under the session locks - waitlist promotion and
+    // other requests compete for the same seats
+    const [locked] = await connection.query(
+      `SELECT s.session_id, s.start_time, s.capacity,
+              (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) AS enrolled_count,
+              EXISTS (
+                SELECT 1 FROM session_attendees WHERE session_id = s.session_id AND user_id = ?
+              ) AS already_enrolled
+       FROM sessions s
+       WHERE s.session_id IN (?) AND s.status = 'scheduled'
+       ORDER BY s.start_time
+       FOR UPDATE`,
+      [request.student_id, targetIds]
     );
 
-    if (existingEnrollment.length > 0) {
+    const candidates = locked.filter(s => !s.already_enrolled);
+    const openSessions = candidates.filter(s => s.enrolled_count < s.capacity);
+
+    if (!request.series_id && locked.length > 0 && locked[0].already_enrolled) {
       // Update request status anyway
-      await pool.query(
+      await connection.query(
         `UPDATE session_join_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
          WHERE request_id = ?`,
         [requestId]
       );
+      await connection.commit();
 
       return res.status(400).json({
         success: false,
@@ -1248,19 +1484,46 @@ const acceptSessionRequest = async (req, res) => {
       });
     }
 
+    if (openSessions.length === 0) {
+      await connection.rollback();
+      let message = 'This session is no longer open for enrollment';
+      if (request.series_id) {
+        message = 'Every upcoming session in this series is full. Cannot accept more students.';
+      } else if (candidates.length > 0) {
+        message = 'This session is already full. Cannot accept more students.';
+      }
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
     // Update request status to 'accepted'
-    await pool.query(
+    await connection.query(
       `UPDATE session_join_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
        WHERE request_id = ?`,
       [requestId]
     );
 
     // Add student to session_attendees
-    await pool.query(
-      `INSERT INTO session_attendees (session_id, user_id) VALUES (?, ?)`,
-      [request.session_id, request.student_id]
+    await connection.query(
+      'INSERT INTO session_attendees (session_id, user_id) VALUES ?',
+      [openSessions.map(s => [s.session_id, request.student_id])]
     );
 
+    // Anyone enrolled no longer needs their waitlist spot
+    await connection.query(
+      'DELETE FROM session_waitlist WHERE session_id IN (?) AND user_id = ?',
+      [openSessions.map(s => s.session_id), request.student_id]
+    );
+
+    await connection.commit();
+
+    const enrolledCount = openSessions.length;
+    const skippedDates = candidates
+      .filter(s => s.enrolled_count >= s.capacity)
+      .map(s => formatSessionDateTime(s.start_time).formattedDate);
+
     // Format the session date/time for the response message
     const sessionDate = new Date(request.start_time);
     const formattedDate = sessionDate.toLocaleDateString('en-US', {
@@ -1288,6 +1551,13 @@ const acceptSessionRequest = async (req, res) => {
     acceptContent += `📅 Date: ${formattedDate}\n`;
     acceptContent += `🕐 Time: ${formattedTime}\n`;
     acceptContent += `📍 Location: ${request.location_details || 'TBD'}\n\n`;
+    if (request.series_id) {
+      acceptContent += `🔁 You've been enrolled in ${enrolledCount} upcoming session${enrolledCount !== 1 ? 's' : ''} in this series.\n`;
+      if (skippedDates.length > 0) {
+        acceptContent += `These sessions were already full and were skipped: ${skippedDates.join(', ')}\n`;
+      }
+      acceptContent += `\n`;
+    }
     acceptContent += `${tutorName} is looking forward to seeing you at the session!`;
 
     // Insert the acceptance message
@@ -1313,15 +1583,20 @@ const acceptSessionRequest = async (req, res) => {
 
     return res.json({
       success: true,
-      message: `${request.student_name} has been enrolled in the session`
+      message: request.series_id
+        ? `${request.student_name} has been enrolled in ${enrolledCount} session${enrolledCount !== 1 ? 's' : ''} of the series`
+        : `${request.student_name} has been enrolled in the session`
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error('Error accepting session request:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to accept request. Please try again.'
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -1331,13 +1606,6 @@ const acceptSessionRequest = async (req, res) => {
  * - Sends denial message to student
  */
 const denySessionRequest = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const tutorId = req.session.userId;
   const requestId = parseInt(req.params.id, 10);
   const { reason } = req.body; // Optional reason for denial
@@ -1352,7 +1620,7 @@ const denySessionRequest = async (req, res) => {
   try {
     // Get the request details
     const [requests] = await pool.query(
-      `SELECT sjr.*, s.title, s.start_time,
+      `SELECT sjr.*, s.title, s.start_time, s.booked_by_user_id,
               CONCAT(u.first_name, ' ', u.last_name) AS student_name,
               u.user_id AS student_id
        FROM session_join_requests sjr
@@ -1394,6 +1662,21 @@ const denySessionRequest = async (req, res) => {
       [requestId]
     );
 
+    // A denied booking frees the slot it was holding. The tutor never confirmed it, so
+    // like an expired booking it isn't recorded as a cancellation by them
+    if (request.booked_by_user_id === request.student_id) {
+      const [cancelled] = await pool.query(
+        `UPDATE sessions
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'The tutor did not accept the booking'
+         WHERE session_id = ? AND status = 'scheduled'`,
+        [request.session_id]
+      );
+
+      if (cancelled.affectedRows > 0) {
+        await invalidateTutorStats(tutorId);
+      }
+    }
+
     // Get tutor's name
     const [tutors] = await pool.query(
       'SELECT first_name, last_name FROM users WHERE user_id = ?',
@@ -1448,16 +1731,10 @@ const denySessionRequest = async (req, res) => {
 
 /**
  * Get session request status for a student
- * Used to check if a student already has a pending/accepted request for a session
+ * Used to check if a student already has a pending/accepted request for a session,
+ * or where they are on its waitlist
  */
 const getSessionRequestStatus = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'You must be logged in'
-    });
-  }
-
   const studentId = req.session.userId;
   const sessionId = parseInt(req.params.sessionId, 10);
 
@@ -1478,7 +1755,7 @@ const getSessionRequestStatus = async (req, res) => {
 
     // Check if already enrolled
     const [enrollment] = await pool.query(
-      `SELECT 1 FROM session_attendees WHERE session_id = ? AND user_id = ?`,
+      `SELECT attendance_status FROM session_attendees WHERE session_id = ? AND user_id = ?`,
       [sessionId, studentId]
     );
 
@@ -1486,10 +1763,40 @@ const getSessionRequestStatus = async (req, res) => {
       return res.json({
         success: true,
         status: 'enrolled',
+        attendanceStatus: enrollment[0].attendance_status,
         message: 'You are already enrolled in this session'
       });
     }
 
+    const waitlist = await getWaitlistPosition(sessionId, studentId);
+
+    if (waitlist) {
+      return res.json({
+        success: true,
+        status: 'waitlisted',
+        waitlistPosition: waitlist.position,
+        waitlistTotal: waitlist.total,
+        message: `You are number ${waitlist.position} of ${waitlist.total} on the waitlist`
+      });
+    }
+
+    // A pending whole-series request covers every occurrence of the series
+    const [seriesRequests] = await pool.query(
+      `SELECT sjr.request_id FROM session_join_requests sjr
+       INNER JOIN sessions s ON s.series_id = sjr.series_id
+       WHERE s.session_id = ? AND sjr.requester_user_id = ? AND sjr.status = 'pending'`,
+      [sessionId, studentId]
+    );
+
+    if (seriesRequests.length > 0) {
+      return res.json({
+        success: true,
+        status: 'pending',
+        seriesRequest: true,
+        message: 'Your request to join this series is pending approval'
+      });
+    }
+
     if (requests.length > 0) {
       return res.json({
         success: true,
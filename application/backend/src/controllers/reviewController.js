@@ -0,0 +1,319 @@
+const { pool } = require('../config/db');
+const {
+  MAX_REPLY_LENGTH,
+  MAX_REPORT_DETAILS_LENGTH,
+  REPORT_REASONS,
+  validateReviewInput,
+  refreshTutorRating,
+  getPendingReviews
+} = require('../utils/reviews');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+
+/**
+ * Review the tutor of a completed session
+ * Body: { rating: 1-5, comment? }
+ * Only students enrolled in the session can review it, once the session is over,
+ * and only once. Attendance must be verified: the student checked in or the tutor
+ * marked them present. tutor_ratings is updated in the same transaction.
+ */
+const createSessionReview = async (req, res) => {
+  const studentId = req.session?.userId;
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (isNaN(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID'
+    });
+  }
+
+  const { error, values } = validateReviewInput(req.body || {});
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT s.session_id, s.tutor_id, s.status, sa.attendance_status
+       FROM sessions s
+       INNER JOIN session_attendees sa ON sa.session_id = s.session_id AND sa.user_id = ?
+       WHERE s.session_id = ?
+       FOR UPDATE`,
+      [studentId, sessionId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review sessions you were enrolled in'
+      });
+    }
+
+    const session = rows[0];
+
+    if (session.status !== 'over') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'You can review this session once it has ended'
+      });
+    }
+
+    if (session.attendance_status !== 'present') {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: session.attendance_status === 'absent'
+          ? 'You were marked absent from this session, so you can\'t review it'
+          : 'Your attendance for this session hasn\'t been recorded, so you can\'t review it'
+      });
+    }
+
+    const [existing] = await connection.query(
+      'SELECT 1 FROM reviews WHERE session_id = ? AND student_id = ?',
+      [sessionId, studentId]
+    );
+
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this session'
+      });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO reviews (session_id, student_id, tutor_id, rating, comment)
+       VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, studentId, session.tutor_id, values.rating, values.comment]
+    );
+
+    await refreshTutorRating(session.tutor_id, connection);
+    await invalidateTutorStats(session.tutor_id, connection);
+
+    await connection.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Thanks for your review!',
+      data: {
+        reviewId: result.insertId,
+        sessionId,
+        rating: values.rating,
+        comment: values.comment
+      }
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+
+    // Two submissions racing past the check above
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this session'
+      });
+    }
+
+    console.error('Error creating session review:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save review'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Completed sessions the current student attended recently and hasn't reviewed yet
+ */
+const getMyPendingReviews = async (req, res) => {
+  try {
+    const sessions = await getPendingReviews(req.session.userId);
+
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Error fetching pending reviews:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions to review'
+    });
+  }
+};
+
+/**
+ * Post, edit or remove the tutor's public reply to a review of them
+ * Body: { reply } - an empty reply removes it
+ */
+const replyToReview = async (req, res) => {
+  const tutorId = req.session?.userId;
+  const reviewId = parseInt(req.params.id, 10);
+  const reply = typeof req.body?.reply === 'string' ? req.body.reply.trim() : '';
+
+  if (isNaN(reviewId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid review ID'
+    });
+  }
+
+  if (reply.length > MAX_REPLY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Reply must be ${MAX_REPLY_LENGTH} characters or less`
+    });
+  }
+
+  try {
+    const [reviews] = await pool.query(
+      'SELECT review_id, tutor_id, hidden_at FROM reviews WHERE review_id = ?',
+      [reviewId]
+    );
+
+    if (reviews.length === 0 || reviews[0].hidden_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (reviews[0].tutor_id !== tutorId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only reply to reviews on your own profile'
+      });
+    }
+
+    await pool.query(
+      `UPDATE reviews
+       SET tutor_reply = ?, tutor_replied_at = IF(? IS NULL, NULL, NOW())
+       WHERE review_id = ?`,
+      [reply || null, reply || null, reviewId]
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: reply ? 'Reply saved' : 'Reply removed',
+      data: {
+        reviewId,
+        reply: reply || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving review reply:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save reply'
+    });
+  }
+};
+
+/**
+ * Report a review to the moderators
+ * Body: { reason: one of REPORT_REASONS, details? }
+ * Each user can report a review once. Tutors can report reviews of themselves.
+ */
+const reportReview = async (req, res) => {
+  const userId = req.session?.userId;
+  const reviewId = parseInt(req.params.id, 10);
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  const details = typeof req.body?.details === 'string' ? req.body.details.trim() : '';
+
+  if (isNaN(reviewId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid review ID'
+    });
+  }
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+    });
+  }
+
+  if (reason === 'other' && !details) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please describe the problem with this review'
+    });
+  }
+
+  if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Details must be ${MAX_REPORT_DETAILS_LENGTH} characters or less`
+    });
+  }
+
+  try {
+    const [reviews] = await pool.query(
+      'SELECT review_id, student_id, hidden_at FROM reviews WHERE review_id = ?',
+      [reviewId]
+    );
+
+    if (reviews.length === 0 || reviews[0].hidden_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (reviews[0].student_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can\'t report your own review'
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO review_reports (review_id, reporter_user_id, reason, details)
+       VALUES (?, ?, ?, ?)`,
+      [reviewId, userId, reason, details || null]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will look at this review'
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    console.error('Error reporting review:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to report review'
+    });
+  }
+};
+
+module.exports = {
+  createSessionReview,
+  getMyPendingReviews,
+  replyToReview,
+  reportReview
+};
@@ -1,4 +1,6 @@
 const { pool } = require('../config/db');
+const { describeWeeklyRecurrence } = require('../utils/recurrence');
+const { findUsableInvite, hasInviteOnlyAccess } = require('../utils/invites');
 
 exports.getSubjects = async (req, res) => {
   try {
@@ -183,6 +185,8 @@ exports.search = async (req, res) => {
       LEFT JOIN departments d      ON c.department_id = d.department_id
       WHERE tp.verification_status = 'verified'
         AND sess.status IN ('scheduled', 'active')
+        AND sess.booked_by_user_id IS NULL
+        AND sess.visibility = 'public'
         AND DATE(sess.start_time) >= CURDATE()
     `;
 
@@ -237,7 +241,6 @@ exports.search = async (req, res) => {
         u.first_name,
         u.last_name,
         tr.rating_avg
-      HAVING (SELECT COUNT(*) FROM session_attendees sa WHERE sa.session_id = sess.session_id) < sess.capacity
       ORDER BY sess.start_time ASC
     `;
 
@@ -323,6 +326,8 @@ exports.search = async (req, res) => {
       tutor_rating: parseFloat(row.tutor_rating) || 0,
       subjects: row.subjects ? row.subjects.split(', ').filter(Boolean) : [],
       courses: row.courses ? row.courses.split(', ').filter(Boolean) : [],
+      enrolled_count: row.enrolled_count,
+      is_full: row.enrolled_count >= row.capacity,
     }));
 
     const tutors = tutorRows.map((row) => ({
@@ -371,6 +376,10 @@ exports.getSessionById = async (req, res) => {
         sess.capacity,
         sess.location_details,
         sess.status,
+        sess.series_id,
+        sess.cancelled_at,
+        sess.cancellation_reason,
+        sess.visibility,
         CONCAT(u.first_name, ' ', u.last_name) AS tutor_name,
         u.user_id AS tutor_id,
         COALESCE(tr.rating_avg, 0) AS tutor_rating,
@@ -399,6 +408,10 @@ exports.getSessionById = async (req, res) => {
         sess.capacity,
         sess.location_details,
         sess.status,
+        sess.series_id,
+        sess.cancelled_at,
+        sess.cancellation_reason,
+        sess.visibility,
         u.user_id,
         u.first_name,
         u.last_name,
@@ -413,6 +426,18 @@ exports.getSessionById = async (req, res) => {
 
     const row = rows[0];
 
+    // Invite-only sessions are only visible to people involved with them or holding an invite (?invite=CODE)
+    let invite = null;
+    if (req.query.invite) {
+      const result = await findUsableInvite(req.query.invite, row.session_id);
+      invite = result.invite || null;
+    }
+
+    if (row.visibility === 'invite_only' && !invite &&
+        !(await hasInviteOnlyAccess(row.session_id, req.session?.userId))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     // Get current enrollment count from session_attendees
     const [attendeeRows] = await pool.execute(
       'SELECT COUNT(*) AS enrolled FROM session_attendees WHERE session_id = ?',
@@ -420,6 +445,33 @@ exports.getSessionById = async (req, res) => {
     );
     const enrolled = attendeeRows[0]?.enrolled || 0;
 
+    const [waitlistRows] = await pool.execute(
+      'SELECT COUNT(*) AS waiting FROM session_waitlist WHERE session_id = ?',
+      [sessionId]
+    );
+    const waitlistCount = waitlistRows[0]?.waiting || 0;
+
+    // Sessions in a recurring series also report the schedule and what's left of it
+    let series = null;
+    if (row.series_id) {
+      const [seriesRows] = await pool.execute(
+        `SELECT ss.weekdays, ss.until_date,
+                (SELECT COUNT(*) FROM sessions
+                 WHERE series_id = ss.series_id AND status = 'scheduled' AND start_time > NOW()) AS upcoming
+         FROM session_series ss
+         WHERE ss.series_id = ?`,
+        [row.series_id]
+      );
+
+      if (seriesRows.length > 0) {
+        series = {
+          id: row.series_id,
+          description: describeWeeklyRecurrence(seriesRows[0].weekdays, seriesRows[0].until_date),
+          upcomingSessions: seriesRows[0].upcoming
+        };
+      }
+    }
+
     // Calculate duration in minutes
     const startTime = new Date(row.start_time);
     const endTime = new Date(row.end_time);
@@ -440,7 +492,13 @@ exports.getSessionById = async (req, res) => {
       location: row.location_details || 'TBD',
       capacity: row.capacity,
       enrolled: enrolled,
+      waitlistCount: waitlistCount,
       status: row.status,
+      cancelledAt: row.cancelled_at,
+      cancellationReason: row.cancellation_reason,
+      visibility: row.visibility,
+      invite: invite ? { code: invite.code, skipApproval: invite.skip_approval === 1 } : null,
+      series,
     };
 
     res.json(session);
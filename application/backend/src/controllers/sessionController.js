@@ -1,177 +1,688 @@
 const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const {
+  formatSessionDateTime,
+  formatSessionDetails,
+  notifySessionCancelled,
+  notifySeriesCancelled
+} = require('../utils/sessionNotifications');
+const { expandWeeklyRecurrence, describeWeeklyRecurrence } = require('../utils/recurrence');
+const { getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { getNoShowCooldown, describeNoShowCooldown } = require('../utils/attendance');
+const { lockTutorSchedule, findTutorConflicts } = require('../utils/conflicts');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+const { findUsableInvite, hasInviteOnlyAccess } = require('../utils/invites');
+
+// Format datetime for MySQL - preserve the local time as-is (don't convert to UTC)
+// Input format is "YYYY-MM-DDTHH:mm:ss", we just need to replace T with space
+const formatDateForMySQL = (dateStr) => {
+  return dateStr.replace('T', ' ');
+};
+
+const SESSION_VISIBILITIES = ['public', 'invite_only'];
+
+/**
+ * Validate session fields shared by create and update
+ * Returns { error } with a 400 message, or { values } ready to save.
+ * values.courses holds the matching course rows (with department_code/course_number).
+ */
+const validateSessionInput = async (input, tutorId) => {
+  const { title, sessionType, courseIds, startTime, endTime, capacity, locationDetails, visibility = 'public' } = input;
+
+  // Validate required fields
+  if (!title || !sessionType || !courseIds || !startTime || !endTime || !capacity) {
+    return { error: 'Missing required fields: title, sessionType, courseIds, startTime, endTime, and capacity are required' };
+  }
+
+  // Validate courseIds is an array
+  if (!Array.isArray(courseIds) || courseIds.length === 0) {
+    return { error: 'At least one course must be selected' };
+  }
+
+  // Validate title length
+  if (title.trim().length > 150) {
+    return { error: 'Session title must be 150 characters or less' };
+  }
+
+  // Validate session type
+  if (!['open', 'one_on_one'].includes(sessionType)) {
+    return { error: 'Invalid session type. Must be "open" or "one_on_one"' };
+  }
+
+  // Invite-only sessions are hidden from search and need an invite code to join
+  if (!SESSION_VISIBILITIES.includes(visibility)) {
+    return { error: 'Invalid visibility. Must be "public" or "invite_only"' };
+  }
+
+  // Verify all courses exist and tutor is associated with them
+  const placeholders = courseIds.map(() => '?').join(',');
+  const [courseCheck] = await pool.query(
+    `SELECT tc.course_id, c.course_title, c.course_number, d.code as department_code
+     FROM tutor_courses tc
+     JOIN courses c ON tc.course_id = c.course_id
+     JOIN departments d ON c.department_id = d.department_id
+     WHERE tc.tutor_user_id = ? AND tc.course_id IN (${placeholders})`,
+    [tutorId, ...courseIds]
+  );
+
+  if (courseCheck.length !== courseIds.length) {
+    return { error: 'One or more courses not found or you are not registered to tutor them' };
+  }
+
+  // Validate times
+  const startDate = new Date(startTime);
+  const endDate = new Date(endTime);
+  const now = new Date();
+
+  if (typeof startTime !== 'string' || typeof endTime !== 'string' ||
+      isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Invalid date/time format' };
+  }
+
+  if (startDate <= now) {
+    return { error: 'Session must be scheduled in the future' };
+  }
+
+  if (endDate <= startDate) {
+    return { error: 'End time must be after start time' };
+  }
+
+  // Validate capacity
+  const capacityNum = parseInt(capacity);
+  if (isNaN(capacityNum) || capacityNum < 1 || capacityNum > 50) {
+    return { error: 'Capacity must be between 1 and 50' };
+  }
+
+  return {
+    values: {
+      title: title.trim(),
+      sessionType,
+      courseIds,
+      courses: courseCheck,
+      startTime: formatDateForMySQL(startTime),
+      endTime: formatDateForMySQL(endTime),
+      // For one-on-one sessions, enforce capacity of 1
+      capacity: sessionType === 'one_on_one' ? 1 : capacityNum,
+      locationDetails: locationDetails || null,
+      visibility
+    }
+  };
+};
 
 /**
  * Create a new tutoring session
+ * visibility: 'public' (default) or 'invite_only' - invite-only sessions are
+ * left out of search and tutor profiles and can only be joined with an invite.
  */
 const createSession = async (req, res) => {
   const userId = req.session?.userId;
-
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
+  let connection;
 
   try {
-    const { title, sessionType, courseIds, startTime, endTime, capacity, locationDetails } = req.body;
+    const { error, values } = await validateSessionInput(req.body, userId);
 
-    // Validate required fields
-    if (!title || !sessionType || !courseIds || !startTime || !endTime || !capacity) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: title, sessionType, courseIds, startTime, endTime, and capacity are required'
+        message: error
       });
     }
 
-    // Validate courseIds is an array
-    if (!Array.isArray(courseIds) || courseIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'At least one course must be selected'
-      });
-    }
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Validate title length
-    if (title.trim().length > 150) {
-      return res.status(400).json({
-        success: false,
-        message: 'Session title must be 150 characters or less'
-      });
-    }
+    await lockTutorSchedule(userId, connection);
 
-    // Validate session type
-    if (!['open', 'one_on_one'].includes(sessionType)) {
-      return res.status(400).json({
+    // Tutors can't be in two sessions at once
+    const conflicts = await findTutorConflicts(userId, values.startTime, values.endTime, {}, connection);
+
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
         success: false,
-        message: 'Invalid session type. Must be "open" or "one_on_one"'
+        message: 'This time overlaps with another session you are hosting',
+        conflicts
       });
     }
 
-    // Verify user is a tutor
-    const [tutorCheck] = await pool.query(
-      'SELECT user_id FROM users WHERE user_id = ? AND role = "Tutor"',
-      [userId]
+    // Create the session
+    const [sessionResult] = await connection.query(
+      `INSERT INTO sessions (tutor_id, title, start_time, end_time, session_type, capacity, location_details, visibility, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
+      [
+        userId,
+        values.title,
+        values.startTime,
+        values.endTime,
+        values.sessionType,
+        values.capacity,
+        values.locationDetails,
+        values.visibility
+      ]
     );
 
-    if (tutorCheck.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only tutors can create sessions'
-      });
-    }
+    const sessionId = sessionResult.insertId;
 
-    // Verify all courses exist and tutor is associated with them
-    const placeholders = courseIds.map(() => '?').join(',');
-    const [courseCheck] = await pool.query(
-      `SELECT tc.course_id, c.course_title, c.course_number, d.code as department_code
-       FROM tutor_courses tc
-       JOIN courses c ON tc.course_id = c.course_id
-       JOIN departments d ON c.department_id = d.department_id
-       WHERE tc.tutor_user_id = ? AND tc.course_id IN (${placeholders})`,
-      [userId, ...courseIds]
+    // Link the session to all selected courses
+    const courseInserts = values.courseIds.map(courseId => [sessionId, courseId]);
+    await connection.query(
+      'INSERT INTO session_courses (session_id, course_id) VALUES ?',
+      [courseInserts]
     );
 
-    if (courseCheck.length !== courseIds.length) {
-      return res.status(400).json({
+    await connection.commit();
+
+    // Build course names string for response
+    const courseNames = values.courses.map(c => `${c.department_code} ${c.course_number}`).join(', ');
+
+    return res.status(201).json({
+      success: true,
+      message: 'Session created successfully',
+      data: {
+        sessionId: sessionId,
+        title: values.title,
+        sessionType: values.sessionType,
+        courseIds: values.courseIds,
+        courseNames: courseNames,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        capacity: values.capacity,
+        locationDetails: req.body.locationDetails,
+        visibility: values.visibility
+      }
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error creating session:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create session'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Describe what changed between the stored session and the update, one line per field
+ */
+const describeSessionChanges = (before, after) => {
+  const changes = [];
+
+  if (before.title !== after.title) {
+    changes.push(`📝 Title: "${before.title}" → "${after.title}"`);
+  }
+
+  const beforeStart = formatSessionDateTime(before.start_time);
+  const afterStart = formatSessionDateTime(after.startTime);
+  if (beforeStart.formattedDate !== afterStart.formattedDate) {
+    changes.push(`📅 Date: ${beforeStart.formattedDate} → ${afterStart.formattedDate}`);
+  }
+
+  const beforeEnd = formatSessionDateTime(before.end_time);
+  const afterEnd = formatSessionDateTime(after.endTime);
+  if (beforeStart.formattedTime !== afterStart.formattedTime || beforeEnd.formattedTime !== afterEnd.formattedTime) {
+    changes.push(`🕐 Time: ${beforeStart.formattedTime} - ${beforeEnd.formattedTime} → ${afterStart.formattedTime} - ${afterEnd.formattedTime}`);
+  }
+
+  if ((before.location_details || null) !== after.locationDetails) {
+    changes.push(`📍 Location: ${before.location_details || 'TBD'} → ${after.locationDetails || 'TBD'}`);
+  }
+
+  if (before.capacity !== after.capacity) {
+    changes.push(`👥 Capacity: ${before.capacity} → ${after.capacity}`);
+  }
+
+  if (before.courseNames !== after.courseNames) {
+    changes.push(`📚 Courses: ${before.courseNames || 'None'} → ${after.courseNames}`);
+  }
+
+  if (before.visibility !== after.visibility) {
+    const describeVisibility = (visibility) => visibility === 'invite_only' ? 'Invite only' : 'Public';
+    changes.push(`🔒 Visibility: ${describeVisibility(before.visibility)} → ${describeVisibility(after.visibility)}`);
+  }
+
+  return changes;
+};
+
+// Which occurrences of a series an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+/**
+ * Resolve the sessions an edit/cancel applies to (locks them for the transaction)
+ * - this: only the selected session
+ * - following: the selected session and every later upcoming occurrence in its series
+ * - all: every upcoming occurrence in its series
+ * Sessions that aren't part of a series always resolve to just themselves.
+ */
+const getScopedSessions = async (conn, session, scope) => {
+  if (!session.series_id || scope === 'this') {
+    return [session];
+  }
+
+  const params = [session.series_id];
+  let query = `
+    SELECT session_id, tutor_id, series_id, title, start_time, end_time, session_type,
+           capacity, location_details, visibility, status
+    FROM sessions
+    WHERE series_id = ? AND status = 'scheduled' AND start_time > NOW()
+  `;
+
+  if (scope === 'following') {
+    query += ' AND start_time >= ?';
+    params.push(session.start_time);
+  }
+
+  query += ' ORDER BY start_time FOR UPDATE';
+
+  const [sessions] = await conn.query(query, params);
+
+  if (!sessions.some(s => s.session_id === session.session_id)) {
+    sessions.unshift(session);
+  }
+
+  return sessions;
+};
+
+/**
+ * Validate and save an update to one session (fields left out keep their current values)
+ * Returns { error, conflicts? } or { changes, recipients, values }. Nothing is written when
+ * changes is empty. recipients are the enrolled students and pending requesters.
+ */
+const applySessionUpdate = async (conn, session, body, userId) => {
+  const [currentCourses] = await conn.query(
+    `SELECT sc.course_id, CONCAT(d.code, ' ', c.course_number) AS course_name
+     FROM session_courses sc
+     JOIN courses c ON sc.course_id = c.course_id
+     JOIN departments d ON c.department_id = d.department_id
+     WHERE sc.session_id = ?
+     ORDER BY sc.course_id`,
+    [session.session_id]
+  );
+
+  const { error, values } = await validateSessionInput({
+    title: body.title !== undefined ? body.title : session.title,
+    sessionType: session.session_type,
+    courseIds: body.courseIds !== undefined ? body.courseIds : currentCourses.map(c => c.course_id),
+    startTime: body.startTime !== undefined ? body.startTime : session.start_time,
+    endTime: body.endTime !== undefined ? body.endTime : session.end_time,
+    capacity: body.capacity !== undefined ? body.capacity : session.capacity,
+    locationDetails: body.locationDetails !== undefined ? body.locationDetails : session.location_details,
+    visibility: body.visibility !== undefined ? body.visibility : session.visibility
+  }, userId);
+
+  if (error) {
+    return { error };
+  }
+
+  const [enrolled] = await conn.query(
+    'SELECT user_id FROM session_attendees WHERE session_id = ?',
+    [session.session_id]
+  );
+
+  if (values.capacity < enrolled.length) {
+    return {
+      error: `Capacity can't be lower than the ${enrolled.length} student${enrolled.length !== 1 ? 's' : ''} already enrolled`
+    };
+  }
+
+  const conflicts = await findTutorConflicts(
+    userId, values.startTime, values.endTime, { excludeSessionIds: [session.session_id] }, conn
+  );
+
+  if (conflicts.length > 0) {
+    return { error: 'This time overlaps with another session you are hosting', conflicts };
+  }
+
+  const changes = describeSessionChanges(
+    { ...session, courseNames: currentCourses.map(c => c.course_name).join(', ') },
+    { ...values, courseNames: [...values.courses].sort((a, b) => a.course_id - b.course_id).map(c => `${c.department_code} ${c.course_number}`).join(', ') }
+  );
+
+  if (changes.length === 0) {
+    return { changes, recipients: [], values };
+  }
+
+  await conn.query(
+    `UPDATE sessions
+     SET title = ?, start_time = ?, end_time = ?, capacity = ?, location_details = ?, visibility = ?
+     WHERE session_id = ?`,
+    [values.title, values.startTime, values.endTime, values.capacity, values.locationDetails, values.visibility, session.session_id]
+  );
+
+  // Reminders already sent were for the old start time; clearing them re-arms every offset
+  await conn.query(
+    'DELETE FROM session_reminders WHERE session_id = ? AND start_time <> ?',
+    [session.session_id, values.startTime]
+  );
+
+  await conn.query('DELETE FROM session_courses WHERE session_id = ?', [session.session_id]);
+  await conn.query(
+    'INSERT INTO session_courses (session_id, course_id) VALUES ?',
+    [values.courseIds.map(courseId => [session.session_id, courseId])]
+  );
+
+  const [pendingRequests] = await conn.query(
+    `SELECT DISTINCT requester_user_id FROM session_join_requests
+     WHERE session_id = ? AND status = 'pending'`,
+    [session.session_id]
+  );
+
+  return {
+    changes,
+    values,
+    recipients: [
+      ...enrolled.map(e => e.user_id),
+      ...pendingRequests.map(r => r.requester_user_id)
+    ]
+  };
+};
+
+/**
+ * Update a session (title, time, location, capacity, courses, visibility)
+ * Only the owning tutor can edit, and only before the session starts. Fields
+ * left out of the body keep their current values; the result goes through the
+ * same validation as createSession. Enrolled students and pending requesters
+ * get an inbox message listing what changed.
+ *
+ * For a session in a series, ?scope=this|following|all picks which occurrences
+ * change. Series-wide edits apply the new time of day to each occurrence's own date.
+ */
+const updateSession = async (req, res) => {
+  const userId = req.session?.userId;
+  const { id } = req.params;
+  const scope = req.query.scope || 'this';
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scope. Must be "this", "following" or "all"'
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.query(
+      `SELECT session_id, tutor_id, series_id, title, start_time, end_time, session_type,
+              capacity, location_details, visibility, status
+       FROM sessions WHERE session_id = ?
+       FOR UPDATE`,
+      [id]
+    );
+
+    if (sessions.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
         success: false,
-        message: 'One or more courses not found or you are not registered to tutor them'
+        message: 'Session not found'
       });
     }
 
-    // Validate times
-    const startDate = new Date(startTime);
-    const endDate = new Date(endTime);
-    const now = new Date();
+    const session = sessions[0];
 
-    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-      return res.status(400).json({
+    if (session.tutor_id !== userId) {
+      await connection.rollback();
+      return res.status(403).json({
         success: false,
-        message: 'Invalid date/time format'
+        message: 'You can only edit your own sessions'
       });
     }
 
-    if (startDate <= now) {
+    if (session.status !== 'scheduled' || new Date(session.start_time) <= new Date()) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Session must be scheduled in the future'
+        message: 'Only upcoming sessions can be edited'
       });
     }
 
-    if (endDate <= startDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'End time must be after start time'
+    // Moving a session can create a conflict too
+    await lockTutorSchedule(userId, connection);
+
+    const targets = await getScopedSessions(connection, session, scope);
+    const body = req.body || {};
+
+    // "YYYY-MM-DDTHH:mm:ss" or "YYYY-MM-DD HH:mm:ss" -> [date, time]
+    const splitDateTime = (value) => String(value).replace('T', ' ').split(' ');
+
+    let changes = [];
+    let updatedCount = 0;
+    const recipients = new Set();
+
+    for (const target of targets) {
+      const targetBody = { ...body };
+
+      // Series-wide edits keep each occurrence on its own date
+      if (targets.length > 1) {
+        const targetDate = splitDateTime(target.start_time)[0];
+        if (body.startTime !== undefined) targetBody.startTime = `${targetDate}T${splitDateTime(body.startTime)[1]}`;
+        if (body.endTime !== undefined) targetBody.endTime = `${targetDate}T${splitDateTime(body.endTime)[1]}`;
+      }
+
+      const result = await applySessionUpdate(connection, target, targetBody, userId);
+
+      if (result.error) {
+        await connection.rollback();
+        const { formattedDate } = formatSessionDateTime(target.start_time);
+        return res.status(result.conflicts ? 409 : 400).json({
+          success: false,
+          message: targets.length > 1 ? `${formattedDate}: ${result.error}` : result.error,
+          conflicts: result.conflicts
+        });
+      }
+
+      if (result.changes.length > 0) {
+        updatedCount += 1;
+        result.recipients.forEach(recipientId => recipients.add(recipientId));
+
+        // A higher capacity may have opened seats for waitlisted students
+        if (result.values.capacity > target.capacity) {
+          await promoteFromWaitlist(target.session_id, connection);
+        }
+      }
+
+      if (target.session_id === session.session_id) {
+        changes = result.changes;
+      }
+    }
+
+    if (updatedCount === 0) {
+      await connection.rollback();
+      return res.status(200).json({
+        success: true,
+        message: 'No changes to save'
       });
     }
 
-    // Validate capacity
-    const capacityNum = parseInt(capacity);
-    if (isNaN(capacityNum) || capacityNum < 1 || capacityNum > 50) {
+    // Notify enrolled students and anyone still waiting on a join request - one message each
+    const [updated] = await connection.query(
+      'SELECT title, start_time, location_details FROM sessions WHERE session_id = ?',
+      [id]
+    );
+
+    let content;
+    if (targets.length > 1) {
+      const { formattedDate } = formatSessionDateTime(targets[0].start_time);
+      content = `The session series "${session.title}" has been updated by your tutor. `;
+      content += `These changes apply to ${updatedCount} upcoming session${updatedCount !== 1 ? 's' : ''} starting ${formattedDate}:\n\n`;
+    } else {
+      content = `The session "${session.title}" has been updated by your tutor. Here's what changed:\n\n`;
+    }
+    content += `${changes.join('\n')}\n\n`;
+    content += `Updated details:\n`;
+    content += formatSessionDetails(updated[0]);
+    content += `If the new details no longer work for you, you can unenroll from your dashboard.`;
+
+    for (const receiverId of recipients) {
+      await sendInboxMessage({
+        senderId: userId,
+        receiverId,
+        subject: `Session Updated: ${updated[0].title}`,
+        content
+      }, connection);
+    }
+
+    await connection.commit();
+
+    let successMessage = updatedCount > 1
+      ? `${updatedCount} sessions updated successfully`
+      : 'Session updated successfully';
+    if (recipients.size > 0) {
+      successMessage += `. ${recipients.size} student${recipients.size !== 1 ? 's have' : ' has'} been notified.`;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      changes,
+      updatedCount
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error updating session:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update session'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Create a recurring series of sessions
+ * Body is the same as createSession plus
+ *   recurrence: { weekdays: [0-6], untilDate: 'YYYY-MM-DD', excludedDates?: ['YYYY-MM-DD'] }
+ * startTime/endTime give the first possible date and the time of day for every occurrence.
+ */
+const createSessionSeries = async (req, res) => {
+  const userId = req.session?.userId;
+  const { startTime, endTime, recurrence } = req.body;
+
+  if (typeof startTime !== 'string' || typeof endTime !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required fields: title, sessionType, courseIds, startTime, endTime, and capacity are required'
+    });
+  }
+
+  const [startDate, startClock] = startTime.split('T');
+  const endClock = endTime.split('T')[1];
+
+  const { error: recurrenceError, dates, weekdays, excludedDates } = expandWeeklyRecurrence(startDate, recurrence);
+
+  if (recurrenceError) {
+    return res.status(400).json({
+      success: false,
+      message: recurrenceError
+    });
+  }
+
+  let connection;
+
+  try {
+    // Every occurrence shares the same fields; the first is the earliest, so validating it covers the series
+    const { error, values } = await validateSessionInput({
+      ...req.body,
+      startTime: `${dates[0]}T${startClock}`,
+      endTime: `${dates[0]}T${endClock}`
+    }, userId);
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Capacity must be between 1 and 50'
+        message: error
       });
     }
 
-    // For one-on-one sessions, enforce capacity of 1
-    const finalCapacity = sessionType === 'one_on_one' ? 1 : capacityNum;
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Format datetime for MySQL - preserve the local time as-is (don't convert to UTC)
-    // Input format is "YYYY-MM-DDTHH:mm:ss", we just need to replace T with space
-    const formatDateForMySQL = (dateStr) => {
-      return dateStr.replace('T', ' ');
-    };
+    await lockTutorSchedule(userId, connection);
 
-    // Create the session
-    const [sessionResult] = await pool.query(
-      `INSERT INTO sessions (tutor_id, title, start_time, end_time, session_type, capacity, location_details, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
-      [
+    // Every occurrence has to be free, not just the first
+    const conflicts = [];
+    for (const date of dates) {
+      conflicts.push(...await findTutorConflicts(
         userId,
-        title.trim(),
-        formatDateForMySQL(startTime),
-        formatDateForMySQL(endTime),
-        sessionType,
-        finalCapacity,
-        locationDetails || null
-      ]
+        formatDateForMySQL(`${date}T${startClock}`),
+        formatDateForMySQL(`${date}T${endClock}`),
+        {},
+        connection
+      ));
+    }
+
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} of these sessions would overlap with sessions you are already hosting`,
+        conflicts
+      });
+    }
+
+    const [seriesResult] = await connection.query(
+      `INSERT INTO session_series (tutor_id, weekdays, until_date, excluded_dates)
+       VALUES (?, ?, ?, ?)`,
+      [userId, weekdays.join(','), recurrence.untilDate, JSON.stringify(excludedDates)]
     );
 
-    const sessionId = sessionResult.insertId;
+    const seriesId = seriesResult.insertId;
+    const sessionIds = [];
+
+    for (const date of dates) {
+      const [sessionResult] = await connection.query(
+        `INSERT INTO sessions (tutor_id, series_id, title, start_time, end_time, session_type, capacity, location_details, visibility, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
+        [
+          userId,
+          seriesId,
+          values.title,
+          formatDateForMySQL(`${date}T${startClock}`),
+          formatDateForMySQL(`${date}T${endClock}`),
+          values.sessionType,
+          values.capacity,
+          values.locationDetails,
+          values.visibility
+        ]
+      );
 
-    // Link the session to all selected courses
-    const courseInserts = courseIds.map(courseId => [sessionId, courseId]);
-    await pool.query(
+      sessionIds.push(sessionResult.insertId);
+    }
+
+    await connection.query(
       'INSERT INTO session_courses (session_id, course_id) VALUES ?',
-      [courseInserts]
+      [sessionIds.flatMap(sessionId => values.courseIds.map(courseId => [sessionId, courseId]))]
     );
 
-    // Build course names string for response
-    const courseNames = courseCheck.map(c => `${c.department_code} ${c.course_number}`).join(', ');
+    await connection.commit();
 
     return res.status(201).json({
       success: true,
-      message: 'Session created successfully',
+      message: `Series created with ${sessionIds.length} session${sessionIds.length !== 1 ? 's' : ''}`,
       data: {
-        sessionId: sessionId,
-        title: title.trim(),
-        sessionType: sessionType,
-        courseIds: courseIds,
-        courseNames: courseNames,
-        startTime: startTime,
-        endTime: endTime,
-        capacity: finalCapacity,
-        locationDetails: locationDetails
+        seriesId,
+        sessionIds,
+        dates,
+        recurrence: describeWeeklyRecurrence(weekdays.join(','), recurrence.untilDate)
       }
     });
 
   } catch (error) {
-    console.error('Error creating session:', error);
+    if (connection) await connection.rollback();
+    console.error('Error creating session series:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to create session'
+      message: 'Failed to create session series'
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -232,31 +743,51 @@ const getSessionById = async (req, res) => {
 };
 
 /**
- * Delete a session (only by the tutor who created it)
- * - Denies all pending join requests and notifies students
- * - Removes all enrolled students and notifies them of cancellation
- * - Deletes all related records and the session itself
+ * Cancel a session (only by the tutor who created it)
+ * Body: { reason? } - shown to students and kept with the session
+ * Everything happens in one transaction:
+ * - Pending join requests are denied and everyone involved is notified
+ * - The session is marked cancelled with cancelled_at and the reason; enrollments
+ *   stay so the session remains in everyone's archive
+ * - The waitlist is cleared
+ * For a session in a series, ?scope=this|following|all also cancels later/all
+ * upcoming occurrences; each student then gets one message listing their dates.
  */
-const deleteSession = async (req, res) => {
+const cancelSession = async (req, res) => {
   const userId = req.session?.userId;
   const { id } = req.params;
+  const scope = req.query.scope || 'this';
+  const reason = (req.body?.reason || '').trim();
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scope. Must be "this", "following" or "all"'
+    });
+  }
 
-  if (!userId) {
-    return res.status(401).json({
+  if (reason.length > 500) {
+    return res.status(400).json({
       success: false,
-      message: 'Not authenticated'
+      message: 'Reason must be 500 characters or less'
     });
   }
 
+  let connection;
+
   try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Verify the session exists and belongs to this tutor, get session details
-    const [sessions] = await pool.query(
-      `SELECT s.session_id, s.tutor_id, s.title, s.start_time, s.location_details, s.status
-       FROM sessions s WHERE s.session_id = ?`,
+    const [sessions] = await connection.query(
+      `SELECT s.session_id, s.tutor_id, s.series_id, s.title, s.start_time, s.location_details, s.status
+       FROM sessions s WHERE s.session_id = ? FOR UPDATE`,
       [id]
     );
 
     if (sessions.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Session not found'
@@ -266,128 +797,72 @@ const deleteSession = async (req, res) => {
     const session = sessions[0];
 
     if (session.tutor_id !== userId) {
+      await connection.rollback();
       return res.status(403).json({
         success: false,
-        message: 'You can only delete your own sessions'
+        message: 'You can only cancel your own sessions'
       });
     }
 
-    // Get tutor's name for notification messages
-    const [tutors] = await pool.query(
-      'SELECT first_name, last_name FROM users WHERE user_id = ?',
-      [userId]
-    );
-    const tutorName = tutors.length > 0 ? `${tutors[0].first_name} ${tutors[0].last_name}` : 'The tutor';
-
-    // Format the session date/time for notification messages
-    const sessionDate = new Date(session.start_time);
-    const formattedDate = sessionDate.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
-    const formattedTime = sessionDate.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-
-    // 1. Handle pending join requests - deny them and notify students
-    const [pendingRequests] = await pool.query(
-      `SELECT sjr.request_id, sjr.requester_user_id, u.first_name, u.last_name
-       FROM session_join_requests sjr
-       JOIN users u ON sjr.requester_user_id = u.user_id
-       WHERE sjr.session_id = ? AND sjr.status = 'pending'`,
-      [id]
-    );
-
-    for (const request of pendingRequests) {
-      // Update request status to denied
-      await pool.query(
-        `UPDATE session_join_requests SET status = 'denied', responded_at = CURRENT_TIMESTAMP
-         WHERE request_id = ?`,
-        [request.request_id]
-      );
-
-      // Send notification message to student about denied request
-      const messageSubject = `Session Cancelled: ${session.title}`;
-      let messageContent = `Your request to join the session "${session.title}" has been automatically denied because the session has been cancelled.\n\n`;
-      messageContent += `📅 Date: ${formattedDate}\n`;
-      messageContent += `🕐 Time: ${formattedTime}\n`;
-      messageContent += `📍 Location: ${session.location_details || 'TBD'}\n\n`;
-      messageContent += `We apologize for any inconvenience. Feel free to browse other available sessions on the platform.`;
-
-      const [msgResult] = await pool.query(
-        `INSERT INTO messages (sender_id, receiver_id, subject, message_type, message_content)
-         VALUES (?, ?, ?, 'normal', ?)`,
-        [userId, request.requester_user_id, messageSubject, messageContent]
-      );
-
-      const messageId = msgResult.insertId;
-
-      // Insert into user_messages for sender (sent folder)
-      await pool.query(
-        `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'sent', 1)`,
-        [userId, messageId]
-      );
-
-      // Insert into user_messages for receiver (inbox folder)
-      await pool.query(
-        `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'inbox', 0)`,
-        [request.requester_user_id, messageId]
-      );
+    if (session.status !== 'scheduled') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: session.status === 'cancelled'
+          ? 'This session has already been cancelled'
+          : 'Only upcoming sessions can be cancelled'
+      });
     }
 
-    // 2. Handle enrolled students - remove them and notify about cancellation
-    const [enrolledStudents] = await pool.query(
-      `SELECT sa.user_id, u.first_name, u.last_name
-       FROM session_attendees sa
-       JOIN users u ON sa.user_id = u.user_id
-       WHERE sa.session_id = ?`,
-      [id]
-    );
+    const targets = await getScopedSessions(connection, session, scope);
+    const targetIds = targets.map(s => s.session_id);
 
-    for (const student of enrolledStudents) {
-      // Send cancellation notification message to enrolled student
-      const messageSubject = `Session Cancelled: ${session.title}`;
-      let messageContent = `We regret to inform you that the session "${session.title}" has been cancelled by ${tutorName}.\n\n`;
-      messageContent += `📅 Date: ${formattedDate}\n`;
-      messageContent += `🕐 Time: ${formattedTime}\n`;
-      messageContent += `📍 Location: ${session.location_details || 'TBD'}\n\n`;
-      messageContent += `We apologize for any inconvenience this may cause. Please feel free to browse other available sessions on the platform.`;
+    // Get tutor's name for notification messages
+    const [tutors] = await connection.query(
+      'SELECT first_name, last_name FROM users WHERE user_id = ?',
+      [userId]
+    );
+    const tutorName = tutors.length > 0 ? `${tutors[0].first_name} ${tutors[0].last_name}` : 'The tutor';
 
-      const [msgResult] = await pool.query(
-        `INSERT INTO messages (sender_id, receiver_id, subject, message_type, message_content)
-         VALUES (?, ?, ?, 'normal', ?)`,
-        [userId, student.user_id, messageSubject, messageContent]
+    // Whole-series join requests hang off one occurrence - move them to the next
+    // remaining occurrence instead of denying them with this one
+    if (session.series_id) {
+      const [nextSessions] = await connection.query(
+        `SELECT session_id FROM sessions
+         WHERE series_id = ? AND session_id NOT IN (?) AND status = 'scheduled' AND start_time > NOW()
+         ORDER BY start_time LIMIT 1`,
+        [session.series_id, targetIds]
       );
 
-      const messageId = msgResult.insertId;
+      if (nextSessions.length > 0) {
+        await connection.query(
+          `UPDATE session_join_requests SET session_id = ?
+           WHERE session_id IN (?) AND series_id IS NOT NULL AND status = 'pending'`,
+          [nextSessions[0].session_id, targetIds]
+        );
+      }
+    }
 
-      // Insert into user_messages for sender (sent folder)
-      await pool.query(
-        `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'sent', 1)`,
-        [userId, messageId]
-      );
+    // Deny pending join requests and notify requesters, enrolled and waitlisted students
+    const notifiedCount = targets.length > 1
+      ? await notifySeriesCancelled({ sessions: targets, senderId: userId, cancelledBy: `by ${tutorName}`, reason }, connection)
+      : await notifySessionCancelled({ session, senderId: userId, cancelledBy: `by ${tutorName}`, reason }, connection);
 
-      // Insert into user_messages for receiver (inbox folder)
-      await pool.query(
-        `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'inbox', 0)`,
-        [student.user_id, messageId]
-      );
-    }
+    await connection.query(
+      `UPDATE sessions
+       SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = ?, cancelled_by_user_id = ?
+       WHERE session_id IN (?)`,
+      [reason || null, userId, targetIds]
+    );
 
-    // 3. Delete related records
-    await pool.query('DELETE FROM session_courses WHERE session_id = ?', [id]);
-    await pool.query('DELETE FROM session_attendees WHERE session_id = ?', [id]);
-    await pool.query('DELETE FROM session_join_requests WHERE session_id = ?', [id]);
+    await connection.query('DELETE FROM session_waitlist WHERE session_id IN (?)', [targetIds]);
+    await invalidateTutorStats(userId, connection);
 
-    // 4. Delete the session
-    await pool.query('DELETE FROM sessions WHERE session_id = ?', [id]);
+    await connection.commit();
 
-    const notifiedCount = pendingRequests.length + enrolledStudents.length;
-    let successMessage = 'Session deleted successfully';
+    let successMessage = targets.length > 1
+      ? `${targets.length} sessions cancelled`
+      : 'Session cancelled';
     if (notifiedCount > 0) {
       successMessage += `. ${notifiedCount} student${notifiedCount !== 1 ? 's have' : ' has'} been notified.`;
     }
@@ -398,11 +873,14 @@ const deleteSession = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error deleting session:', error);
+    if (connection) await connection.rollback();
+    console.error('Error cancelling session:', error);
     return res.status(500).json({
       success: false,
-      message: 'Failed to delete session'
+      message: 'Failed to cancel session'
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -413,17 +891,10 @@ const getSessionEnrollments = async (req, res) => {
   const userId = req.session?.userId;
   const { id } = req.params;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Verify the session exists and belongs to this tutor
     const [sessions] = await pool.query(
-      'SELECT session_id, tutor_id, title, capacity FROM sessions WHERE session_id = ?',
+      'SELECT session_id, tutor_id, title, capacity, start_time FROM sessions WHERE session_id = ?',
       [id]
     );
 
@@ -447,7 +918,9 @@ const getSessionEnrollments = async (req, res) => {
         u.user_id,
         CONCAT(u.first_name, ' ', u.last_name) AS student_name,
         u.email,
-        sa.enrolled_at
+        sa.enrolled_at,
+        sa.attendance_status,
+        sa.checked_in_at
       FROM session_attendees sa
       INNER JOIN users u ON sa.user_id = u.user_id
       WHERE sa.session_id = ?
@@ -477,6 +950,7 @@ const getSessionEnrollments = async (req, res) => {
         sessionId: sessions[0].session_id,
         sessionTitle: sessions[0].title,
         capacity: sessions[0].capacity,
+        startTime: sessions[0].start_time,
         enrolledCount: enrollments.length,
         enrollments: enrollments,
         pendingRequests: pendingRequests
@@ -496,18 +970,13 @@ const getSessionEnrollments = async (req, res) => {
  * Remove a student from a session
  * - Removes student from session_attendees
  * - Updates session_join_requests status
+ * - Gives the freed seat to the next student on the waitlist
  * - Sends automated message to student notifying them of the removal
  */
 const removeStudentFromSession = async (req, res) => {
   const userId = req.session?.userId;
   const { id, studentId } = req.params;
-
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
+  let connection;
 
   try {
     // Verify the session exists and belongs to this tutor, get session details
@@ -548,13 +1017,33 @@ const removeStudentFromSession = async (req, res) => {
 
     const student = students[0];
 
-    // Remove the student from session_attendees
-    const [result] = await pool.query(
+    // Remove the student and hand their seat to the waitlist together
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Once a session starts its roster is the attendance record, so it can't be changed
+    const [locked] = await connection.query(
+      `SELECT session_id FROM sessions
+       WHERE session_id = ? AND status = 'scheduled' AND start_time > NOW()
+       FOR UPDATE`,
+      [id]
+    );
+
+    if (locked.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Students can only be removed before the session starts'
+      });
+    }
+
+    const [result] = await connection.query(
       'DELETE FROM session_attendees WHERE session_id = ? AND user_id = ?',
       [id, studentId]
     );
 
     if (result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Student not found in this session'
@@ -562,13 +1051,17 @@ const removeStudentFromSession = async (req, res) => {
     }
 
     // Also update the session_join_requests status if exists
-    await pool.query(
+    await connection.query(
       `UPDATE session_join_requests
        SET status = 'denied', responded_at = CURRENT_TIMESTAMP
        WHERE session_id = ? AND requester_user_id = ? AND status = 'accepted'`,
       [id, studentId]
     );
 
+    const promoted = await promoteFromWaitlist(id, connection);
+
+    await connection.commit();
+
     // Get tutor's name for the notification message
     const [tutors] = await pool.query(
       'SELECT first_name, last_name FROM users WHERE user_id = ?',
@@ -620,17 +1113,25 @@ const removeStudentFromSession = async (req, res) => {
       [studentId, messageId]
     );
 
+    let successMessage = `${student.first_name} ${student.last_name} has been removed from the session and notified`;
+    if (promoted.length > 0) {
+      successMessage += `. ${promoted.length} student${promoted.length !== 1 ? 's were' : ' was'} moved up from the waitlist.`;
+    }
+
     return res.status(200).json({
       success: true,
-      message: `${student.first_name} ${student.last_name} has been removed from the session and notified`
+      message: successMessage
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error('Error removing student from session:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to remove student from session'
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -640,13 +1141,6 @@ const removeStudentFromSession = async (req, res) => {
 const getStudentEnrolledSessions = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     const [sessions] = await pool.query(
       `SELECT
@@ -659,6 +1153,7 @@ const getStudentEnrolledSessions = async (req, res) => {
         s.location_details,
         s.status,
         sa.enrolled_at,
+        sa.attendance_status,
         CONCAT(u.first_name, ' ', u.last_name) AS tutor_name,
         u.user_id AS tutor_id,
         GROUP_CONCAT(DISTINCT CONCAT(d.code, ' ', c.course_number) SEPARATOR ', ') AS course_names,
@@ -670,9 +1165,10 @@ const getStudentEnrolledSessions = async (req, res) => {
       LEFT JOIN courses c ON sc.course_id = c.course_id
       LEFT JOIN departments d ON c.department_id = d.department_id
       WHERE sa.user_id = ?
+        AND s.status IN ('scheduled', 'active')
         AND s.end_time >= NOW()
       GROUP BY s.session_id, s.title, s.start_time, s.end_time, s.session_type,
-               s.capacity, s.location_details, s.status, sa.enrolled_at,
+               s.capacity, s.location_details, s.status, sa.enrolled_at, sa.attendance_status,
                u.first_name, u.last_name, u.user_id
       ORDER BY s.start_time ASC`,
       [userId]
@@ -692,24 +1188,147 @@ const getStudentEnrolledSessions = async (req, res) => {
   }
 };
 
+const ARCHIVE_STATUSES = ['over', 'cancelled'];
+
 /**
- * Unenroll the current student from a session
+ * Read ?status=over|cancelled|all (default all) for the archive views
+ * Returns the list of statuses to include, or null if the value is invalid.
  */
-const unenrollFromSession = async (req, res) => {
+const getArchiveStatuses = (query) => {
+  const status = (query.status || 'all').trim();
+  if (status === 'all') return ARCHIVE_STATUSES;
+  return ARCHIVE_STATUSES.includes(status) ? [status] : null;
+};
+
+/**
+ * Archive of completed and cancelled sessions the current tutor hosted
+ * Supports ?status=over|cancelled|all (default all); newest first.
+ */
+const getTutorSessionArchive = async (req, res) => {
   const userId = req.session?.userId;
-  const { id } = req.params;
+  const statuses = getArchiveStatuses(req.query);
+
+  if (!statuses) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid status. Must be "over", "cancelled" or "all"'
+    });
+  }
+
+  try {
+    const [sessions] = await pool.query(
+      `SELECT
+        s.session_id,
+        s.title,
+        s.start_time,
+        s.end_time,
+        s.session_type,
+        s.capacity,
+        s.location_details,
+        s.status,
+        s.cancelled_at,
+        s.cancellation_reason,
+        GROUP_CONCAT(DISTINCT CONCAT(d.code, ' ', c.course_number) SEPARATOR ', ') AS course_names,
+        (SELECT COUNT(*) FROM session_attendees sa WHERE sa.session_id = s.session_id) AS enrolled_count,
+        (SELECT COUNT(*) FROM session_attendees sa
+         WHERE sa.session_id = s.session_id AND sa.attendance_status = 'present') AS attended_count
+      FROM sessions s
+      LEFT JOIN session_courses sc ON s.session_id = sc.session_id
+      LEFT JOIN courses c ON sc.course_id = c.course_id
+      LEFT JOIN departments d ON c.department_id = d.department_id
+      WHERE s.tutor_id = ? AND s.status IN (?)
+      GROUP BY s.session_id
+      ORDER BY s.start_time DESC`,
+      [userId, statuses]
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Error fetching tutor session archive:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch past sessions'
+    });
+  }
+};
+
+/**
+ * Archive of completed and cancelled sessions the current student was enrolled in
+ * Supports ?status=over|cancelled|all (default all); newest first.
+ */
+const getStudentSessionArchive = async (req, res) => {
+  const userId = req.session?.userId;
+  const statuses = getArchiveStatuses(req.query);
+
+  if (!statuses) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid status. Must be "over", "cancelled" or "all"'
+    });
+  }
+
+  try {
+    const [sessions] = await pool.query(
+      `SELECT
+        s.session_id,
+        s.title,
+        s.start_time,
+        s.end_time,
+        s.session_type,
+        s.location_details,
+        s.status,
+        s.cancelled_at,
+        s.cancellation_reason,
+        sa.enrolled_at,
+        sa.attendance_status,
+        CONCAT(u.first_name, ' ', u.last_name) AS tutor_name,
+        u.user_id AS tutor_id,
+        GROUP_CONCAT(DISTINCT CONCAT(d.code, ' ', c.course_number) SEPARATOR ', ') AS course_names
+      FROM session_attendees sa
+      INNER JOIN sessions s ON sa.session_id = s.session_id
+      INNER JOIN users u ON s.tutor_id = u.user_id
+      LEFT JOIN session_courses sc ON s.session_id = sc.session_id
+      LEFT JOIN courses c ON sc.course_id = c.course_id
+      LEFT JOIN departments d ON c.department_id = d.department_id
+      WHERE sa.user_id = ? AND s.status IN (?)
+      GROUP BY s.session_id, sa.enrolled_at, sa.attendance_status, u.first_name, u.last_name, u.user_id
+      ORDER BY s.start_time DESC`,
+      [userId, statuses]
+    );
+
+    return res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
 
-  if (!userId) {
-    return res.status(401).json({
+  } catch (error) {
+    console.error('Error fetching student session archive:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Not authenticated'
+      message: 'Failed to fetch past sessions'
     });
   }
+};
+
+/**
+ * Unenroll the current student from a session
+ * The freed seat goes to the next student on the waitlist, if any.
+ */
+const unenrollFromSession = async (req, res) => {
+  const userId = req.session?.userId;
+  const { id } = req.params;
+  let connection;
 
   try {
     // Get session details for the notification message
     const [sessions] = await pool.query(
-      `SELECT s.session_id, s.title, s.start_time, s.location_details, s.tutor_id,
+      `SELECT s.session_id, s.title, s.start_time, s.location_details, s.tutor_id, s.booked_by_user_id,
               CONCAT(u.first_name, ' ', u.last_name) AS tutor_name
        FROM sessions s
        INNER JOIN users u ON s.tutor_id = u.user_id
@@ -726,33 +1345,69 @@ const unenrollFromSession = async (req, res) => {
 
     const session = sessions[0];
 
-    // Check if the student is enrolled in this session
-    const [enrollment] = await pool.query(
-      'SELECT * FROM session_attendees WHERE session_id = ? AND user_id = ?',
-      [id, userId]
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Leaving after the start would erase attendance, including a no-show
+    const [locked] = await connection.query(
+      `SELECT session_id FROM sessions
+       WHERE session_id = ? AND status = 'scheduled' AND start_time > NOW()
+       FOR UPDATE`,
+      [id]
     );
 
-    if (enrollment.length === 0) {
+    if (locked.length === 0) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'You are not enrolled in this session'
+        message: 'You can only unenroll before the session starts'
       });
     }
 
-    // Remove the student from session_attendees
-    await pool.query(
+    // Remove the student from session_attendees (no row means they weren't enrolled)
+    const [result] = await connection.query(
       'DELETE FROM session_attendees WHERE session_id = ? AND user_id = ?',
       [id, userId]
     );
 
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'You are not enrolled in this session'
+      });
+    }
+
     // Update any session_join_requests status
-    await pool.query(
+    await connection.query(
       `UPDATE session_join_requests
        SET status = 'denied', responded_at = CURRENT_TIMESTAMP
        WHERE session_id = ? AND requester_user_id = ? AND status = 'accepted'`,
       [id, userId]
     );
 
+    // Leaving a slot you booked cancels it and gives the time back to the tutor
+    const cancelledBooking = session.booked_by_user_id === userId;
+    let promoted = [];
+
+    if (cancelledBooking) {
+      await connection.query(
+        `UPDATE sessions
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'The student cancelled their booking',
+             cancelled_by_user_id = ?
+         WHERE session_id = ? AND status = 'scheduled'`,
+        [userId, id]
+      );
+    } else {
+      promoted = await promoteFromWaitlist(id, connection);
+    }
+
+    await connection.commit();
+
+    if (cancelledBooking) {
+      await invalidateTutorStats(session.tutor_id);
+    }
+
     // Get student's name for the notification message
     const [students] = await pool.query(
       'SELECT first_name, last_name FROM users WHERE user_id = ?',
@@ -780,7 +1435,13 @@ const unenrollFromSession = async (req, res) => {
     messageContent += `📅 Date: ${formattedDate}\n`;
     messageContent += `🕐 Time: ${formattedTime}\n`;
     messageContent += `📍 Location: ${session.location_details || 'TBD'}\n\n`;
-    messageContent += `A spot is now available in this session.`;
+    if (cancelledBooking) {
+      messageContent += `This was a one-on-one slot they booked, so the session has been cancelled and the time is open in your availability again.`;
+    } else {
+      messageContent += promoted.length > 0
+        ? `Their spot has been given to the next student on the waitlist.`
+        : `A spot is now available in this session.`;
+    }
 
     const [msgResult] = await pool.query(
       `INSERT INTO messages (sender_id, receiver_id, subject, message_type, message_content)
@@ -808,20 +1469,182 @@ const unenrollFromSession = async (req, res) => {
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
     console.error('Error unenrolling from session:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to unenroll from session'
     });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Join the waitlist for a full session
+ * Students are promoted in the order they joined as seats open up.
+ * Invite-only sessions need { inviteCode } in the body.
+ */
+const joinWaitlist = async (req, res) => {
+  const userId = req.session?.userId;
+  const { id } = req.params;
+  const { inviteCode } = req.body || {};
+
+  try {
+    const [sessions] = await pool.query(
+      `SELECT s.session_id, s.tutor_id, s.title, s.start_time, s.capacity, s.status, s.booked_by_user_id, s.visibility,
+              (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) AS enrolled_count
+       FROM sessions s WHERE s.session_id = ?`,
+      [id]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = sessions[0];
+
+    if (session.tutor_id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot join the waitlist for your own session'
+      });
+    }
+
+    if (session.booked_by_user_id && session.booked_by_user_id !== userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This one-on-one session was booked by another student'
+      });
+    }
+
+    // Waiting for an invite-only session needs the invite too; its use is claimed when a seat opens
+    let inviteId = null;
+
+    if (session.visibility === 'invite_only' && !(await hasInviteOnlyAccess(session.session_id, userId))) {
+      const { invite, error } = await findUsableInvite(inviteCode, session.session_id);
+      if (error) {
+        return res.status(403).json({
+          success: false,
+          message: error
+        });
+      }
+      inviteId = invite.invite_id;
+    }
+
+    if (session.status !== 'scheduled' || new Date(session.start_time) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This session is no longer open for enrollment'
+      });
+    }
+
+    const [enrollment] = await pool.query(
+      'SELECT 1 FROM session_attendees WHERE session_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (enrollment.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already enrolled in this session'
+      });
+    }
+
+    if (session.enrolled_count < session.capacity) {
+      return res.status(400).json({
+        success: false,
+        message: 'This session still has space - send a join request instead'
+      });
+    }
+
+    const cooldown = await getNoShowCooldown(userId);
+    if (cooldown) {
+      return res.status(403).json({
+        success: false,
+        message: describeNoShowCooldown(cooldown)
+      });
+    }
+
+    const [result] = await pool.query(
+      'INSERT IGNORE INTO session_waitlist (session_id, user_id, invite_id) VALUES (?, ?, ?)',
+      [id, userId, inviteId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this session'
+      });
+    }
+
+    const { position, total } = await getWaitlistPosition(id, userId);
+
+    return res.status(201).json({
+      success: true,
+      message: `You've joined the waitlist. You are number ${position} in line.`,
+      position,
+      total
+    });
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist'
+    });
+  }
+};
+
+/**
+ * Leave the waitlist for a session
+ */
+const leaveWaitlist = async (req, res) => {
+  const userId = req.session?.userId;
+  const { id } = req.params;
+
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM session_waitlist WHERE session_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not on the waitlist for this session'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist'
+    });
   }
 };
 
 module.exports = {
   createSession,
+  updateSession,
+  createSessionSeries,
   getSessionById,
-  deleteSession,
+  cancelSession,
   getSessionEnrollments,
   removeStudentFromSession,
   getStudentEnrolledSessions,
-  unenrollFromSession
+  getStudentSessionArchive,
+  getTutorSessionArchive,
+  unenrollFromSession,
+  joinWaitlist,
+  leaveWaitlist
 };
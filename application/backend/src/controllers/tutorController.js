@@ -1,37 +1,55 @@
 const { pool } = require('../config/db');
+const { storeFile, removeStoredFile } = require('../utils/uploads');
+
+const MAX_HOURLY_RATE = 999999.99;
 
 /**
  * Submit a tutor application
  * Creates a tutor_profiles record with verification_status = 'pending'
+ * Body (multipart or JSON): { yearsExperience, hourlyRate, description, bio }, plus an
+ * optional "resume" file (PDF or .docx). A resubmitted application keeps its previous
+ * resume unless a new one is uploaded.
  */
 const applyToBeTutor = async (req, res) => {
-  // Check if user is logged in
-  if (!req.session.userId) {
-    return res.status(401).json({
+  const userId = req.session.userId;
+  const { description, bio } = req.body || {};
+  const yearsExperience = parseInt(req.body?.yearsExperience, 10);
+  const hourlyRate = Number(req.body?.hourlyRate);
+
+  // Validate required fields
+  if (isNaN(yearsExperience) || !description || !bio || req.body?.hourlyRate === undefined || req.body?.hourlyRate === '') {
+    return res.status(400).json({
       success: false,
-      message: 'You must be logged in to apply'
+      message: 'Years of experience, hourly rate, description, and bio are required'
     });
   }
 
-  const userId = req.session.userId;
-  const { yearsExperience, description, bio } = req.body;
-
-  // Validate required fields
-  if (yearsExperience === undefined || !description || !bio) {
+  if (!Number.isFinite(hourlyRate) || hourlyRate < 0 || hourlyRate > MAX_HOURLY_RATE) {
     return res.status(400).json({
       success: false,
-      message: 'Years of experience, description, and bio are required'
+      message: 'Hourly rate must be a dollar amount of 0 or more'
     });
   }
 
+  const rate = Math.round(hourlyRate * 100) / 100;
+
+  let connection;
+  let resume = null;
+  let previousResume = null;
+  let resubmitted = false;
+
   try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Check if user is already a tutor
-    const [existingUser] = await pool.query(
+    const [existingUser] = await connection.query(
       'SELECT role FROM users WHERE user_id = ?',
       [userId]
     );
 
     if (existingUser.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -39,6 +57,7 @@ const applyToBeTutor = async (req, res) => {
     }
 
     if (existingUser[0].role === 'Tutor') {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'You are already a tutor'
@@ -46,76 +65,106 @@ const applyToBeTutor = async (req, res) => {
     }
 
     // Check if user already has a pending or rejected application
-    const [existingApplication] = await pool.query(
-      'SELECT verification_status FROM tutor_profiles WHERE user_id = ?',
+    const [existingApplication] = await connection.query(
+      `SELECT tp.verification_status, f.file_id, f.storage_backend, f.storage_key, f.thumbnail_key
+       FROM tutor_profiles tp
+       LEFT JOIN files f ON f.file_id = tp.resume_file_id
+       WHERE tp.user_id = ?
+       FOR UPDATE`,
       [userId]
     );
 
     if (existingApplication.length > 0) {
       const status = existingApplication[0].verification_status;
       if (status === 'pending') {
+        await connection.rollback();
         return res.status(400).json({
           success: false,
           message: 'You already have a pending application'
         });
       }
       if (status === 'verified') {
+        await connection.rollback();
         return res.status(400).json({
           success: false,
           message: 'Your application has already been approved'
         });
       }
+    }
+
+    if (req.file) {
+      const isPdf = req.file.detectedMimeType === 'application/pdf';
+      resume = await storeFile({
+        ownerId: userId,
+        purpose: 'resume',
+        buffer: req.file.buffer,
+        mimeType: req.file.detectedMimeType,
+        extension: isPdf ? 'pdf' : 'docx',
+        originalName: req.file.originalname
+      }, connection);
+    }
+
+    if (existingApplication.length > 0) {
       // If rejected, allow them to update their application
-      await pool.query(
+      await connection.query(
         `UPDATE tutor_profiles
-         SET years_experience = ?, description = ?, bio = ?, verification_status = 'pending'
+         SET years_experience = ?, hourly_rate = ?, description = ?, bio = ?,
+             resume_file_id = COALESCE(?, resume_file_id), verification_status = 'pending',
+             submitted_at = CURRENT_TIMESTAMP, reviewed_by_user_id = NULL, reviewed_at = NULL, review_reason = NULL
          WHERE user_id = ?`,
-        [yearsExperience, description, bio, userId]
+        [yearsExperience, rate, description, bio, resume ? resume.file_id : null, userId]
       );
 
-      return res.status(200).json({
-        success: true,
-        message: 'Your application has been resubmitted for review'
-      });
+      if (resume && existingApplication[0].file_id) {
+        previousResume = existingApplication[0];
+        await connection.query('UPDATE files SET deleted_at = NOW() WHERE file_id = ?', [previousResume.file_id]);
+      }
+
+      resubmitted = true;
+    } else {
+      // Create new tutor profile with pending status
+      await connection.query(
+        `INSERT INTO tutor_profiles (user_id, years_experience, hourly_rate, description, bio, resume_file_id, verification_status)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
+        [userId, yearsExperience, rate, description, bio, resume ? resume.file_id : null]
+      );
     }
 
-    // Create new tutor profile with pending status
-    await pool.query(
-      `INSERT INTO tutor_profiles (user_id, years_experience, hourly_rate, description, bio, verification_status)
-       VALUES (?, ?, 0, ?, ?, 'pending')`,
-      [userId, yearsExperience, description, bio]
-    );
-
-    return res.status(201).json({
-      success: true,
-      message: 'Your tutor application has been submitted successfully'
-    });
+    await connection.commit();
 
   } catch (error) {
+    if (connection) await connection.rollback();
+    if (resume) await removeStoredFile(resume);
     console.error('Error submitting tutor application:', error);
     return res.status(500).json({
       success: false,
       message: 'Failed to submit application. Please try again.'
     });
+  } finally {
+    if (connection) connection.release();
   }
+
+  if (previousResume) {
+    await removeStoredFile(previousResume);
+  }
+
+  return res.status(resubmitted ? 200 : 201).json({
+    success: true,
+    message: resubmitted
+      ? 'Your application has been resubmitted for review'
+      : 'Your tutor application has been submitted successfully'
+  });
 };
 
 /**
  * Get current user's application status
  */
 const getApplicationStatus = async (req, res) => {
-  if (!req.session.userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   const userId = req.session.userId;
 
   try {
     const [application] = await pool.query(
-      `SELECT verification_status, years_experience, hourly_rate, description, bio
+      `SELECT verification_status, years_experience, hourly_rate, description, bio, review_reason, resume_file_id
        FROM tutor_profiles WHERE user_id = ?`,
       [userId]
     );
@@ -151,13 +200,6 @@ const getApplicationStatus = async (req, res) => {
 const addTutorCourse = async (req, res) => {
   const userId = req.session?.userId;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     const { title, code, credits, description } = req.body;
 
@@ -169,19 +211,6 @@ const addTutorCourse = async (req, res) => {
       });
     }
 
-    // Verify user is a tutor
-    const [tutorCheck] = await pool.query(
-      'SELECT user_id FROM tutor_profiles WHERE user_id = ?',
-      [userId]
-    );
-
-    if (tutorCheck.length === 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'User is not a tutor'
-      });
-    }
-
     // Parse department code (e.g., "CSC 415" -> "CSC")
     const departmentCode = code.split(' ')[0].toUpperCase();
     // Parse course number (e.g., "CSC 415" -> "415")
@@ -293,13 +322,6 @@ const removeTutorCourse = async (req, res) => {
   const userId = req.session?.userId;
   const { courseId } = req.params;
 
-  if (!userId) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
-
   try {
     // Delete the mapping
     const [result] = await pool.query(
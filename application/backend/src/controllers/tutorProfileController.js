@@ -1,5 +1,6 @@
 // controllers/tutorProfileController.js
 const { pool } = require('../config/db');
+const { getTutorStats } = require('../utils/tutorStats');
 
 // GET /api/tutors/:id
 // Returns a single tutor profile in the shape expected by tutorProfile.html
@@ -129,6 +130,8 @@ exports.getTutorSessions = async (req, res) => {
         sess.tutor_id = ?
         AND tp.verification_status = 'verified'
         AND sess.status IN ('scheduled', 'active')
+        AND sess.booked_by_user_id IS NULL
+        AND sess.visibility = 'public'
         AND sess.start_time >= NOW()
       GROUP BY
         sess.session_id,
@@ -168,7 +171,8 @@ exports.getTutorSessions = async (req, res) => {
 };
 
 // GET /api/tutors/:id/reviews
-// Returns an array of reviews { student_name, created_at, rating, comment }
+// Returns an array of visible reviews { review_id, student_name, created_at, rating, comment, tutor_reply, tutor_replied_at }
+// Reviews hidden by moderators are left out.
 exports.getTutorReviews = async (req, res) => {
   try {
     const tutorId = parseInt(req.params.id, 10);
@@ -179,23 +183,29 @@ exports.getTutorReviews = async (req, res) => {
     const [rows] = await pool.execute(
       `
       SELECT
+        r.review_id,
         CONCAT(su.first_name, ' ', su.last_name) AS student_name,
         r.created_at,
         r.rating,
-        r.comment
+        r.comment,
+        r.tutor_reply,
+        r.tutor_replied_at
       FROM reviews r
       LEFT JOIN users su ON r.student_id = su.user_id
-      WHERE r.tutor_id = ?
+      WHERE r.tutor_id = ? AND r.hidden_at IS NULL
       ORDER BY r.created_at DESC
       `,
       [tutorId]
     );
 
     const reviews = rows.map(row => ({
+      review_id: row.review_id,
       student_name: row.student_name,
       created_at: row.created_at,
       rating: Number(row.rating) || 0,
-      comment: row.comment || ''
+      comment: row.comment || '',
+      tutor_reply: row.tutor_reply || null,
+      tutor_replied_at: row.tutor_replied_at
     }));
 
     res.json(reviews);
@@ -207,3 +217,32 @@ exports.getTutorReviews = async (req, res) => {
     });
   }
 };
+
+// GET /api/tutors/:id/stats
+// Returns { rating: { average, count, histogram }, sessionsTaught, studentsHelped,
+// hoursTutored, attendance, cancellation } - cached, see utils/tutorStats.js
+exports.getTutorStats = async (req, res) => {
+  try {
+    const tutorId = parseInt(req.params.id, 10);
+    if (Number.isNaN(tutorId)) {
+      return res.status(400).json({ error: 'Invalid tutor ID' });
+    }
+
+    const [tutors] = await pool.execute(
+      'SELECT user_id FROM tutor_profiles WHERE user_id = ?',
+      [tutorId]
+    );
+
+    if (tutors.length === 0) {
+      return res.status(404).json({ error: 'Tutor not found' });
+    }
+
+    res.json(await getTutorStats(tutorId));
+  } catch (error) {
+    console.error('Database error fetching tutor stats:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch tutor stats',
+      message: error.message,
+    });
+  }
+};
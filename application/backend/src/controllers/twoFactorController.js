@@ -0,0 +1,267 @@
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const { pool } = require('../config/db');
+const { generateSecret, getProvisioningUri } = require('../utils/totp');
+const {
+  getTwoFactor,
+  generateRecoveryCodes,
+  verifyTotpForUser,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+/**
+ * Load the logged-in user's email and password hash
+ * Routes are guarded by requireRole('Tutor', 'Admin'), so the user is known to exist.
+ */
+const getTwoFactorUser = async (req) => {
+  const [users] = await pool.query(
+    'SELECT user_id, email, role, password_hash FROM users WHERE user_id = ?',
+    [req.session.userId]
+  );
+  return users[0];
+};
+
+/**
+ * Get the current user's 2FA status
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req);
+
+    const record = await getTwoFactor(user.user_id);
+
+    let recoveryCodesRemaining = 0;
+    if (record && record.enabled_at) {
+      const [codes] = await pool.query(
+        'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [user.user_id]
+      );
+      recoveryCodesRemaining = codes[0].remaining;
+    }
+
+    return res.status(200).json({
+      success: true,
+      enabled: !!(record && record.enabled_at),
+      enabledAt: record ? record.enabled_at : null,
+      recoveryCodesRemaining
+    });
+
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment
+ * Creates (or replaces an unconfirmed) secret and returns the provisioning URI and QR code.
+ * 2FA isn't active until the user confirms a code via verifyTwoFactorEnrollment.
+ */
+const enrollTwoFactor = async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req);
+
+    const existing = await getTwoFactor(user.user_id);
+    if (existing && existing.enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await pool.query(
+      `INSERT INTO user_two_factor (user_id, secret_base32, enabled_at, last_used_step)
+       VALUES (?, ?, NULL, NULL)
+       ON DUPLICATE KEY UPDATE secret_base32 = VALUES(secret_base32), enabled_at = NULL, last_used_step = NULL`,
+      [user.user_id, secret]
+    );
+
+    const otpauthUrl = getProvisioningUri(secret, user.email);
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+    return res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCodeDataUrl
+    });
+
+  } catch (error) {
+    console.error('Error starting 2FA enrollment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor enrollment'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Turns 2FA on and returns the one-time recovery codes
+ */
+const verifyTwoFactorEnrollment = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  let connection;
+
+  try {
+    const user = await getTwoFactorUser(req);
+
+    const record = await getTwoFactor(user.user_id);
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor enrollment first'
+      });
+    }
+
+    if (record.enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!(await verifyTotpForUser(record, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code. Check your authenticator app and try again.'
+      });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.query(
+      'UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [user.user_id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(user.user_id, connection);
+
+    await connection.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is now enabled. Save your recovery codes somewhere safe - each can be used once.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error('Error verifying 2FA enrollment:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Disable 2FA - requires the account password plus a current code or recovery code
+ */
+const disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password and an authentication or recovery code are required'
+    });
+  }
+
+  try {
+    const user = await getTwoFactorUser(req);
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!(await verifySecondFactor(user.user_id, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication or recovery code'
+      });
+    }
+
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [user.user_id]);
+    await pool.query('DELETE FROM user_two_factor WHERE user_id = ?', [user.user_id]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication has been disabled'
+    });
+
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Replace recovery codes (requires a current authenticator code)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Authentication code is required'
+    });
+  }
+
+  try {
+    const user = await getTwoFactorUser(req);
+
+    if (!(await verifySecondFactor(user.user_id, { code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  verifyTwoFactorEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
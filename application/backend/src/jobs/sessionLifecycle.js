@@ -0,0 +1,219 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const { formatSessionDetails } = require('../utils/sessionNotifications');
+const { sessionEvents } = require('../utils/sessionEvents');
+const { invalidateTutorStats } = require('../utils/tutorStats');
+const { recordNoShows } = require('../utils/attendance');
+
+// MySQL named lock - only one instance runs a pass at a time
+const LOCK_NAME = 'edugator:session-lifecycle';
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+const SESSION_COLUMNS = 'session_id, tutor_id, series_id, title, start_time, end_time, location_details, status';
+
+/**
+ * Deal with pending join requests on sessions that have started
+ * - Whole-series requests move to the next upcoming occurrence if there is one
+ * - Everything else expires and the student is told
+ * - Unconfirmed slot bookings are cancelled along with their request
+ * Returns the expired requests with their sessions.
+ */
+const expireStartedRequests = async (conn) => {
+  const [requests] = await conn.query(
+    `SELECT sjr.request_id, sjr.series_id, sjr.requester_user_id, sjr.tutor_user_id,
+            s.session_id, s.title, s.start_time, s.location_details, s.booked_by_user_id
+     FROM session_join_requests sjr
+     INNER JOIN sessions s ON sjr.session_id = s.session_id
+     WHERE sjr.status = 'pending' AND s.start_time <= NOW()
+     FOR UPDATE`
+  );
+
+  const expired = [];
+
+  for (const request of requests) {
+    if (request.series_id) {
+      const [next] = await conn.query(
+        `SELECT session_id FROM sessions
+         WHERE series_id = ? AND status = 'scheduled' AND start_time > NOW()
+         ORDER BY start_time LIMIT 1`,
+        [request.series_id]
+      );
+
+      if (next.length > 0) {
+        await conn.query(
+          'UPDATE session_join_requests SET session_id = ? WHERE request_id = ?',
+          [next[0].session_id, request.request_id]
+        );
+        continue;
+      }
+    }
+
+    await conn.query(
+      `UPDATE session_join_requests SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+       WHERE request_id = ?`,
+      [request.request_id]
+    );
+
+    // An unconfirmed booking never happened, so don't let it run as an empty session.
+    // This is the one place the job sets 'cancelled' (migration 012 predates bookings);
+    // cancelled_by_user_id stays NULL, so it isn't counted against the tutor.
+    if (request.booked_by_user_id === request.requester_user_id) {
+      await conn.query(
+        `UPDATE sessions
+         SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = 'The booking was not confirmed before the session started'
+         WHERE session_id = ?`,
+        [request.session_id]
+      );
+      await invalidateTutorStats(request.tutor_user_id, conn);
+    }
+
+    let content = `Your request to join "${request.title}" has expired because the session started before the tutor responded.\n\n`;
+    content += formatSessionDetails(request);
+    content += `Feel free to browse other available sessions on the platform.`;
+
+    await sendInboxMessage({
+      senderId: request.tutor_user_id,
+      receiverId: request.requester_user_id,
+      subject: `Request Expired: ${request.title}`,
+      content
+    }, conn);
+
+    expired.push(request);
+  }
+
+  return expired;
+};
+
+/**
+ * Move sessions matching `where` to `nextStatus`, returning the sessions moved
+ */
+const transitionSessions = async (conn, where, nextStatus) => {
+  const [sessions] = await conn.query(
+    `SELECT ${SESSION_COLUMNS} FROM sessions WHERE ${where} FOR UPDATE`
+  );
+
+  if (sessions.length > 0) {
+    await conn.query(
+      'UPDATE sessions SET status = ? WHERE session_id IN (?)',
+      [nextStatus, sessions.map(s => s.session_id)]
+    );
+  }
+
+  return sessions.map(s => ({ ...s, status: nextStatus }));
+};
+
+/**
+ * Run one lifecycle pass
+ * - Expires pending join requests on sessions that have started
+ * - scheduled -> active once start_time passes
+ * - scheduled/active -> over once end_time passes, marking students who never
+ *   checked in as absent when check-in was used
+ * - Clears waitlists for sessions that are no longer open
+ * Returns counts of what changed, or null when another instance holds the lock.
+ */
+const runSessionLifecycle = async () => {
+  const connection = await pool.getConnection();
+  let locked = false;
+
+  try {
+    const [lockRows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [LOCK_NAME]);
+    locked = lockRows[0].acquired === 1;
+
+    if (!locked) {
+      return null;
+    }
+
+    let expired;
+    let started;
+    let completed;
+    let noShows;
+
+    try {
+      await connection.beginTransaction();
+
+      expired = await expireStartedRequests(connection);
+      started = await transitionSessions(
+        connection,
+        `status = 'scheduled' AND start_time <= NOW() AND end_time > NOW()`,
+        'active'
+      );
+      completed = await transitionSessions(
+        connection,
+        `status IN ('scheduled', 'active') AND end_time <= NOW()`,
+        'over'
+      );
+      noShows = await recordNoShows(completed.map(s => s.session_id), connection);
+
+      const closedIds = [...started, ...completed].map(s => s.session_id);
+      if (closedIds.length > 0) {
+        await connection.query('DELETE FROM session_waitlist WHERE session_id IN (?)', [closedIds]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+
+    // Emit only after commit so listeners see the new state
+    expired.forEach(request => sessionEvents.emit('joinRequest:expired', {
+      request,
+      session: { session_id: request.session_id, title: request.title, start_time: request.start_time }
+    }));
+    started.forEach(session => sessionEvents.emit('session:started', { session }));
+    completed.forEach(session => sessionEvents.emit('session:completed', { session }));
+
+    return {
+      expiredRequests: expired.length,
+      startedSessions: started.length,
+      completedSessions: completed.length,
+      noShowsRecorded: noShows
+    };
+
+  } finally {
+    if (locked) {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+    }
+    connection.release();
+  }
+};
+
+/**
+ * Start running the lifecycle pass on an interval (and once immediately)
+ * Interval comes from SESSION_LIFECYCLE_INTERVAL_MS, default one minute.
+ * Returns a function that stops the job.
+ */
+const startSessionLifecycleJob = ({ intervalMs } = {}) => {
+  const interval = intervalMs || parseInt(process.env.SESSION_LIFECYCLE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow pass
+    if (running) return;
+    running = true;
+
+    try {
+      const result = await runSessionLifecycle();
+      if (result && (result.expiredRequests || result.startedSessions || result.completedSessions)) {
+        console.log(
+          `Session lifecycle: ${result.startedSessions} started, ${result.completedSessions} completed, ` +
+          `${result.expiredRequests} requests expired, ${result.noShowsRecorded} no-shows recorded`
+        );
+      }
+    } catch (error) {
+      console.error('Error running session lifecycle job:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runSessionLifecycle,
+  startSessionLifecycleJob
+};
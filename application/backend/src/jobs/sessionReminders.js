@@ -0,0 +1,240 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('../utils/inbox');
+const { sendMail } = require('../utils/mailer');
+const { formatSessionDetails } = require('../utils/sessionNotifications');
+
+// MySQL named lock - only one instance sends reminders at a time
+const LOCK_NAME = 'edugator:session-reminders';
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_OFFSETS_MINUTES = [24 * 60, 60];
+
+/**
+ * Reminder offsets in minutes before start_time, largest first
+ * Read from SESSION_REMINDER_OFFSETS as comma-separated minutes, e.g. "1440,60".
+ */
+const getReminderOffsets = () => {
+  const configured = String(process.env.SESSION_REMINDER_OFFSETS || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+
+  const offsets = configured.length > 0 ? configured : DEFAULT_OFFSETS_MINUTES;
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Emails are opt-in per deployment (SESSION_REMINDER_EMAILS=true) and opt-out per user
+ */
+const reminderEmailsEnabled = () => process.env.SESSION_REMINDER_EMAILS === 'true';
+
+/**
+ * "24 hours", "1 hour", "30 minutes"
+ */
+const describeOffset = (minutes) => {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours !== 1 ? 's' : ''}`;
+  }
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+};
+
+/**
+ * Scheduled sessions whose reminder for `offset` is due
+ * A reminder is due once the session is within `offset` minutes, but only while the
+ * next smaller offset isn't due yet - a session moved to start soon gets one
+ * reminder for the nearest offset instead of every reminder at once.
+ */
+const findDueSessions = async (conn, offset, nextOffset) => {
+  const [sessions] = await conn.query(
+    `SELECT session_id, tutor_id, title, start_time, location_details
+     FROM sessions
+     WHERE status = 'scheduled'
+       AND start_time <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       AND start_time > DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+    [offset, nextOffset]
+  );
+
+  return sessions;
+};
+
+/**
+ * Attendees and the tutor of a session who still want reminders and haven't
+ * had this one yet
+ */
+const findRecipients = async (conn, session, offset) => {
+  const [recipients] = await conn.query(
+    `SELECT u.user_id, u.email, u.first_name, u.reminder_emails_enabled, u.email_verified_at
+     FROM users u
+     WHERE (u.user_id = ? OR u.user_id IN (SELECT user_id FROM session_attendees WHERE session_id = ?))
+       AND u.deleted_at IS NULL
+       AND u.session_reminders_enabled = 1
+       AND NOT EXISTS (
+         SELECT 1 FROM session_reminders sr
+         WHERE sr.session_id = ? AND sr.user_id = u.user_id
+           AND sr.offset_minutes = ? AND sr.start_time = ?
+       )`,
+    [session.tutor_id, session.session_id, session.session_id, offset, session.start_time]
+  );
+
+  return recipients;
+};
+
+/**
+ * Record and deliver one session's reminders inside a transaction
+ * The session_reminders row is claimed with INSERT IGNORE before the inbox
+ * message is written, so a reminder is only ever sent once per start time.
+ * Returns { sent, emails } with the emails to send once the transaction has committed.
+ */
+const sendSessionReminders = async (conn, session, offset) => {
+  const recipients = await findRecipients(conn, session, offset);
+  const emails = [];
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    const [claimed] = await conn.query(
+      `INSERT IGNORE INTO session_reminders (session_id, user_id, offset_minutes, start_time)
+       VALUES (?, ?, ?, ?)`,
+      [session.session_id, recipient.user_id, offset, session.start_time]
+    );
+
+    if (claimed.affectedRows === 0) {
+      continue;
+    }
+
+    const isTutor = recipient.user_id === session.tutor_id;
+    const subject = `Reminder: ${session.title} starts in ${describeOffset(offset)}`;
+    let content = isTutor
+      ? `⏰ Your session "${session.title}" starts in ${describeOffset(offset)}.\n\n`
+      : `⏰ Your session "${session.title}" starts in ${describeOffset(offset)}. See you there!\n\n`;
+    content += formatSessionDetails(session);
+    content += `You can turn off session reminders in your account settings.`;
+
+    // Reminders come from the session's tutor but are automatic, so they stay out of their Sent folder
+    await sendInboxMessage({
+      senderId: session.tutor_id,
+      receiverId: recipient.user_id,
+      subject,
+      content,
+      senderCopy: false
+    }, conn);
+    sent++;
+
+    if (reminderEmailsEnabled() && recipient.reminder_emails_enabled === 1 && recipient.email_verified_at) {
+      emails.push({
+        reminderKey: [session.session_id, recipient.user_id, offset, session.start_time],
+        to: recipient.email,
+        subject,
+        text: `Hi ${recipient.first_name},\n\n${content}`
+      });
+    }
+  }
+
+  return { sent, emails };
+};
+
+/**
+ * Run one reminder pass over every configured offset
+ * Returns counts of what was sent, or null when another instance holds the lock.
+ */
+const runSessionReminders = async () => {
+  const connection = await pool.getConnection();
+  let locked = false;
+
+  try {
+    const [lockRows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [LOCK_NAME]);
+    locked = lockRows[0].acquired === 1;
+
+    if (!locked) {
+      return null;
+    }
+
+    const offsets = getReminderOffsets();
+    const emails = [];
+    let remindersSent = 0;
+    let emailsSent = 0;
+
+    for (let i = 0; i < offsets.length; i++) {
+      const dueSessions = await findDueSessions(connection, offsets[i], offsets[i + 1] || 0);
+
+      // One transaction per session so a failure only holds back that session's reminders
+      for (const session of dueSessions) {
+        try {
+          await connection.beginTransaction();
+          const result = await sendSessionReminders(connection, session, offsets[i]);
+          await connection.commit();
+
+          remindersSent += result.sent;
+          emails.push(...result.emails);
+        } catch (error) {
+          await connection.rollback();
+          console.error(`Error sending reminders for session ${session.session_id}:`, error);
+        }
+      }
+    }
+
+    // Email after commit; a failed email is logged rather than retried so the
+    // inbox reminder is never duplicated
+    for (const email of emails) {
+      try {
+        await sendMail(email);
+        await connection.query(
+          `UPDATE session_reminders SET emailed = 1
+           WHERE session_id = ? AND user_id = ? AND offset_minutes = ? AND start_time = ?`,
+          email.reminderKey
+        );
+        emailsSent++;
+      } catch (error) {
+        console.error(`Error emailing session reminder to ${email.to}:`, error);
+      }
+    }
+
+    return {
+      remindersSent,
+      emailsSent
+    };
+
+  } finally {
+    if (locked) {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+    }
+    connection.release();
+  }
+};
+
+/**
+ * Start sending reminders on an interval (and once immediately)
+ * Interval comes from SESSION_REMINDER_INTERVAL_MS, default one minute.
+ * Returns a function that stops the job.
+ */
+const startSessionReminderJob = ({ intervalMs } = {}) => {
+  const interval = intervalMs || parseInt(process.env.SESSION_REMINDER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow pass
+    if (running) return;
+    running = true;
+
+    try {
+      const result = await runSessionReminders();
+      if (result && result.remindersSent) {
+        console.log(`Session reminders: ${result.remindersSent} sent, ${result.emailsSent} emailed`);
+      }
+    } catch (error) {
+      console.error('Error running session reminder job:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getReminderOffsets,
+  runSessionReminders,
+  startSessionReminderJob
+};
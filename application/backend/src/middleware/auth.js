@@ -0,0 +1,124 @@
+const { pool } = require('../config/db');
+
+/**
+ * Authentication and authorization middleware
+ * Applied per route in routes/index.js, so every protected endpoint's access
+ * rule is visible in one place. Roles are always read fresh from the database
+ * (an admin may have promoted or removed the user since they logged in).
+ */
+
+/**
+ * Load the logged-in user for this request
+ * Sends 401 and returns null when there is no valid logged-in user.
+ */
+const loadSessionUser = async (req, res) => {
+  if (!req.session.userId) {
+    res.status(401).json({
+      success: false,
+      message: 'Not authenticated'
+    });
+    return null;
+  }
+
+  const [users] = await pool.query(
+    `SELECT u.user_id, u.role, u.deleted_at, tp.verification_status
+     FROM users u
+     LEFT JOIN tutor_profiles tp ON u.user_id = tp.user_id
+     WHERE u.user_id = ?`,
+    [req.session.userId]
+  );
+
+  if (users.length === 0 || users[0].deleted_at) {
+    // Account no longer exists - clear the stale session
+    req.session.destroy(() => {
+      res.status(401).json({
+        success: false,
+        message: 'Not authenticated'
+      });
+    });
+    return null;
+  }
+
+  const user = users[0];
+
+  // Keep the session's cached role in sync
+  if (req.session.role !== user.role) {
+    req.session.role = user.role;
+  }
+
+  req.user = {
+    userId: user.user_id,
+    role: user.role,
+    verificationStatus: user.verification_status
+  };
+
+  return req.user;
+};
+
+const sendAuthError = (res, error) => {
+  console.error('Error checking authorization:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Failed to verify your account. Please try again.'
+  });
+};
+
+/**
+ * Require a logged-in user
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    if (await loadSessionUser(req, res)) next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Require a logged-in user with one of the given roles
+ * e.g. requireRole('Admin') or requireRole('Tutor', 'Admin')
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await loadSessionUser(req, res);
+    if (!user) return;
+
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires ${roles.join(' or ')} access`
+      });
+    }
+
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Require a tutor whose application has been approved
+ */
+const requireVerifiedTutor = async (req, res, next) => {
+  try {
+    const user = await loadSessionUser(req, res);
+    if (!user) return;
+
+    if (user.role !== 'Tutor' || user.verificationStatus !== 'verified') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only verified tutors can do this'
+      });
+    }
+
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+module.exports = {
+  requireAuth,
+  requireRole,
+  requireVerifiedTutor
+};
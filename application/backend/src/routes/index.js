@@ -3,11 +3,22 @@ const router = express.Router();
 
 const searchController = require('../controllers/searchController');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const dashboardController = require('../controllers/dashboardController');
 const tutorController = require('../controllers/tutorController');
 const messageController = require('../controllers/messageController');
 const tutorProfileController = require('../controllers/tutorProfileController');
 const sessionController = require('../controllers/sessionController');
+const adminController = require('../controllers/adminController');
+const accountController = require('../controllers/accountController');
+const attendanceController = require('../controllers/attendanceController');
+const availabilityController = require('../controllers/availabilityController');
+const inviteController = require('../controllers/inviteController');
+const reviewController = require('../controllers/reviewController');
+const fileController = require('../controllers/fileController');
+const { requireAuth, requireRole, requireVerifiedTutor } = require('../middleware/auth');
+const { TWO_FACTOR_ROLES } = require('../utils/twoFactor');
+const { acceptAvatarUpload, acceptResumeUpload } = require('../utils/uploads');
 
 router.get('/health', (req, res) => {
   res.json({ ok: true, message: 'server is running' });
@@ -16,8 +27,32 @@ router.get('/health', (req, res) => {
 // Auth routes
 router.post('/api/auth/register', authController.register);
 router.post('/api/auth/login', authController.login);
+router.post('/api/auth/login/2fa', authController.completeTwoFactorLogin);
 router.post('/api/auth/logout', authController.logout);
 router.get('/api/auth/me', authController.getCurrentUser);
+router.post('/api/auth/forgot-password', authController.forgotPassword);
+router.post('/api/auth/reset-password', authController.resetPassword);
+router.post('/api/auth/verify-email', authController.verifyEmail);
+router.post('/api/auth/resend-verification', authController.resendVerification);
+router.get('/api/auth/sessions', requireAuth, authController.getUserSessions);
+router.delete('/api/auth/sessions/:id', requireAuth, authController.revokeUserSession);
+router.post('/api/auth/logout-all', requireAuth, authController.logoutAll);
+router.put('/api/auth/password', requireAuth, authController.changePassword);
+router.put('/api/auth/email', requireAuth, authController.requestEmailChange);
+router.post('/api/auth/email/confirm', authController.confirmEmailChange);
+
+// Two-factor authentication routes (Tutors and Admins)
+router.get('/api/auth/2fa/status', requireRole(...TWO_FACTOR_ROLES), twoFactorController.getTwoFactorStatus);
+router.post('/api/auth/2fa/enroll', requireRole(...TWO_FACTOR_ROLES), twoFactorController.enrollTwoFactor);
+router.post('/api/auth/2fa/verify', requireRole(...TWO_FACTOR_ROLES), twoFactorController.verifyTwoFactorEnrollment);
+router.post('/api/auth/2fa/disable', requireRole(...TWO_FACTOR_ROLES), twoFactorController.disableTwoFactor);
+router.post('/api/auth/2fa/recovery-codes', requireRole(...TWO_FACTOR_ROLES), twoFactorController.regenerateRecoveryCodes);
+
+// Account data routes
+router.get('/api/account/export', requireAuth, accountController.exportAccountData);
+router.get('/api/account/notifications', requireAuth, accountController.getNotificationSettings);
+router.put('/api/account/notifications', requireAuth, accountController.updateNotificationSettings);
+router.delete('/api/account', requireAuth, accountController.deleteAccount);
 
 // Search routes
 router.get('/api/subjects', searchController.getSubjects);
@@ -26,70 +61,117 @@ router.get('/api/courses', searchController.getCourses);
 router.get('/api/search', searchController.search);
 
 // Session routes
-router.post('/api/sessions', sessionController.createSession);
+router.post('/api/sessions', requireVerifiedTutor, sessionController.createSession);
+router.post('/api/sessions/series', requireVerifiedTutor, sessionController.createSessionSeries);
 router.get('/api/sessions/:id', searchController.getSessionById);
-router.delete('/api/sessions/:id', sessionController.deleteSession);
-router.get('/api/sessions/:id/enrollments', sessionController.getSessionEnrollments);
-router.delete('/api/sessions/:id/students/:studentId', sessionController.removeStudentFromSession);
+router.patch('/api/sessions/:id', requireVerifiedTutor, sessionController.updateSession);
+router.delete('/api/sessions/:id', requireRole('Tutor'), sessionController.cancelSession);
+router.get('/api/sessions/:id/enrollments', requireRole('Tutor'), sessionController.getSessionEnrollments);
+router.delete('/api/sessions/:id/students/:studentId', requireRole('Tutor'), sessionController.removeStudentFromSession);
 
 // Student enrolled sessions routes
-router.get('/api/students/enrolled-sessions', sessionController.getStudentEnrolledSessions);
-router.delete('/api/sessions/:id/unenroll', sessionController.unenrollFromSession);
+router.get('/api/students/enrolled-sessions', requireAuth, sessionController.getStudentEnrolledSessions);
+router.get('/api/students/session-archive', requireAuth, sessionController.getStudentSessionArchive);
+router.get('/api/tutors/session-archive', requireRole('Tutor'), sessionController.getTutorSessionArchive);
+router.delete('/api/sessions/:id/unenroll', requireAuth, sessionController.unenrollFromSession);
+router.post('/api/sessions/:id/waitlist', requireAuth, sessionController.joinWaitlist);
+router.delete('/api/sessions/:id/waitlist', requireAuth, sessionController.leaveWaitlist);
+
+// Session invite routes
+router.get('/api/sessions/:id/invites', requireRole('Tutor'), inviteController.getSessionInvites);
+router.post('/api/sessions/:id/invites', requireVerifiedTutor, inviteController.createSessionInvite);
+router.delete('/api/sessions/:id/invites/:inviteId', requireRole('Tutor'), inviteController.revokeSessionInvite);
+router.get('/api/invites/:code', requireAuth, inviteController.lookupInvite);
+
+// Attendance routes
+router.get('/api/sessions/:id/checkin-code', requireRole('Tutor'), attendanceController.getCheckinCode);
+router.post('/api/sessions/:id/checkin', requireAuth, attendanceController.checkIn);
+router.put('/api/sessions/:id/attendance', requireRole('Tutor'), attendanceController.markAttendance);
+
+// Review routes
+router.post('/api/sessions/:id/reviews', requireAuth, reviewController.createSessionReview);
+router.get('/api/students/pending-reviews', requireAuth, reviewController.getMyPendingReviews);
+router.put('/api/reviews/:id/reply', requireRole('Tutor'), reviewController.replyToReview);
+router.post('/api/reviews/:id/reports', requireAuth, reviewController.reportReview);
 
 // Dashboard routes
-router.get('/api/dashboard/student', dashboardController.getStudentDashboard);
-router.get('/api/dashboard/tutor', dashboardController.getTutorDashboard);
+router.get('/api/dashboard/student', requireRole('Student'), dashboardController.getStudentDashboard);
+router.get('/api/dashboard/tutor', requireRole('Tutor'), dashboardController.getTutorDashboard);
 
 // Student course management routes
-router.post('/api/students/courses', dashboardController.addStudentCourse);
-router.delete('/api/students/courses/:courseId', dashboardController.removeStudentCourse);
+router.post('/api/students/courses', requireRole('Student'), dashboardController.addStudentCourse);
+router.delete('/api/students/courses/:courseId', requireRole('Student'), dashboardController.removeStudentCourse);
 
 // Student calendar route
-router.get('/api/students/calendar', dashboardController.getStudentCalendar);
+router.get('/api/students/calendar', requireAuth, dashboardController.getStudentCalendar);
 
 // Tutor calendar route
-router.get('/api/tutors/calendar', dashboardController.getTutorCalendar);
+router.get('/api/tutors/calendar', requireRole('Tutor'), dashboardController.getTutorCalendar);
 
 // Student profile management
-router.put('/api/students/profile', dashboardController.updateStudentProfile);
+router.put('/api/students/profile', requireRole('Student'), dashboardController.updateStudentProfile);
 
 // Tutor profile management
-router.put('/api/tutors/profile', dashboardController.updateTutorProfile);
+router.put('/api/tutors/profile', requireRole('Tutor'), dashboardController.updateTutorProfile);
+
+// Tutor availability and slot booking routes
+router.get('/api/tutors/availability', requireRole('Tutor'), availabilityController.getMyAvailability);
+router.put('/api/tutors/availability', requireVerifiedTutor, availabilityController.updateMyAvailability);
+router.get('/api/tutors/:id/slots', availabilityController.getTutorSlots);
+router.post('/api/tutors/:id/slots', requireAuth, availabilityController.bookTutorSlot);
 
 // Tutor application routes
-router.post('/api/tutor/apply', tutorController.applyToBeTutor);
-router.get('/api/tutor/application-status', tutorController.getApplicationStatus);
+router.post('/api/tutor/apply', requireAuth, acceptResumeUpload, tutorController.applyToBeTutor);
+router.get('/api/tutor/application-status', requireAuth, tutorController.getApplicationStatus);
+
+// Admin tutor application review routes
+router.get('/api/admin/tutor-applications', requireRole('Admin'), adminController.getTutorApplications);
+router.get('/api/admin/tutor-applications/:userId', requireRole('Admin'), adminController.getTutorApplication);
+router.post('/api/admin/tutor-applications/:userId/approve', requireRole('Admin'), adminController.approveTutorApplication);
+router.post('/api/admin/tutor-applications/:userId/reject', requireRole('Admin'), adminController.rejectTutorApplication);
+
+// Admin review moderation routes
+router.get('/api/admin/review-reports', requireRole('Admin'), adminController.getReviewReports);
+router.post('/api/admin/reviews/:id/hide', requireRole('Admin'), adminController.hideReview);
+router.post('/api/admin/reviews/:id/restore', requireRole('Admin'), adminController.restoreReview);
+router.post('/api/admin/reviews/:id/dismiss-reports', requireRole('Admin'), adminController.dismissReviewReports);
 
 // Tutor course management routes
-router.post('/api/tutors/courses', tutorController.addTutorCourse);
-router.delete('/api/tutors/courses/:courseId', tutorController.removeTutorCourse);
+router.post('/api/tutors/courses', requireVerifiedTutor, tutorController.addTutorCourse);
+router.delete('/api/tutors/courses/:courseId', requireVerifiedTutor, tutorController.removeTutorCourse);
 
 // Session join request routes
-router.post('/api/session-requests', messageController.sendSessionRequest);
-router.post('/api/session-requests/:id/accept', messageController.acceptSessionRequest);
-router.post('/api/session-requests/:id/deny', messageController.denySessionRequest);
-router.get('/api/sessions/:sessionId/request-status', messageController.getSessionRequestStatus);
+router.post('/api/session-requests', requireAuth, messageController.sendSessionRequest);
+router.post('/api/session-requests/:id/accept', requireRole('Tutor'), messageController.acceptSessionRequest);
+router.post('/api/session-requests/:id/deny', requireRole('Tutor'), messageController.denySessionRequest);
+router.get('/api/sessions/:sessionId/request-status', requireAuth, messageController.getSessionRequestStatus);
 
 // Inbox/Message routes
-router.get('/api/messages/inbox', messageController.getInboxMessages);
-router.get('/api/messages/sent', messageController.getSentMessages);
-router.get('/api/messages/drafts', messageController.getDraftMessages);
-router.get('/api/messages/trash', messageController.getTrashMessages);
-router.post('/api/messages', messageController.sendMessage);
-router.post('/api/messages/drafts', messageController.saveDraft);
-router.put('/api/messages/drafts/:id', messageController.updateDraft);
-router.post('/api/messages/drafts/:id/send', messageController.sendDraft);
-router.delete('/api/messages/drafts/:id', messageController.deleteDraft);
-router.patch('/api/messages/:id/read', messageController.markMessageAsRead);
-router.patch('/api/messages/:id/restore', messageController.restoreFromTrash);
-router.delete('/api/messages/trash/empty', messageController.emptyTrash);
-router.delete('/api/messages/:id', messageController.deleteMessage);
-router.get('/api/messages/unread-count', messageController.getUnreadCount);
-router.get('/api/users/search', messageController.searchUsers);
+router.get('/api/messages/inbox', requireAuth, messageController.getInboxMessages);
+router.get('/api/messages/sent', requireAuth, messageController.getSentMessages);
+router.get('/api/messages/drafts', requireAuth, messageController.getDraftMessages);
+router.get('/api/messages/trash', requireAuth, messageController.getTrashMessages);
+router.post('/api/messages', requireAuth, messageController.sendMessage);
+router.post('/api/messages/drafts', requireAuth, messageController.saveDraft);
+router.put('/api/messages/drafts/:id', requireAuth, messageController.updateDraft);
+router.post('/api/messages/drafts/:id/send', requireAuth, messageController.sendDraft);
+router.delete('/api/messages/drafts/:id', requireAuth, messageController.deleteDraft);
+router.patch('/api/messages/:id/read', requireAuth, messageController.markMessageAsRead);
+router.patch('/api/messages/:id/restore', requireAuth, messageController.restoreFromTrash);
+router.delete('/api/messages/trash/empty', requireAuth, messageController.emptyTrash);
+router.delete('/api/messages/:id', requireAuth, messageController.deleteMessage);
+router.get('/api/messages/unread-count', requireAuth, messageController.getUnreadCount);
+router.get('/api/users/search', requireAuth, messageController.searchUsers);
+
+// File upload routes
+router.post('/api/users/me/avatar', requireAuth, acceptAvatarUpload, fileController.uploadAvatar);
+router.delete('/api/users/me/avatar', requireAuth, fileController.removeAvatar);
+router.get('/api/files/:id', fileController.downloadFile);
 
 // Tutor profile routes
 router.get('/api/tutors/:id', tutorProfileController.getTutorProfile);
 router.get('/api/tutors/:id/sessions', tutorProfileController.getTutorSessions);
 router.get('/api/tutors/:id/reviews', tutorProfileController.getTutorReviews);
+router.get('/api/tutors/:id/stats', tutorProfileController.getTutorStats);
 
 module.exports = router;
\ No newline at end of file
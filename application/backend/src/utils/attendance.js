@@ -0,0 +1,151 @@
+const { pool } = require('../config/db');
+
+// Students can check in from shortly before the start until the session ends
+const CHECKIN_OPENS_MINUTES_BEFORE = 15;
+
+// NO_SHOW_LIMIT no-shows within NO_SHOW_WINDOW_DAYS blocks new join requests
+// until NO_SHOW_COOLDOWN_DAYS after the most recent one
+const NO_SHOW_LIMIT = 3;
+const NO_SHOW_WINDOW_DAYS = 30;
+const NO_SHOW_COOLDOWN_DAYS = 14;
+
+/**
+ * Whether check-in is currently open for a session
+ * Open while the session is active, or for a scheduled session from
+ * CHECKIN_OPENS_MINUTES_BEFORE its start until its end time.
+ */
+const isCheckinOpen = (session, now = new Date()) => {
+  if (session.status === 'active') {
+    return true;
+  }
+
+  if (session.status !== 'scheduled') {
+    return false;
+  }
+
+  const opensAt = new Date(new Date(session.start_time).getTime() - CHECKIN_OPENS_MINUTES_BEFORE * 60 * 1000);
+  return now >= opensAt && now <= new Date(session.end_time);
+};
+
+/**
+ * Turn attended/no-show counts into the shape the dashboards show
+ * Rates are whole percentages, or null when nothing has been recorded yet.
+ */
+const summarizeAttendance = ({ attended, no_shows: noShows }) => {
+  const attendedCount = Number(attended) || 0;
+  const noShowCount = Number(noShows) || 0;
+  const recorded = attendedCount + noShowCount;
+
+  return {
+    attended: attendedCount,
+    noShows: noShowCount,
+    attendanceRate: recorded > 0 ? Math.round((attendedCount / recorded) * 100) : null,
+    noShowRate: recorded > 0 ? Math.round((noShowCount / recorded) * 100) : null
+  };
+};
+
+/**
+ * Attendance record for a student across every session they've been enrolled in
+ */
+const getStudentAttendanceStats = async (userId, conn = pool) => {
+  const [rows] = await conn.query(
+    `SELECT
+       SUM(attendance_status = 'present') AS attended,
+       SUM(attendance_status = 'absent') AS no_shows
+     FROM session_attendees
+     WHERE user_id = ?`,
+    [userId]
+  );
+
+  return summarizeAttendance(rows[0]);
+};
+
+/**
+ * Attendance across every session a tutor has hosted
+ */
+const getTutorAttendanceStats = async (tutorId, conn = pool) => {
+  const [rows] = await conn.query(
+    `SELECT
+       SUM(sa.attendance_status = 'present') AS attended,
+       SUM(sa.attendance_status = 'absent') AS no_shows
+     FROM session_attendees sa
+     INNER JOIN sessions s ON sa.session_id = s.session_id
+     WHERE s.tutor_id = ?`,
+    [tutorId]
+  );
+
+  return summarizeAttendance(rows[0]);
+};
+
+/**
+ * Record no-shows for sessions that just ended
+ * Only sessions where the tutor showed the check-in code count: there every
+ * enrolled student who didn't check in (and wasn't marked by hand) is marked
+ * absent. Tutors can still correct it afterwards. Returns the number marked.
+ */
+const recordNoShows = async (sessionIds, conn = pool) => {
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  const [result] = await conn.query(
+    `UPDATE session_attendees sa
+     INNER JOIN sessions s ON sa.session_id = s.session_id
+     SET sa.attendance_status = 'absent', sa.attendance_marked_at = NOW()
+     WHERE sa.session_id IN (?)
+       AND s.checkin_secret IS NOT NULL
+       AND sa.attendance_status IS NULL`,
+    [sessionIds]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Check whether a student is in a no-show cooldown
+ * Returns { noShows, blockedUntil } while blocked, otherwise null.
+ */
+const getNoShowCooldown = async (userId, conn = pool) => {
+  const [rows] = await conn.query(
+    `SELECT
+       COUNT(*) AS no_shows,
+       DATE_ADD(MAX(s.end_time), INTERVAL ? DAY) AS blocked_until,
+       DATE_ADD(MAX(s.end_time), INTERVAL ? DAY) > NOW() AS still_blocked
+     FROM session_attendees sa
+     INNER JOIN sessions s ON sa.session_id = s.session_id
+     WHERE sa.user_id = ?
+       AND sa.attendance_status = 'absent'
+       AND s.end_time >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [NO_SHOW_COOLDOWN_DAYS, NO_SHOW_COOLDOWN_DAYS, userId, NO_SHOW_WINDOW_DAYS]
+  );
+
+  const { no_shows: noShows, blocked_until: blockedUntil, still_blocked: stillBlocked } = rows[0];
+
+  if (noShows < NO_SHOW_LIMIT || !stillBlocked) {
+    return null;
+  }
+
+  return { noShows, blockedUntil };
+};
+
+/**
+ * User-facing explanation for a no-show cooldown
+ */
+const describeNoShowCooldown = ({ noShows, blockedUntil }) => {
+  const until = new Date(blockedUntil).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  return `You've missed ${noShows} sessions in the last ${NO_SHOW_WINDOW_DAYS} days without checking in, so you can't join new sessions until ${until}.`;
+};
+
+module.exports = {
+  CHECKIN_OPENS_MINUTES_BEFORE,
+  isCheckinOpen,
+  getStudentAttendanceStats,
+  getTutorAttendanceStats,
+  recordNoShows,
+  getNoShowCooldown,
+  describeNoShowCooldown
+};
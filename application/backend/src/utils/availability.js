@@ -0,0 +1,244 @@
+const { pool } = require('../config/db');
+
+/**
+ * Tutor availability and bookable one-on-one slots
+ * Windows are wall-clock times on a weekday; slots are generated from them on
+ * plain YYYY-MM-DD dates so they line up with how session times are stored.
+ */
+
+const DEFAULT_SETTINGS = {
+  slotMinutes: 60,
+  bufferMinutes: 0,
+  autoConfirm: false,
+  locationDetails: null
+};
+
+const MIN_SLOT_MINUTES = 15;
+const MAX_SLOT_MINUTES = 240;
+const MAX_BUFFER_MINUTES = 120;
+const MAX_WINDOWS = 50;
+const MAX_BLACKOUT_DATES = 100;
+const MAX_SLOT_DAYS = 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(:00)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return isNaN(time) ? null : time;
+};
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+const toMinutes = (clock) => {
+  const match = String(clock).match(CLOCK_PATTERN);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+const toClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// "YYYY-MM-DD HH:mm:ss" is local time, the same way session times are compared elsewhere
+const toTimestamp = (dateTime) => new Date(String(dateTime).replace(' ', 'T')).getTime();
+
+/**
+ * Load a tutor's availability settings, weekly windows and upcoming blackout dates
+ * Tutors who never saved anything get the defaults and no windows.
+ */
+const getTutorAvailability = async (tutorId, conn = pool) => {
+  const [settings] = await conn.query(
+    `SELECT slot_minutes, buffer_minutes, auto_confirm, location_details
+     FROM tutor_availability WHERE tutor_id = ?`,
+    [tutorId]
+  );
+
+  const [windows] = await conn.query(
+    `SELECT weekday, TIME_FORMAT(start_time, '%H:%i') AS start_time, TIME_FORMAT(end_time, '%H:%i') AS end_time
+     FROM tutor_availability_windows
+     WHERE tutor_id = ?
+     ORDER BY weekday, start_time`,
+    [tutorId]
+  );
+
+  const [blackouts] = await conn.query(
+    `SELECT blackout_date FROM tutor_blackout_dates
+     WHERE tutor_id = ? AND blackout_date >= CURDATE()
+     ORDER BY blackout_date`,
+    [tutorId]
+  );
+
+  const row = settings[0];
+
+  return {
+    ...(row ? {
+      slotMinutes: row.slot_minutes,
+      bufferMinutes: row.buffer_minutes,
+      autoConfirm: row.auto_confirm === 1,
+      locationDetails: row.location_details
+    } : DEFAULT_SETTINGS),
+    windows: windows.map(w => ({ weekday: w.weekday, startTime: w.start_time, endTime: w.end_time })),
+    blackoutDates: blackouts.map(b => String(b.blackout_date).slice(0, 10))
+  };
+};
+
+/**
+ * Validate an availability update from the tutor
+ * input: { slotMinutes, bufferMinutes, autoConfirm, locationDetails, windows: [{ weekday, startTime, endTime }], blackoutDates }
+ * Returns { error } or { values } with windows in minutes, sorted.
+ */
+const validateAvailabilityInput = (input) => {
+  const slotMinutes = parseInt(input.slotMinutes ?? DEFAULT_SETTINGS.slotMinutes, 10);
+  const bufferMinutes = parseInt(input.bufferMinutes ?? DEFAULT_SETTINGS.bufferMinutes, 10);
+  const windows = input.windows || [];
+  const blackoutDates = input.blackoutDates || [];
+  const locationDetails = typeof input.locationDetails === 'string' ? input.locationDetails.trim() : '';
+
+  if (isNaN(slotMinutes) || slotMinutes < MIN_SLOT_MINUTES || slotMinutes > MAX_SLOT_MINUTES) {
+    return { error: `Slot length must be between ${MIN_SLOT_MINUTES} and ${MAX_SLOT_MINUTES} minutes` };
+  }
+
+  if (isNaN(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > MAX_BUFFER_MINUTES) {
+    return { error: `Buffer time must be between 0 and ${MAX_BUFFER_MINUTES} minutes` };
+  }
+
+  if (locationDetails.length > 255) {
+    return { error: 'Location must be 255 characters or less' };
+  }
+
+  if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+    return { error: `Availability must be a list of at most ${MAX_WINDOWS} weekly windows` };
+  }
+
+  const parsedWindows = [];
+
+  for (const window of windows) {
+    const weekday = parseInt(window?.weekday, 10);
+    const start = toMinutes(window?.startTime);
+    const end = toMinutes(window?.endTime);
+
+    if (isNaN(weekday) || weekday < 0 || weekday > 6) {
+      return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+
+    if (start === null || end === null) {
+      return { error: 'Window times must be in HH:MM format' };
+    }
+
+    if (end - start < slotMinutes) {
+      return { error: `Each window must be at least one slot (${slotMinutes} minutes) long` };
+    }
+
+    parsedWindows.push({ weekday, start, end });
+  }
+
+  parsedWindows.sort((a, b) => a.weekday - b.weekday || a.start - b.start);
+
+  for (let i = 1; i < parsedWindows.length; i++) {
+    const previous = parsedWindows[i - 1];
+    if (parsedWindows[i].weekday === previous.weekday && parsedWindows[i].start < previous.end) {
+      return { error: 'Availability windows on the same day cannot overlap' };
+    }
+  }
+
+  if (!Array.isArray(blackoutDates) || blackoutDates.length > MAX_BLACKOUT_DATES) {
+    return { error: `Blackout dates must be a list of at most ${MAX_BLACKOUT_DATES} dates` };
+  }
+
+  if (blackoutDates.some(date => parseDate(date) === null)) {
+    return { error: 'Blackout dates must be in YYYY-MM-DD format' };
+  }
+
+  return {
+    values: {
+      slotMinutes,
+      bufferMinutes,
+      autoConfirm: Boolean(input.autoConfirm),
+      locationDetails: locationDetails || null,
+      windows: parsedWindows,
+      blackoutDates: [...new Set(blackoutDates)].sort()
+    }
+  };
+};
+
+/**
+ * Free one-on-one slots for a tutor from fromDate for `days` days
+ * A slot is free when it is in the future, not on a blackout date, and doesn't
+ * come within bufferMinutes of a scheduled or active session the tutor hosts.
+ * Returns { error } or { slots: [{ startTime, endTime }] } with "YYYY-MM-DD HH:mm:ss" times.
+ */
+const findFreeSlots = async (tutorId, fromDate, days, conn = pool) => {
+  const from = parseDate(fromDate);
+
+  if (from === null) {
+    return { error: 'Start date must be in YYYY-MM-DD format' };
+  }
+
+  if (isNaN(days) || days < 1 || days > MAX_SLOT_DAYS) {
+    return { error: `Days must be between 1 and ${MAX_SLOT_DAYS}` };
+  }
+
+  const availability = await getTutorAvailability(tutorId, conn);
+  const { slotMinutes, bufferMinutes, windows } = availability;
+  const blackouts = new Set(availability.blackoutDates);
+
+  if (windows.length === 0) {
+    return { slots: [], availability };
+  }
+
+  const rangeStart = `${toDateString(from)} 00:00:00`;
+  const rangeEnd = `${toDateString(from + days * DAY_MS)} 00:00:00`;
+
+  const [sessions] = await conn.query(
+    `SELECT start_time, end_time FROM sessions
+     WHERE tutor_id = ? AND status IN ('scheduled', 'active')
+       AND start_time < DATE_ADD(?, INTERVAL ? MINUTE)
+       AND end_time > DATE_SUB(?, INTERVAL ? MINUTE)`,
+    [tutorId, rangeEnd, bufferMinutes, rangeStart, bufferMinutes]
+  );
+
+  const busy = sessions.map(s => ({
+    start: toTimestamp(s.start_time) - bufferMinutes * 60 * 1000,
+    end: toTimestamp(s.end_time) + bufferMinutes * 60 * 1000
+  }));
+
+  const now = Date.now();
+  const slots = [];
+
+  for (let day = from; day < from + days * DAY_MS; day += DAY_MS) {
+    const date = toDateString(day);
+    const weekday = new Date(day).getUTCDay();
+
+    if (blackouts.has(date)) {
+      continue;
+    }
+
+    for (const window of windows.filter(w => w.weekday === weekday)) {
+      const windowEnd = toMinutes(window.endTime);
+
+      for (let start = toMinutes(window.startTime); start + slotMinutes <= windowEnd; start += slotMinutes + bufferMinutes) {
+        const startTime = `${date} ${toClock(start)}:00`;
+        const endTime = `${date} ${toClock(start + slotMinutes)}:00`;
+        const slotStart = toTimestamp(startTime);
+        const slotEnd = toTimestamp(endTime);
+
+        if (slotStart <= now || busy.some(b => slotStart < b.end && slotEnd > b.start)) {
+          continue;
+        }
+
+        slots.push({ startTime, endTime });
+      }
+    }
+  }
+
+  return { slots, availability };
+};
+
+module.exports = {
+  MAX_SLOT_DAYS,
+  toClock,
+  getTutorAvailability,
+  validateAvailabilityInput,
+  findFreeSlots
+};
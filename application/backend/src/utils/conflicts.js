@@ -0,0 +1,153 @@
+const { pool } = require('../config/db');
+
+// Day letters used in student_courses.schedule_text, e.g. "MWF 10:00-11:00", "TR 14:00-15:30"
+const SCHEDULE_DAYS = { U: 0, M: 1, T: 2, W: 3, R: 4, F: 5, S: 6 };
+const SCHEDULE_PATTERN = /^([MTWRFSU]+)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i;
+
+/**
+ * Parse a class schedule like "MWF 10:00-11:00"
+ * Returns { weekdays, startMinutes, endMinutes } or null if it doesn't match the format
+ */
+const parseScheduleText = (text) => {
+  const match = String(text || '').trim().match(SCHEDULE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, days, startHour, startMin, endHour, endMin] = match;
+  return {
+    weekdays: [...days.toUpperCase()].map(day => SCHEDULE_DAYS[day]),
+    startMinutes: parseInt(startHour, 10) * 60 + parseInt(startMin, 10),
+    endMinutes: parseInt(endHour, 10) * 60 + parseInt(endMin, 10)
+  };
+};
+
+/**
+ * Split a stored session time ("YYYY-MM-DD HH:mm:ss", local) into its date,
+ * weekday and minutes past midnight without going through the server's time zone
+ */
+const toDayAndMinutes = (dateTime) => {
+  const [date, time] = String(dateTime).replace('T', ' ').split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+
+  return {
+    date,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: hours * 60 + minutes
+  };
+};
+
+/**
+ * Lock a tutor's user row for the rest of the transaction
+ * Everything that adds sessions for a tutor takes this lock before checking for
+ * conflicts, so two requests can't both see a time as free and double-book it.
+ */
+const lockTutorSchedule = async (tutorId, conn) => {
+  await conn.query('SELECT user_id FROM users WHERE user_id = ? FOR UPDATE', [tutorId]);
+};
+
+/**
+ * Sessions a tutor hosts that overlap [startTime, endTime)
+ * Pass excludeSessionIds to ignore the session being edited.
+ */
+const findTutorConflicts = async (tutorId, startTime, endTime, { excludeSessionIds = [] } = {}, conn = pool) => {
+  const params = [tutorId, endTime, startTime];
+  let query = `
+    SELECT session_id, title, start_time, end_time
+    FROM sessions
+    WHERE tutor_id = ? AND status IN ('scheduled', 'active')
+      AND start_time < ? AND end_time > ?
+  `;
+
+  if (excludeSessionIds.length > 0) {
+    query += ' AND session_id NOT IN (?)';
+    params.push(excludeSessionIds);
+  }
+
+  query += ' ORDER BY start_time';
+
+  const [sessions] = await conn.query(query, params);
+
+  return sessions.map(s => ({
+    type: 'session',
+    sessionId: s.session_id,
+    title: s.title,
+    startTime: s.start_time,
+    endTime: s.end_time
+  }));
+};
+
+/**
+ * Things a student is already committed to during [startTime, endTime)
+ * - Sessions they're enrolled in (or host, if they also tutor)
+ * - Current classes whose schedule_text falls on that day and time
+ * Pass excludeSessionIds to ignore the session being joined.
+ */
+const findStudentConflicts = async (studentId, startTime, endTime, { excludeSessionIds = [] } = {}, conn = pool) => {
+  const params = [studentId, studentId, endTime, startTime];
+  let query = `
+    SELECT DISTINCT s.session_id, s.title, s.start_time, s.end_time
+    FROM sessions s
+    LEFT JOIN session_attendees sa ON sa.session_id = s.session_id AND sa.user_id = ?
+    WHERE (sa.user_id IS NOT NULL OR s.tutor_id = ?)
+      AND s.status IN ('scheduled', 'active')
+      AND s.start_time < ? AND s.end_time > ?
+  `;
+
+  if (excludeSessionIds.length > 0) {
+    query += ' AND s.session_id NOT IN (?)';
+    params.push(excludeSessionIds);
+  }
+
+  query += ' ORDER BY s.start_time';
+
+  const [sessions] = await conn.query(query, params);
+
+  const conflicts = sessions.map(s => ({
+    type: 'session',
+    sessionId: s.session_id,
+    title: s.title,
+    startTime: s.start_time,
+    endTime: s.end_time
+  }));
+
+  const [classes] = await conn.query(
+    `SELECT sc.course_id, CONCAT(d.code, ' ', c.course_number) AS course_code, c.course_title, sc.schedule_text
+     FROM student_courses sc
+     JOIN courses c ON sc.course_id = c.course_id
+     JOIN departments d ON c.department_id = d.department_id
+     WHERE sc.student_user_id = ? AND sc.status = 'current' AND sc.schedule_text IS NOT NULL`,
+    [studentId]
+  );
+
+  const start = toDayAndMinutes(startTime);
+  const end = toDayAndMinutes(endTime);
+  // A session running past midnight only needs checking against the first day
+  const endMinutes = end.date === start.date ? end.minutes : 24 * 60;
+
+  for (const course of classes) {
+    const schedule = parseScheduleText(course.schedule_text);
+    if (!schedule || !schedule.weekdays.includes(start.weekday)) {
+      continue;
+    }
+
+    if (start.minutes < schedule.endMinutes && endMinutes > schedule.startMinutes) {
+      conflicts.push({
+        type: 'class',
+        courseId: course.course_id,
+        title: `${course.course_code} ${course.course_title}`,
+        schedule: course.schedule_text
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  parseScheduleText,
+  lockTutorSchedule,
+  findTutorConflicts,
+  findStudentConflicts
+};
@@ -0,0 +1,71 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Pluggable storage for uploaded files, selected with FILE_STORAGE:
+ * - "local" (default): writes files under FILE_STORAGE_DIR
+ * A backend is { name, save(key, buffer), read(key), remove(key) }, where keys are
+ * relative paths like "avatar/12/<uuid>.webp". files.storage_backend records which
+ * backend holds each file, so an S3-compatible backend can be added alongside this one.
+ */
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '../../uploads');
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.FILE_STORAGE_DIR || DEFAULT_STORAGE_DIR);
+
+  // Keys are generated by us, but never let one resolve outside the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    read: async (key) => fs.readFile(resolveKey(key)),
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage
+};
+
+const backends = {};
+
+/**
+ * Get a storage backend by name (created lazily on first use)
+ * Defaults to the one configured with FILE_STORAGE, which new uploads go to.
+ */
+const getStorage = (name = (process.env.FILE_STORAGE || 'local').toLowerCase()) => {
+  if (!backends[name]) {
+    const factory = storageFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown FILE_STORAGE "${name}"`);
+    }
+    backends[name] = factory();
+  }
+  return backends[name];
+};
+
+/**
+ * Replace a storage backend (e.g. with an in-memory stub)
+ */
+const setStorage = (name, customStorage) => {
+  backends[name] = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
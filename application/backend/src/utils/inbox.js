@@ -0,0 +1,39 @@
+const { pool } = require('../config/db');
+
+/**
+ * Send a system/notification message through the inbox tables.
+ * Inserts into messages, then files a copy in the sender's sent folder
+ * and the receiver's inbox. Pass a transaction connection as `conn` to
+ * keep the message in the same transaction as the caller's writes.
+ * A note to self (sender === receiver) only gets the inbox copy, as does anything
+ * sent with senderCopy: false (automatic notices the sender didn't write themselves).
+ */
+const sendInboxMessage = async ({ senderId, receiverId, subject, content, messageType = 'normal', senderCopy = true }, conn = pool) => {
+  const [msgResult] = await conn.query(
+    `INSERT INTO messages (sender_id, receiver_id, subject, message_type, message_content)
+     VALUES (?, ?, ?, ?, ?)`,
+    [senderId, receiverId, subject, messageType, content]
+  );
+
+  const messageId = msgResult.insertId;
+
+  // Insert into user_messages for sender (sent folder)
+  if (senderCopy && senderId !== receiverId) {
+    await conn.query(
+      `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'sent', 1)`,
+      [senderId, messageId]
+    );
+  }
+
+  // Insert into user_messages for receiver (inbox folder)
+  await conn.query(
+    `INSERT INTO user_messages (user_id, message_id, folder, is_read) VALUES (?, ?, 'inbox', 0)`,
+    [receiverId, messageId]
+  );
+
+  return messageId;
+};
+
+module.exports = {
+  sendInboxMessage
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+
+// No 0/O or 1/I so codes read out loud or copied by hand still work
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const MAX_INVITE_USES = 500;
+const MAX_INVITES_PER_SESSION = 20;
+
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:00)?$/;
+
+const normalizeInviteCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Random invite code, e.g. "K7QM2XRA"
+ */
+const generateInviteCode = () =>
+  Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+
+/**
+ * Validate the settings for a new invite
+ * input: { skipApproval, maxUses?, expiresAt?: 'YYYY-MM-DDTHH:mm' }
+ * expiresAt can't be after the session starts; leaving it out means the invite
+ * works until then. Returns { error } or { values }.
+ */
+const validateInviteInput = (input, session) => {
+  const values = {
+    skipApproval: Boolean(input.skipApproval),
+    maxUses: null,
+    expiresAt: null
+  };
+
+  if (input.maxUses !== undefined && input.maxUses !== null && input.maxUses !== '') {
+    const maxUses = parseInt(input.maxUses, 10);
+    if (isNaN(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+      return { error: `Max uses must be between 1 and ${MAX_INVITE_USES}` };
+    }
+    values.maxUses = maxUses;
+  }
+
+  if (input.expiresAt) {
+    const match = typeof input.expiresAt === 'string' ? input.expiresAt.match(DATE_TIME_PATTERN) : null;
+    if (!match) {
+      return { error: 'Expiry must be a date and time (YYYY-MM-DDTHH:mm)' };
+    }
+
+    const expiresAt = `${match[1]} ${match[2]}:00`;
+    const expiresDate = new Date(expiresAt.replace(' ', 'T'));
+
+    if (expiresDate <= new Date()) {
+      return { error: 'Expiry must be in the future' };
+    }
+
+    if (expiresDate > new Date(session.start_time)) {
+      return { error: 'Expiry can\'t be after the session starts' };
+    }
+
+    values.expiresAt = expiresAt;
+  }
+
+  return { values };
+};
+
+/**
+ * Why an invite can't be used right now, or null if it can
+ */
+const getInviteProblem = (invite) => {
+  if (invite.revoked_at) {
+    return 'This invite has been revoked';
+  }
+
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+    return 'This invite has expired';
+  }
+
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+    return 'This invite has already been used the maximum number of times';
+  }
+
+  return null;
+};
+
+/**
+ * Look up an invite code, optionally for a specific session
+ * Returns { invite } when it can be used, or { error } explaining why not.
+ */
+const findUsableInvite = async (code, sessionId = null, conn = pool) => {
+  const normalized = normalizeInviteCode(code);
+
+  if (!normalized) {
+    return { error: 'This session is invite-only. You need an invite code to join.' };
+  }
+
+  const [invites] = await conn.query(
+    `SELECT invite_id, session_id, code, skip_approval, max_uses, use_count, expires_at, revoked_at
+     FROM session_invites WHERE code = ?`,
+    [normalized]
+  );
+
+  const invite = invites[0];
+
+  if (!invite || (sessionId !== null && invite.session_id !== parseInt(sessionId, 10))) {
+    return { error: sessionId !== null ? 'This invite code is not valid for this session' : 'This invite code is not valid' };
+  }
+
+  const problem = getInviteProblem(invite);
+  return problem ? { error: problem } : { invite };
+};
+
+/**
+ * Count one use of an invite, unless it ran out in the meantime
+ * The check and the increment are one statement, so two students can't both
+ * take the last use. Returns true if the use was counted.
+ */
+const claimInvite = async (inviteId, conn = pool) => {
+  const [result] = await conn.query(
+    `UPDATE session_invites
+     SET use_count = use_count + 1
+     WHERE invite_id = ? AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND (max_uses IS NULL OR use_count < max_uses)`,
+    [inviteId]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * Whether a user can see an invite-only session without an invite:
+ * its tutor, enrolled students, and students with a join request for it
+ */
+const hasInviteOnlyAccess = async (sessionId, userId, conn = pool) => {
+  if (!userId) {
+    return false;
+  }
+
+  const [rows] = await conn.query(
+    `SELECT 1 FROM sessions WHERE session_id = ? AND tutor_id = ?
+     UNION
+     SELECT 1 FROM session_attendees WHERE session_id = ? AND user_id = ?
+     UNION
+     SELECT 1 FROM session_join_requests WHERE session_id = ? AND requester_user_id = ?`,
+    [sessionId, userId, sessionId, userId, sessionId, userId]
+  );
+
+  return rows.length > 0;
+};
+
+module.exports = {
+  MAX_INVITES_PER_SESSION,
+  normalizeInviteCode,
+  generateInviteCode,
+  validateInviteInput,
+  getInviteProblem,
+  findUsableInvite,
+  claimInvite,
+  hasInviteOnlyAccess
+};
@@ -0,0 +1,109 @@
+const { pool } = require('../config/db');
+
+/**
+ * Brute-force protection for login
+ * Failures within the window are counted per account (email) and per IP. A successful
+ * login clears the account's count but not the IP's, so an attacker can't reset the
+ * IP limit by signing in to an account of their own. After a few free attempts each further failure doubles
+ * the wait; past the lockout threshold the key is locked for LOCKOUT_MINUTES.
+ * State lives in login_attempts, so it is shared across server instances.
+ */
+const WINDOW_MINUTES = 15;
+const LOCKOUT_MINUTES = 15;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+// Only wrong credentials count toward throttling (not throttled or unverified attempts)
+const COUNTED_FAILURES = ['bad_password', 'unknown_email', 'bad_totp'];
+
+const LIMITS = {
+  email: { backoffAfter: 3, lockAfter: 10, resetOnSuccess: true },
+  // Looser per-IP limits - a campus NAT can put many students behind one address
+  ip: { backoffAfter: 10, lockAfter: 50, resetOnSuccess: false }
+};
+
+/**
+ * Seconds until the next attempt is allowed for one key, or 0
+ */
+const getRetryAfter = async (column, value, limits, conn = pool) => {
+  if (!value) return 0;
+
+  let query = `
+    SELECT
+      COUNT(*) AS failures,
+      TIMESTAMPDIFF(SECOND, MAX(la.attempted_at), NOW()) AS seconds_since_last
+    FROM login_attempts la
+    WHERE la.${column} = ?
+      AND la.success = 0
+      AND la.failure_reason IN (?)
+      AND la.attempted_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  const params = [value, COUNTED_FAILURES, WINDOW_MINUTES];
+
+  if (limits.resetOnSuccess) {
+    query += `
+      AND la.attempted_at > COALESCE(
+        (SELECT MAX(ok.attempted_at) FROM login_attempts ok WHERE ok.${column} = ? AND ok.success = 1),
+        '1970-01-01'
+      )
+    `;
+    params.push(value);
+  }
+
+  const [rows] = await conn.query(query, params);
+
+  const failures = Number(rows[0].failures) || 0;
+  const secondsSinceLast = Number(rows[0].seconds_since_last) || 0;
+
+  let waitSeconds = 0;
+  if (failures >= limits.lockAfter) {
+    waitSeconds = LOCKOUT_MINUTES * 60;
+  } else if (failures >= limits.backoffAfter) {
+    waitSeconds = Math.min(2 ** (failures - limits.backoffAfter), MAX_BACKOFF_SECONDS);
+  }
+
+  return Math.max(0, waitSeconds - secondsSinceLast);
+};
+
+/**
+ * Check whether a login attempt should be throttled
+ * Returns the number of seconds the client must wait (0 = allowed)
+ */
+const getLoginRetryAfter = async ({ email, ipAddress }, conn = pool) => {
+  const [emailWait, ipWait] = await Promise.all([
+    getRetryAfter('email', email, LIMITS.email, conn),
+    getRetryAfter('ip_address', ipAddress, LIMITS.ip, conn)
+  ]);
+
+  return Math.max(emailWait, ipWait);
+};
+
+/**
+ * Write an audit row for a login attempt
+ * Never throws - a failed audit write shouldn't block or break login.
+ */
+const recordLoginAttempt = async ({ email, userId = null, ipAddress, userAgent, success, failureReason = null }, conn = pool) => {
+  try {
+    await conn.query(
+      `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, failure_reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        String(email).slice(0, 255),
+        userId,
+        ipAddress || null,
+        userAgent ? String(userAgent).slice(0, 255) : null,
+        success ? 1 : 0,
+        failureReason
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording login attempt:', error.message);
+  }
+};
+
+module.exports = {
+  LIMITS,
+  LOCKOUT_MINUTES,
+  MAX_BACKOFF_SECONDS,
+  getLoginRetryAfter,
+  recordLoginAttempt
+};
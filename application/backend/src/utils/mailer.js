@@ -0,0 +1,126 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Pluggable outgoing mail transport, selected with MAIL_TRANSPORT:
+ * - "file" (default): writes each email as an .eml file to MAIL_OUTBOX_DIR
+ * - "smtp": sends through SMTP_HOST/SMTP_PORT (e.g. a local MailHog sink or a real relay)
+ * - "console": logs the email to stdout
+ */
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../logs/mail');
+
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (mail) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const safeRecipient = mail.to.replace(/[^A-Za-z0-9._-]/g, '_');
+    const filename = `${Date.now()}-${safeRecipient}.eml`;
+
+    const contents = [
+      `From: ${mail.from}`,
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      '',
+      mail.text
+    ].join('\n');
+
+    await fs.writeFile(path.join(outboxDir, filename), contents, 'utf8');
+    return { id: filename };
+  }
+});
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (mail) => {
+    console.log(`✉ Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+    return { id: null };
+  }
+});
+
+const transportFactories = {
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport (created lazily on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'file').toLowerCase();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory stub)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send a plain-text email through the configured transport
+ */
+const sendMail = async ({ to, subject, text }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'EduGator <no-reply@edugator.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+/**
+ * Base URL used when building links in emails and QR codes
+ * Always comes from APP_BASE_URL, never from request headers: a forged Host header
+ * would otherwise send reset and verification tokens to someone else's site.
+ * Throws when it isn't configured so no link is ever built from a guess.
+ */
+const getAppBaseUrl = () => {
+  const baseUrl = (process.env.APP_BASE_URL || '').trim();
+
+  if (!/^https?:\/\/[^/\s]+/i.test(baseUrl)) {
+    throw new Error('APP_BASE_URL must be set to the site\'s http(s) URL to build links');
+  }
+
+  return baseUrl.replace(/\/+$/, '');
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getAppBaseUrl
+};
@@ -0,0 +1,98 @@
+/**
+ * Weekly recurrence rules for session series
+ * Dates are plain YYYY-MM-DD strings and the arithmetic is done in UTC, so a
+ * daylight-saving change can never shift an occurrence onto another day.
+ */
+
+// Upper bounds so one request can't create an unbounded number of sessions
+const MAX_SERIES_OCCURRENCES = 100;
+const MAX_SERIES_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return isNaN(time) ? null : time;
+};
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Expand a weekly rule into occurrence dates
+ * rule: { weekdays: [0-6...], untilDate: 'YYYY-MM-DD', excludedDates?: ['YYYY-MM-DD'] }
+ * Occurrences start on startDate (inclusive) and run through untilDate (inclusive).
+ * Returns { error } or { dates, weekdays, excludedDates } with the normalized rule.
+ */
+const expandWeeklyRecurrence = (startDate, rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return { error: 'A recurrence rule is required' };
+  }
+
+  const { untilDate } = rule;
+  const excludedDates = rule.excludedDates || [];
+
+  if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+    return { error: 'Choose at least one weekday for the series' };
+  }
+
+  const weekdays = [...new Set(rule.weekdays.map(day => parseInt(day, 10)))].sort();
+  if (weekdays.some(day => isNaN(day) || day < 0 || day > 6)) {
+    return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  const start = parseDate(startDate);
+  const until = parseDate(untilDate);
+  if (start === null || until === null) {
+    return { error: 'Series dates must be in YYYY-MM-DD format' };
+  }
+
+  if (until < start) {
+    return { error: 'The series end date must be on or after the first session' };
+  }
+
+  if ((until - start) / DAY_MS > MAX_SERIES_DAYS) {
+    return { error: 'A series can run for at most one year' };
+  }
+
+  if (!Array.isArray(excludedDates) || excludedDates.some(date => parseDate(date) === null)) {
+    return { error: 'Excluded dates must be a list of YYYY-MM-DD dates' };
+  }
+
+  const excluded = new Set(excludedDates);
+  const dates = [];
+
+  for (let day = start; day <= until; day += DAY_MS) {
+    const date = toDateString(day);
+    if (weekdays.includes(new Date(day).getUTCDay()) && !excluded.has(date)) {
+      dates.push(date);
+    }
+  }
+
+  if (dates.length === 0) {
+    return { error: 'The recurrence rule does not produce any sessions' };
+  }
+
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions` };
+  }
+
+  return { dates, weekdays, excludedDates: [...excluded].sort() };
+};
+
+/**
+ * Human-readable summary of a stored rule, e.g. "every Mon, Wed until 2025-12-10"
+ */
+const describeWeeklyRecurrence = (weekdays, untilDate) => {
+  const days = String(weekdays).split(',').map(day => WEEKDAY_NAMES[parseInt(day, 10)]).join(', ');
+  return `every ${days} until ${String(untilDate).slice(0, 10)}`;
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  MAX_SERIES_DAYS,
+  expandWeeklyRecurrence,
+  describeWeeklyRecurrence
+};
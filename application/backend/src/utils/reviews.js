@@ -0,0 +1,94 @@
+const { pool } = require('../config/db');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 1000;
+const MAX_REPORT_DETAILS_LENGTH = 500;
+const MAX_MODERATION_NOTE_LENGTH = 1000;
+
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'false_information', 'other'];
+
+// Completed sessions stay on the student's "to review" list for this long
+const REVIEW_PROMPT_DAYS = 30;
+
+/**
+ * Validate a review from a student
+ * input: { rating: 1-5, comment? }
+ * Returns { error } or { values } with the rating as an integer and a trimmed comment (or null).
+ */
+const validateReviewInput = (input) => {
+  const rating = Number(input.rating);
+
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    return { error: `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}` };
+  }
+
+  const comment = typeof input.comment === 'string' ? input.comment.trim() : '';
+
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { error: `Review must be ${MAX_COMMENT_LENGTH} characters or less` };
+  }
+
+  return {
+    values: {
+      rating,
+      comment: comment || null
+    }
+  };
+};
+
+/**
+ * Recalculate a tutor's average rating and review count from their visible reviews
+ * Call inside the transaction that changed the reviews so the two never drift apart.
+ */
+const refreshTutorRating = async (tutorId, conn = pool) => {
+  await conn.query(
+    `INSERT INTO tutor_ratings (tutor_user_id, rating_avg, rating_count)
+     SELECT ?, COALESCE(ROUND(AVG(rating), 2), 0), COUNT(*)
+     FROM reviews
+     WHERE tutor_id = ? AND hidden_at IS NULL
+     ON DUPLICATE KEY UPDATE
+       rating_avg = VALUES(rating_avg),
+       rating_count = VALUES(rating_count)`,
+    [tutorId, tutorId]
+  );
+};
+
+/**
+ * Completed sessions from the last REVIEW_PROMPT_DAYS days that a student
+ * attended and hasn't reviewed yet, most recent first
+ * Only verified attendance counts: a check-in or the tutor marking them present.
+ */
+const getPendingReviews = async (studentId, conn = pool) => {
+  const [sessions] = await conn.query(
+    `SELECT s.session_id, s.title, s.start_time, s.end_time,
+            s.tutor_id, CONCAT(u.first_name, ' ', u.last_name) AS tutor_name
+     FROM session_attendees sa
+     INNER JOIN sessions s ON sa.session_id = s.session_id
+     INNER JOIN users u ON s.tutor_id = u.user_id
+     WHERE sa.user_id = ?
+       AND s.status = 'over'
+       AND sa.attendance_status = 'present'
+       AND s.end_time >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       AND u.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM reviews r WHERE r.session_id = s.session_id AND r.student_id = sa.user_id
+       )
+     ORDER BY s.end_time DESC`,
+    [studentId, REVIEW_PROMPT_DAYS]
+  );
+
+  return sessions;
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  MAX_REPLY_LENGTH,
+  MAX_REPORT_DETAILS_LENGTH,
+  MAX_MODERATION_NOTE_LENGTH,
+  REPORT_REASONS,
+  validateReviewInput,
+  refreshTutorRating,
+  getPendingReviews
+};
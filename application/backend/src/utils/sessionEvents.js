@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Session lifecycle events, emitted by the lifecycle job once its changes are committed
+ * - 'session:started'      { session }            scheduled -> active
+ * - 'session:completed'    { session }            scheduled/active -> over
+ * - 'joinRequest:expired'  { request, session }   pending request on a session that started
+ * Only the instance that made the change emits the event, so each fires once.
+ */
+const sessionEvents = new EventEmitter();
+
+/**
+ * Subscribe to a lifecycle event
+ * Handlers may be async; errors are logged so one bad listener can't break the job.
+ */
+const onSessionEvent = (event, handler) => {
+  sessionEvents.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`Error in ${event} listener:`, error));
+  });
+};
+
+module.exports = {
+  sessionEvents,
+  onSessionEvent
+};
@@ -0,0 +1,196 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('./inbox');
+
+/**
+ * Format a session start time for notification messages
+ * e.g. { formattedDate: 'Monday, March 3, 2025', formattedTime: '2:30 PM' }
+ */
+const formatSessionDateTime = (startTime) => {
+  const sessionDate = new Date(startTime);
+  const formattedDate = sessionDate.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  const formattedTime = sessionDate.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+
+  return { formattedDate, formattedTime };
+};
+
+/**
+ * The date / time / location block included in every session notification
+ */
+const formatSessionDetails = (session) => {
+  const { formattedDate, formattedTime } = formatSessionDateTime(session.start_time);
+
+  let details = `📅 Date: ${formattedDate}\n`;
+  details += `🕐 Time: ${formattedTime}\n`;
+  details += `📍 Location: ${session.location_details || 'TBD'}\n\n`;
+  return details;
+};
+
+/**
+ * The tutor's reason for a cancellation, as a message block (empty when none was given)
+ */
+const formatCancellationReason = (reason) => {
+  return reason ? `💬 Reason: "${reason}"\n\n` : '';
+};
+
+/**
+ * Tell everyone involved in a session that it has been cancelled
+ * - Pending join requests are denied and the requesters notified
+ * - Enrolled students are notified
+ * - Waitlisted students are notified
+ * Removing or cancelling the session itself is left to the caller.
+ * `cancelledBy` finishes the sentence "...has been cancelled <cancelledBy>."
+ * `reason` (optional) is quoted in every message.
+ * Returns the number of students notified.
+ */
+const notifySessionCancelled = async ({ session, senderId, cancelledBy, reason }, conn = pool) => {
+  const details = formatSessionDetails(session) + formatCancellationReason(reason);
+  const subject = `Session Cancelled: ${session.title}`;
+
+  // 1. Handle pending join requests - deny them and notify students
+  const [pendingRequests] = await conn.query(
+    `SELECT request_id, requester_user_id
+     FROM session_join_requests
+     WHERE session_id = ? AND status = 'pending'`,
+    [session.session_id]
+  );
+
+  for (const request of pendingRequests) {
+    await conn.query(
+      `UPDATE session_join_requests SET status = 'denied', responded_at = CURRENT_TIMESTAMP
+       WHERE request_id = ?`,
+      [request.request_id]
+    );
+
+    let content = `Your request to join the session "${session.title}" has been automatically denied because the session has been cancelled.\n\n`;
+    content += details;
+    content += `We apologize for any inconvenience. Feel free to browse other available sessions on the platform.`;
+
+    await sendInboxMessage({ senderId, receiverId: request.requester_user_id, subject, content }, conn);
+  }
+
+  // 2. Notify enrolled students about the cancellation
+  const [enrolledStudents] = await conn.query(
+    'SELECT user_id FROM session_attendees WHERE session_id = ?',
+    [session.session_id]
+  );
+
+  for (const student of enrolledStudents) {
+    let content = `We regret to inform you that the session "${session.title}" has been cancelled ${cancelledBy}.\n\n`;
+    content += details;
+    content += `We apologize for any inconvenience this may cause. Please feel free to browse other available sessions on the platform.`;
+
+    await sendInboxMessage({ senderId, receiverId: student.user_id, subject, content }, conn);
+  }
+
+  // 3. Let anyone on the waitlist know they're no longer waiting for a spot
+  const [waitlisted] = await conn.query(
+    'SELECT user_id FROM session_waitlist WHERE session_id = ?',
+    [session.session_id]
+  );
+
+  for (const student of waitlisted) {
+    let content = `The session "${session.title}" you were waitlisted for has been cancelled ${cancelledBy}.\n\n`;
+    content += details;
+    content += `You have been removed from the waitlist. Feel free to browse other available sessions on the platform.`;
+
+    await sendInboxMessage({ senderId, receiverId: student.user_id, subject, content }, conn);
+  }
+
+  return pendingRequests.length + enrolledStudents.length + waitlisted.length;
+};
+
+/**
+ * Tell everyone involved that several occurrences of a series were cancelled at once
+ * Same effect as notifySessionCancelled for each session, but every student gets a
+ * single message listing their affected dates instead of one message per occurrence.
+ * Returns the number of students notified.
+ */
+const notifySeriesCancelled = async ({ sessions, senderId, cancelledBy, reason }, conn = pool) => {
+  const sessionIds = sessions.map(s => s.session_id);
+  const title = sessions[0].title;
+  const affected = new Map(); // user_id -> { denied: [...sessions], enrolled: [...sessions], waitlisted: [...sessions] }
+
+  const track = (userId, kind, session) => {
+    if (!affected.has(userId)) affected.set(userId, { denied: [], enrolled: [], waitlisted: [] });
+    affected.get(userId)[kind].push(session);
+  };
+
+  const [pendingRequests] = await conn.query(
+    `SELECT request_id, session_id, requester_user_id
+     FROM session_join_requests
+     WHERE session_id IN (?) AND status = 'pending'`,
+    [sessionIds]
+  );
+
+  for (const request of pendingRequests) {
+    await conn.query(
+      `UPDATE session_join_requests SET status = 'denied', responded_at = CURRENT_TIMESTAMP
+       WHERE request_id = ?`,
+      [request.request_id]
+    );
+    track(request.requester_user_id, 'denied', sessions.find(s => s.session_id === request.session_id));
+  }
+
+  const [attendees] = await conn.query(
+    'SELECT session_id, user_id FROM session_attendees WHERE session_id IN (?)',
+    [sessionIds]
+  );
+
+  for (const attendee of attendees) {
+    track(attendee.user_id, 'enrolled', sessions.find(s => s.session_id === attendee.session_id));
+  }
+
+  const [waitlisted] = await conn.query(
+    'SELECT session_id, user_id FROM session_waitlist WHERE session_id IN (?)',
+    [sessionIds]
+  );
+
+  for (const entry of waitlisted) {
+    track(entry.user_id, 'waitlisted', sessions.find(s => s.session_id === entry.session_id));
+  }
+
+  const listDates = (list) => list.map(session => {
+    const { formattedDate, formattedTime } = formatSessionDateTime(session.start_time);
+    return `📅 ${formattedDate} at ${formattedTime}`;
+  }).join('\n');
+
+  for (const [userId, { denied, enrolled, waitlisted: waiting }] of affected) {
+    let content = `We regret to inform you that sessions in the series "${title}" have been cancelled ${cancelledBy}.\n\n`;
+    if (enrolled.length > 0) {
+      content += `Cancelled sessions you were enrolled in:\n${listDates(enrolled)}\n\n`;
+    }
+    if (denied.length > 0) {
+      content += `Your pending request to join has been automatically denied for:\n${listDates(denied)}\n\n`;
+    }
+    if (waiting.length > 0) {
+      content += `You have been removed from the waitlist for:\n${listDates(waiting)}\n\n`;
+    }
+    content += formatCancellationReason(reason);
+    content += `We apologize for any inconvenience this may cause. Please feel free to browse other available sessions on the platform.`;
+
+    await sendInboxMessage({
+      senderId,
+      receiverId: userId,
+      subject: `Sessions Cancelled: ${title}`,
+      content
+    }, conn);
+  }
+
+  return affected.size;
+};
+
+module.exports = {
+  formatSessionDateTime,
+  formatSessionDetails,
+  notifySessionCancelled,
+  notifySeriesCancelled
+};
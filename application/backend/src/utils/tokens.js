@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a raw token for storage/lookup. Only the hash is ever written to the
+ * database, so a leaked table can't be used to reset passwords or verify emails.
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Generate a random URL-safe token and its hash
+ */
+const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  generateToken
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 second steps)
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ *
+ * The current time comes from an injectable clock so codes can be generated and
+ * verified deterministically: setClock(() => fixedMillis).
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+let clock = () => Date.now();
+
+/**
+ * Replace the clock used for the current time (returns milliseconds)
+ */
+const setClock = (nowFn) => {
+  clock = nowFn || (() => Date.now());
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step number for a timestamp in milliseconds
+ */
+const getStep = (timestamp = clock()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value for a secret at a given counter/step (RFC 4226)
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Current code for a secret
+ */
+const generateCode = (secret, timestamp = clock()) => generateCodeForStep(secret, getStep(timestamp));
+
+/**
+ * Verify a code, allowing `window` steps of clock drift either side
+ * Returns the matched step (so callers can reject replays) or null
+ */
+const verifyCode = (secret, code, { window = 1, timestamp = clock() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for provisioning an authenticator app (encode it as a QR code)
+ */
+const getProvisioningUri = (secret, accountName, issuer = 'EduGator') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  STEP_SECONDS,
+  setClock,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getProvisioningUri
+};
@@ -0,0 +1,136 @@
+const { pool } = require('../config/db');
+const { getTutorAttendanceStats } = require('./attendance');
+const { onSessionEvent } = require('./sessionEvents');
+
+// Cached stats are rebuilt after this long even if nothing invalidated them
+const STATS_CACHE_TTL_MINUTES = 60;
+
+/**
+ * Compute a tutor's profile statistics from sessions, attendance and visible reviews
+ * - rating: average, count and a 1-5 star histogram
+ * - sessionsTaught / hoursTutored: sessions that ran to completion
+ * - studentsHelped: distinct students enrolled in those sessions, minus no-shows
+ * - attendance: present vs absent across the tutor's sessions
+ * - cancellation: share of finished-or-cancelled sessions the tutor cancelled themselves
+ *   (student and automatic cancellations don't count against them)
+ */
+const computeTutorStats = async (tutorId, conn = pool) => {
+  const [ratingRows] = await conn.query(
+    `SELECT rating, COUNT(*) AS total
+     FROM reviews
+     WHERE tutor_id = ? AND hidden_at IS NULL
+     GROUP BY rating`,
+    [tutorId]
+  );
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let reviewCount = 0;
+  let ratingSum = 0;
+
+  for (const row of ratingRows) {
+    const total = Number(row.total);
+    histogram[row.rating] = total;
+    reviewCount += total;
+    ratingSum += row.rating * total;
+  }
+
+  const [sessionRows] = await conn.query(
+    `SELECT
+       SUM(status = 'over') AS taught,
+       SUM(status = 'cancelled' AND cancelled_by_user_id = tutor_id) AS cancelled,
+       COALESCE(SUM(CASE WHEN status = 'over' THEN TIMESTAMPDIFF(MINUTE, start_time, end_time) END), 0) AS minutes
+     FROM sessions
+     WHERE tutor_id = ?`,
+    [tutorId]
+  );
+
+  const [studentRows] = await conn.query(
+    `SELECT COUNT(DISTINCT sa.user_id) AS students
+     FROM session_attendees sa
+     INNER JOIN sessions s ON sa.session_id = s.session_id
+     WHERE s.tutor_id = ?
+       AND s.status = 'over'
+       AND (sa.attendance_status IS NULL OR sa.attendance_status = 'present')`,
+    [tutorId]
+  );
+
+  const taught = Number(sessionRows[0].taught) || 0;
+  const cancelled = Number(sessionRows[0].cancelled) || 0;
+  const closed = taught + cancelled;
+
+  return {
+    rating: {
+      average: reviewCount > 0 ? Math.round((ratingSum / reviewCount) * 100) / 100 : 0,
+      count: reviewCount,
+      histogram
+    },
+    sessionsTaught: taught,
+    studentsHelped: Number(studentRows[0].students) || 0,
+    hoursTutored: Math.round((Number(sessionRows[0].minutes) / 60) * 10) / 10,
+    attendance: await getTutorAttendanceStats(tutorId, conn),
+    cancellation: {
+      cancelled,
+      cancellationRate: closed > 0 ? Math.round((cancelled / closed) * 100) : null
+    }
+  };
+};
+
+/**
+ * A tutor's statistics, from tutor_stats_cache when it's fresh
+ * A rebuild is only cached if no invalidation happened while it was computed
+ * (the row's version still matches); otherwise it's returned but not saved.
+ */
+const getTutorStats = async (tutorId) => {
+  const [cached] = await pool.query(
+    `SELECT stats, version, computed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE) AS is_fresh
+     FROM tutor_stats_cache
+     WHERE tutor_user_id = ?`,
+    [STATS_CACHE_TTL_MINUTES, tutorId]
+  );
+
+  if (cached.length > 0 && cached[0].stats && cached[0].is_fresh) {
+    return JSON.parse(cached[0].stats);
+  }
+
+  const stats = await computeTutorStats(tutorId);
+
+  if (cached.length === 0) {
+    // An invalidation that created the row in the meantime wins
+    await pool.query(
+      `INSERT IGNORE INTO tutor_stats_cache (tutor_user_id, stats, computed_at)
+       VALUES (?, ?, NOW())`,
+      [tutorId, JSON.stringify(stats)]
+    );
+  } else {
+    await pool.query(
+      `UPDATE tutor_stats_cache SET stats = ?, computed_at = NOW()
+       WHERE tutor_user_id = ? AND version = ?`,
+      [JSON.stringify(stats), tutorId, cached[0].version]
+    );
+  }
+
+  return stats;
+};
+
+/**
+ * Clear a tutor's cached statistics so the next read rebuilds them
+ * Call inside the transaction that changed their reviews, sessions or attendance;
+ * bumping version stops a rebuild that started before the change from saving.
+ */
+const invalidateTutorStats = async (tutorId, conn = pool) => {
+  await conn.query(
+    `INSERT INTO tutor_stats_cache (tutor_user_id, stats, computed_at, version)
+     VALUES (?, NULL, NULL, 1)
+     ON DUPLICATE KEY UPDATE stats = NULL, computed_at = NULL, version = version + 1`,
+    [tutorId]
+  );
+};
+
+// Finished sessions change sessions taught, hours and students helped
+onSessionEvent('session:completed', ({ session }) => invalidateTutorStats(session.tutor_id));
+
+module.exports = {
+  computeTutorStats,
+  getTutorStats,
+  invalidateTutorStats
+};
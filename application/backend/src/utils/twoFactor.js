@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles allowed to turn on two-factor authentication
+const TWO_FACTOR_ROLES = ['Tutor', 'Admin'];
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Get a user's two-factor record, or null if they never started enrollment
+ */
+const getTwoFactor = async (userId, conn = pool) => {
+  const [rows] = await conn.query(
+    'SELECT user_id, secret_base32, enabled_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Whether the user has completed enrollment and 2FA is active
+ */
+const isTwoFactorEnabled = async (userId) => {
+  const record = await getTwoFactor(userId);
+  return !!(record && record.enabled_at);
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * Returns the plain codes - they are only ever shown once
+ */
+const generateRecoveryCodes = async (userId, conn = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await conn.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await conn.query(
+    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map(code => [userId, hashToken(normalizeRecoveryCode(code))])]
+  );
+
+  return codes;
+};
+
+/**
+ * Check an authenticator code against the user's secret
+ * Each time step can only be used once, so an intercepted code can't be replayed.
+ */
+const verifyTotpForUser = async (record, code, conn = pool) => {
+  const step = verifyCode(record.secret_base32, code);
+  if (step === null) {
+    return false;
+  }
+
+  const [result] = await conn.query(
+    `UPDATE user_two_factor SET last_used_step = ?
+     WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, record.user_id, step]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * Consume a one-time recovery code
+ */
+const consumeRecoveryCode = async (userId, recoveryCode, conn = pool) => {
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) {
+    return false;
+  }
+
+  const [result] = await conn.query(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashToken(normalized)]
+  );
+
+  return result.affectedRows === 1;
+};
+
+/**
+ * Verify a second factor for a user with 2FA enabled
+ * Accepts either { code } from the authenticator app or a one-time { recoveryCode }
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const record = await getTwoFactor(userId);
+  if (!record || !record.enabled_at) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    return consumeRecoveryCode(userId, recoveryCode);
+  }
+
+  return verifyTotpForUser(record, code);
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  generateRecoveryCodes,
+  verifyTotpForUser,
+  consumeRecoveryCode,
+  verifySecondFactor
+};
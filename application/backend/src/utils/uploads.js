@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { pool } = require('../config/db');
+const { getStorage } = require('./fileStorage');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const MAX_RESUME_BYTES = 10 * 1024 * 1024;
+const RESUME_MIME_TYPES = ['application/pdf', DOCX_MIME_TYPE];
+
+// Names shown to users when a file type is rejected
+const MIME_TYPE_LABELS = {
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG',
+  'image/webp': 'WebP',
+  'application/pdf': 'PDF',
+  [DOCX_MIME_TYPE]: 'Word (.docx)'
+};
+
+// Avatars are re-encoded as square WebP images at these sizes
+const AVATAR_SIZE = 512;
+const THUMBNAIL_SIZE = 128;
+
+// Files anyone can download; everything else is limited to its owner and admins
+const PUBLIC_FILE_PURPOSES = ['avatar'];
+
+/**
+ * Work out a file's type from its first bytes
+ * The browser-supplied Content-Type is only a hint, so uploads are checked against this.
+ * Returns the MIME type or null when it isn't one we accept anywhere.
+ */
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  // .docx files are zip archives with a word/ folder
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 && buffer.includes('word/')) {
+    return DOCX_MIME_TYPE;
+  }
+  return null;
+};
+
+const describeTypes = (mimeTypes) => mimeTypes.map(type => MIME_TYPE_LABELS[type]).join(', ');
+
+/**
+ * Middleware that parses a single multipart file field into req.file (kept in memory)
+ * Rejects oversized files and files whose content isn't one of mimeTypes with a 400.
+ * A missing file is left for the controller to report.
+ */
+const acceptUpload = ({ field, maxBytes, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File must be ${Math.round(maxBytes / (1024 * 1024))} MB or smaller`
+          : error instanceof multer.MulterError
+            ? `Upload the file in the "${field}" field`
+            : 'Failed to read upload';
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      if (req.file) {
+        const mimeType = detectMimeType(req.file.buffer);
+
+        if (!mimeTypes.includes(mimeType)) {
+          return res.status(400).json({
+            success: false,
+            message: `File must be one of: ${describeTypes(mimeTypes)}`
+          });
+        }
+
+        req.file.detectedMimeType = mimeType;
+      }
+
+      next();
+    });
+  };
+};
+
+// Profile pictures, in the "avatar" field
+const acceptAvatarUpload = acceptUpload({
+  field: 'avatar',
+  maxBytes: MAX_AVATAR_BYTES,
+  mimeTypes: AVATAR_MIME_TYPES
+});
+
+// Resumes attached to tutor applications, in the "resume" field
+const acceptResumeUpload = acceptUpload({
+  field: 'resume',
+  maxBytes: MAX_RESUME_BYTES,
+  mimeTypes: RESUME_MIME_TYPES
+});
+
+/**
+ * Resize an uploaded image into a square avatar and thumbnail
+ * Rotates by EXIF orientation first; the output drops all metadata.
+ */
+const processAvatar = async (buffer) => {
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+
+  const [avatar, thumbnail] = await Promise.all([
+    image.clone().resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' }).webp({ quality: 85 }).toBuffer(),
+    image.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' }).webp({ quality: 80 }).toBuffer()
+  ]);
+
+  return { avatar, thumbnail };
+};
+
+const buildStorageKey = (purpose, ownerId, extension) =>
+  `${purpose}/${ownerId}/${crypto.randomUUID()}.${extension}`;
+
+/**
+ * Write a file (and optional thumbnail) to storage and record it in files
+ * file: { ownerId, purpose, buffer, mimeType, extension, originalName?, thumbnail? }
+ * Storage writes happen before the insert; on failure they're removed again.
+ * Returns the stored file ({ file_id, storage_backend, storage_key, thumbnail_key }) so the
+ * caller can remove it if its transaction rolls back. files.url points at the download route.
+ */
+const storeFile = async (file, conn = pool) => {
+  const storage = getStorage();
+  const key = buildStorageKey(file.purpose, file.ownerId, file.extension);
+  const thumbnailKey = file.thumbnail ? buildStorageKey(file.purpose, file.ownerId, `thumb.${file.extension}`) : null;
+
+  await storage.save(key, file.buffer);
+
+  try {
+    if (thumbnailKey) {
+      await storage.save(thumbnailKey, file.thumbnail);
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO files
+         (url, owner_user_id, purpose, storage_backend, storage_key, thumbnail_key,
+          original_name, mime_type, size_bytes, uploaded_at)
+       VALUES ('', ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        file.ownerId,
+        file.purpose,
+        storage.name,
+        key,
+        thumbnailKey,
+        file.originalName ? file.originalName.slice(0, 255) : null,
+        file.mimeType,
+        file.buffer.length
+      ]
+    );
+
+    await conn.query('UPDATE files SET url = ? WHERE file_id = ?', [`/api/files/${result.insertId}`, result.insertId]);
+
+    return {
+      file_id: result.insertId,
+      storage_backend: storage.name,
+      storage_key: key,
+      thumbnail_key: thumbnailKey
+    };
+  } catch (error) {
+    await removeStoredFile({ storage_backend: storage.name, storage_key: key, thumbnail_key: thumbnailKey });
+    throw error;
+  }
+};
+
+/**
+ * Delete a file's contents from storage, logging instead of throwing
+ * file: a files row (or storeFile result). Call after the transaction that marked
+ * the file deleted has committed.
+ */
+const removeStoredFile = async (file) => {
+  try {
+    const storage = getStorage(file.storage_backend);
+    await storage.remove(file.storage_key);
+    if (file.thumbnail_key) {
+      await storage.remove(file.thumbnail_key);
+    }
+  } catch (error) {
+    console.error(`Error removing stored file ${file.storage_key}:`, error);
+  }
+};
+
+/**
+ * Whether a user may download a file
+ * Avatars are public; other files only for their owner and admins.
+ */
+const canAccessFile = (file, user) => {
+  if (PUBLIC_FILE_PURPOSES.includes(file.purpose)) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  return file.owner_user_id === user.userId || user.role === 'Admin';
+};
+
+module.exports = {
+  detectMimeType,
+  acceptUpload,
+  acceptAvatarUpload,
+  acceptResumeUpload,
+  processAvatar,
+  storeFile,
+  removeStoredFile,
+  canAccessFile
+};
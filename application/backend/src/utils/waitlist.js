@@ -0,0 +1,131 @@
+const { pool } = require('../config/db');
+const { sendInboxMessage } = require('./inbox');
+const { formatSessionDetails } = require('./sessionNotifications');
+const { claimInvite } = require('./invites');
+
+/**
+ * Get a student's place in a session's waitlist
+ * Returns { position, total } with a 1-based position, or null if they aren't waiting.
+ */
+const getWaitlistPosition = async (sessionId, userId, conn = pool) => {
+  const [rows] = await conn.query(
+    `SELECT
+       (SELECT COUNT(*) FROM session_waitlist
+        WHERE session_id = w.session_id AND waitlist_id <= w.waitlist_id) AS position,
+       (SELECT COUNT(*) FROM session_waitlist WHERE session_id = w.session_id) AS total
+     FROM session_waitlist w
+     WHERE w.session_id = ? AND w.user_id = ?`,
+    [sessionId, userId]
+  );
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Fill open seats in a session from the front of its waitlist
+ * - Promoted students are enrolled straight away (no tutor approval needed)
+ * - Any pending join request they had for the session is marked accepted
+ * - The student and the tutor each get an inbox message
+ * - Students who waited with an invite use it up now; if it was revoked, expired
+ *   or used up in the meantime they're taken off the waitlist instead and told why
+ * Only upcoming scheduled sessions are filled. Call this inside the transaction
+ * that freed the seat so the session row lock covers the promotion.
+ * Returns the IDs of the students promoted.
+ */
+const promoteFromWaitlist = async (sessionId, conn = pool) => {
+  const [sessions] = await conn.query(
+    `SELECT s.session_id, s.tutor_id, s.title, s.start_time, s.location_details, s.capacity, s.status,
+            (SELECT COUNT(*) FROM session_attendees WHERE session_id = s.session_id) AS enrolled_count
+     FROM sessions s
+     WHERE s.session_id = ?
+     FOR UPDATE`,
+    [sessionId]
+  );
+
+  if (sessions.length === 0) {
+    return [];
+  }
+
+  const session = sessions[0];
+  const openSeats = session.capacity - session.enrolled_count;
+
+  if (session.status !== 'scheduled' || new Date(session.start_time) <= new Date() || openSeats <= 0) {
+    return [];
+  }
+
+  const [waiting] = await conn.query(
+    `SELECT w.waitlist_id, w.user_id, w.invite_id, CONCAT(u.first_name, ' ', u.last_name) AS student_name
+     FROM session_waitlist w
+     INNER JOIN users u ON w.user_id = u.user_id
+     WHERE w.session_id = ?
+     ORDER BY w.waitlist_id
+     FOR UPDATE`,
+    [sessionId]
+  );
+
+  const details = formatSessionDetails(session);
+  const promoted = [];
+
+  for (const entry of waiting) {
+    if (promoted.length >= openSeats) {
+      break;
+    }
+
+    await conn.query('DELETE FROM session_waitlist WHERE waitlist_id = ?', [entry.waitlist_id]);
+
+    if (entry.invite_id && !(await claimInvite(entry.invite_id, conn))) {
+      let skippedContent = `A spot opened up in "${session.title}", but the invite you joined the waitlist with is no longer valid, so you've been removed from the waitlist.\n\n`;
+      skippedContent += details;
+      skippedContent += `Ask the tutor for a new invite if you'd still like to join.`;
+
+      await sendInboxMessage({
+        senderId: session.tutor_id,
+        receiverId: entry.user_id,
+        subject: `Removed from Waitlist: ${session.title}`,
+        content: skippedContent
+      }, conn);
+      continue;
+    }
+
+    await conn.query(
+      'INSERT INTO session_attendees (session_id, user_id) VALUES (?, ?)',
+      [sessionId, entry.user_id]
+    );
+
+    await conn.query(
+      `UPDATE session_join_requests SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+       WHERE session_id = ? AND requester_user_id = ? AND status = 'pending'`,
+      [sessionId, entry.user_id]
+    );
+
+    let studentContent = `🎉 Good news! A spot opened up in "${session.title}" and you've been moved off the waitlist and enrolled.\n\n`;
+    studentContent += details;
+    studentContent += `If you can no longer make it, please unenroll from your dashboard so the next student on the waitlist can take your spot.`;
+
+    await sendInboxMessage({
+      senderId: session.tutor_id,
+      receiverId: entry.user_id,
+      subject: `Enrolled from Waitlist: ${session.title}`,
+      content: studentContent
+    }, conn);
+
+    let tutorContent = `${entry.student_name} has been moved off the waitlist and enrolled in your session "${session.title}".\n\n`;
+    tutorContent += details;
+
+    await sendInboxMessage({
+      senderId: entry.user_id,
+      receiverId: session.tutor_id,
+      subject: `Waitlist Promotion: ${session.title}`,
+      content: tutorContent
+    }, conn);
+
+    promoted.push(entry.user_id);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  getWaitlistPosition,
+  promoteFromWaitlist
+};
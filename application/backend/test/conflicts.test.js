@@ -0,0 +1,160 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseScheduleText, findTutorConflicts, findStudentConflicts } = require('../src/utils/conflicts');
+
+/**
+ * In-memory stand-in for the statements conflicts.js runs against sessions,
+ * session_attendees and student_courses, with the same overlap conditions
+ */
+const createScheduleStore = ({ sessions = [], attendees = [], classes = [] } = {}) => {
+  const open = (s) => s.status === 'scheduled' || s.status === 'active';
+  const overlaps = (s, startTime, endTime) => s.start_time < endTime && s.end_time > startTime;
+  const byStart = (a, b) => a.start_time.localeCompare(b.start_time);
+
+  const query = async (sql, params) => {
+    if (sql.includes('FROM sessions s') && sql.includes('session_attendees')) {
+      const [studentId, , endTime, startTime, excludeIds = []] = params;
+      const rows = sessions.filter(s =>
+        (s.tutor_id === studentId || attendees.some(a => a.session_id === s.session_id && a.user_id === studentId)) &&
+        open(s) && overlaps(s, startTime, endTime) && !excludeIds.includes(s.session_id));
+      return [rows.sort(byStart)];
+    }
+
+    if (sql.includes('FROM sessions') && sql.includes('WHERE tutor_id = ?')) {
+      const [tutorId, endTime, startTime, excludeIds = []] = params;
+      const rows = sessions.filter(s =>
+        s.tutor_id === tutorId && open(s) && overlaps(s, startTime, endTime) && !excludeIds.includes(s.session_id));
+      return [rows.sort(byStart)];
+    }
+
+    if (sql.includes('FROM student_courses')) {
+      return [classes.filter(c => c.student_user_id === params[0])];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { query };
+};
+
+const session = (sessionId, tutorId, start, end, status = 'scheduled') => ({
+  session_id: sessionId,
+  tutor_id: tutorId,
+  title: `Session ${sessionId}`,
+  start_time: start,
+  end_time: end,
+  status
+});
+
+const course = (studentId, scheduleText) => ({
+  student_user_id: studentId,
+  course_id: 1,
+  course_code: 'CSC 648',
+  course_title: 'Software Engineering',
+  schedule_text: scheduleText
+});
+
+describe('parseScheduleText', () => {
+  test('parses day letters and times', () => {
+    assert.deepEqual(parseScheduleText('MWF 10:00-11:00'), { weekdays: [1, 3, 5], startMinutes: 600, endMinutes: 660 });
+    assert.deepEqual(parseScheduleText('TR 14:00-15:30'), { weekdays: [2, 4], startMinutes: 840, endMinutes: 930 });
+    assert.deepEqual(parseScheduleText('SU 9:05-9:55'), { weekdays: [6, 0], startMinutes: 545, endMinutes: 595 });
+  });
+
+  test('accepts lowercase days and loose spacing', () => {
+    assert.deepEqual(parseScheduleText('  tr 8:00 - 9:15 '), { weekdays: [2, 4], startMinutes: 480, endMinutes: 555 });
+  });
+
+  test('returns null for anything else', () => {
+    for (const text of [null, undefined, '', 'MWF', 'MWF 10-11', 'MWX 10:00-11:00', 'Mon 10:00-11:00', 'MWF 10:00']) {
+      assert.equal(parseScheduleText(text), null, `expected null for ${JSON.stringify(text)}`);
+    }
+  });
+});
+
+describe('findTutorConflicts', () => {
+  const store = createScheduleStore({
+    sessions: [
+      session(1, 7, '2025-09-01 10:00:00', '2025-09-01 11:00:00'),
+      session(2, 7, '2025-09-01 11:00:00', '2025-09-01 12:00:00', 'active'),
+      session(3, 7, '2025-09-01 10:30:00', '2025-09-01 11:30:00', 'cancelled'),
+      session(4, 8, '2025-09-01 10:30:00', '2025-09-01 11:30:00')
+    ]
+  });
+
+  test('finds overlapping open sessions for the tutor only', async () => {
+    const conflicts = await findTutorConflicts(7, '2025-09-01 10:30:00', '2025-09-01 11:30:00', {}, store);
+
+    assert.deepEqual(conflicts.map(c => c.sessionId), [1, 2]);
+    assert.deepEqual(conflicts[0], {
+      type: 'session',
+      sessionId: 1,
+      title: 'Session 1',
+      startTime: '2025-09-01 10:00:00',
+      endTime: '2025-09-01 11:00:00'
+    });
+  });
+
+  test('treats back-to-back sessions as free', async () => {
+    const conflicts = await findTutorConflicts(7, '2025-09-01 09:00:00', '2025-09-01 10:00:00', {}, store);
+    const after = await findTutorConflicts(7, '2025-09-01 12:00:00', '2025-09-01 13:00:00', {}, store);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(after, []);
+  });
+
+  test('ignores excluded sessions', async () => {
+    const conflicts = await findTutorConflicts(7, '2025-09-01 10:30:00', '2025-09-01 11:30:00', { excludeSessionIds: [1] }, store);
+
+    assert.deepEqual(conflicts.map(c => c.sessionId), [2]);
+  });
+});
+
+describe('findStudentConflicts', () => {
+  test('finds sessions the student attends or hosts', async () => {
+    const store = createScheduleStore({
+      sessions: [
+        session(1, 7, '2025-09-01 10:00:00', '2025-09-01 11:00:00'),
+        session(2, 20, '2025-09-01 10:15:00', '2025-09-01 10:45:00'),
+        session(3, 8, '2025-09-01 10:00:00', '2025-09-01 11:00:00')
+      ],
+      attendees: [{ session_id: 1, user_id: 20 }]
+    });
+
+    const conflicts = await findStudentConflicts(20, '2025-09-01 10:30:00', '2025-09-01 11:30:00', {}, store);
+
+    assert.deepEqual(conflicts.map(c => c.sessionId), [1, 2]);
+  });
+
+  test('finds classes on the same weekday and time', async () => {
+    const store = createScheduleStore({ classes: [course(20, 'MWF 10:00-11:00')] });
+
+    // 2025-09-01 is a Monday
+    const conflicts = await findStudentConflicts(20, '2025-09-01 10:45:00', '2025-09-01 11:45:00', {}, store);
+
+    assert.deepEqual(conflicts, [{
+      type: 'class',
+      courseId: 1,
+      title: 'CSC 648 Software Engineering',
+      schedule: 'MWF 10:00-11:00'
+    }]);
+  });
+
+  test('ignores classes on other days, back-to-back times and unparseable schedules', async () => {
+    const store = createScheduleStore({
+      classes: [course(20, 'TR 10:00-11:00'), course(20, 'MWF 11:00-12:00'), course(20, 'Mondays at ten')]
+    });
+
+    const conflicts = await findStudentConflicts(20, '2025-09-01 10:00:00', '2025-09-01 11:00:00', {}, store);
+
+    assert.deepEqual(conflicts, []);
+  });
+
+  test('checks a session running past midnight against the evening it starts', async () => {
+    const store = createScheduleStore({ classes: [course(20, 'M 23:00-23:50'), course(20, 'T 0:00-1:00')] });
+
+    const conflicts = await findStudentConflicts(20, '2025-09-01 23:30:00', '2025-09-02 00:30:00', {}, store);
+
+    assert.deepEqual(conflicts.map(c => c.schedule), ['M 23:00-23:50']);
+  });
+});
@@ -0,0 +1,183 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LIMITS,
+  LOCKOUT_MINUTES,
+  MAX_BACKOFF_SECONDS,
+  getLoginRetryAfter,
+  recordLoginAttempt
+} = require('../src/utils/loginThrottle');
+
+/**
+ * In-memory stand-in for login_attempts with the same window, failure-reason and
+ * reset-on-success conditions as loginThrottle.js. Time only moves with advance().
+ */
+const createAttemptStore = () => {
+  const attempts = [];
+
+  const query = async (sql, params) => {
+    if (sql.includes('INSERT INTO login_attempts')) {
+      const [email, userId, ipAddress, , success, failureReason] = params;
+      attempts.push({ email, userId, ipAddress, success, failureReason, secondsAgo: 0 });
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.includes('FROM login_attempts la')) {
+      const column = sql.match(/la\.(\w+) = \?/)[1];
+      const field = column === 'ip_address' ? 'ipAddress' : 'email';
+      const [value, countedReasons, windowMinutes] = params;
+      const resetOnSuccess = sql.includes('ok.success = 1');
+
+      const successes = attempts.filter(a => a[field] === value && a.success === 1);
+      const lastSuccessAgo = successes.length > 0 ? Math.min(...successes.map(a => a.secondsAgo)) : Infinity;
+
+      const failures = attempts.filter(a =>
+        a[field] === value &&
+        a.success === 0 &&
+        countedReasons.includes(a.failureReason) &&
+        a.secondsAgo < windowMinutes * 60 &&
+        (!resetOnSuccess || a.secondsAgo < lastSuccessAgo));
+
+      return [[{
+        failures: failures.length,
+        seconds_since_last: failures.length > 0 ? Math.min(...failures.map(a => a.secondsAgo)) : null
+      }]];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  const advance = (seconds) => {
+    for (const attempt of attempts) {
+      attempt.secondsAgo += seconds;
+    }
+  };
+
+  return { query, advance };
+};
+
+const attempt = { email: 'student@sfsu.edu', ipAddress: '10.0.0.1' };
+
+const fail = async (store, times, overrides = {}) => {
+  for (let i = 0; i < times; i++) {
+    await recordLoginAttempt({ ...attempt, ...overrides, success: false, failureReason: 'bad_password' }, store);
+  }
+};
+
+describe('per-account throttling', () => {
+  test(`allows the first ${LIMITS.email.backoffAfter - 1} failures without waiting`, async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.backoffAfter - 1);
+
+    assert.equal(await getLoginRetryAfter(attempt, store), 0);
+  });
+
+  test('doubles the wait for each failure past the free attempts', async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.backoffAfter);
+    assert.equal(await getLoginRetryAfter(attempt, store), 1);
+
+    await fail(store, 1);
+    assert.equal(await getLoginRetryAfter(attempt, store), 2);
+
+    await fail(store, 1);
+    assert.equal(await getLoginRetryAfter(attempt, store), 4);
+  });
+
+  test('counts down from the last failure', async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.backoffAfter + 3);
+
+    store.advance(5);
+    assert.equal(await getLoginRetryAfter(attempt, store), 3);
+
+    store.advance(3);
+    assert.equal(await getLoginRetryAfter(attempt, store), 0);
+  });
+
+  test(`locks the account for ${LOCKOUT_MINUTES} minutes after ${LIMITS.email.lockAfter} failures`, async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.lockAfter - 1);
+    assert.ok(await getLoginRetryAfter(attempt, store) < LOCKOUT_MINUTES * 60);
+
+    await fail(store, 1);
+    assert.equal(await getLoginRetryAfter(attempt, store), LOCKOUT_MINUTES * 60);
+  });
+
+  test('forgets failures outside the window', async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.lockAfter);
+
+    store.advance(LOCKOUT_MINUTES * 60);
+    assert.equal(await getLoginRetryAfter(attempt, store), 0);
+  });
+
+  test('a successful login clears the count', async () => {
+    const store = createAttemptStore();
+    await fail(store, LIMITS.email.backoffAfter + 2);
+    store.advance(10);
+    await recordLoginAttempt({ ...attempt, success: true }, store);
+
+    assert.equal(await getLoginRetryAfter({ ...attempt, ipAddress: '10.0.0.2' }, store), 0);
+  });
+
+  test('ignores failures that were not wrong credentials', async () => {
+    const store = createAttemptStore();
+    for (const failureReason of ['throttled', 'email_not_verified']) {
+      for (let i = 0; i < LIMITS.email.lockAfter; i++) {
+        await recordLoginAttempt({ ...attempt, success: false, failureReason }, store);
+      }
+    }
+
+    assert.equal(await getLoginRetryAfter(attempt, store), 0);
+  });
+});
+
+describe('per-IP throttling', () => {
+  // A different email for every attempt, so only the IP limit applies
+  const failFromIp = async (store, times) => {
+    for (let i = 0; i < times; i++) {
+      await fail(store, 1, { email: `student${i}@sfsu.edu` });
+    }
+  };
+  const fromIp = { email: 'someone-else@sfsu.edu', ipAddress: attempt.ipAddress };
+
+  test(`starts backing off after ${LIMITS.ip.backoffAfter} failures`, async () => {
+    const store = createAttemptStore();
+    await failFromIp(store, LIMITS.ip.backoffAfter - 1);
+    assert.equal(await getLoginRetryAfter(fromIp, store), 0);
+
+    await failFromIp(store, 1);
+    assert.equal(await getLoginRetryAfter(fromIp, store), 1);
+  });
+
+  test(`caps the backoff at ${MAX_BACKOFF_SECONDS} seconds`, async () => {
+    const store = createAttemptStore();
+    await failFromIp(store, LIMITS.ip.lockAfter - 1);
+
+    assert.equal(await getLoginRetryAfter(fromIp, store), MAX_BACKOFF_SECONDS);
+  });
+
+  test(`locks the address after ${LIMITS.ip.lockAfter} failures`, async () => {
+    const store = createAttemptStore();
+    await failFromIp(store, LIMITS.ip.lockAfter);
+
+    assert.equal(await getLoginRetryAfter(fromIp, store), LOCKOUT_MINUTES * 60);
+  });
+
+  test('a successful login does not clear the count', async () => {
+    const store = createAttemptStore();
+    await failFromIp(store, LIMITS.ip.lockAfter);
+    await recordLoginAttempt({ ...fromIp, success: true }, store);
+
+    assert.equal(await getLoginRetryAfter(fromIp, store), LOCKOUT_MINUTES * 60);
+  });
+
+  test('uses the longer of the account and address waits', async () => {
+    const store = createAttemptStore();
+    await failFromIp(store, LIMITS.ip.lockAfter);
+
+    assert.equal(await getLoginRetryAfter({ email: 'new@sfsu.edu', ipAddress: '10.0.0.2' }, store), 0);
+    assert.equal(await getLoginRetryAfter({ email: 'new@sfsu.edu', ipAddress: attempt.ipAddress }, store), LOCKOUT_MINUTES * 60);
+  });
+});
@@ -0,0 +1,123 @@
+// Run in a zone with daylight saving so local-time arithmetic would show up
+process.env.TZ = 'America/Los_Angeles';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_SERIES_OCCURRENCES,
+  MAX_SERIES_DAYS,
+  expandWeeklyRecurrence,
+  describeWeeklyRecurrence
+} = require('../src/utils/recurrence');
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+describe('expandWeeklyRecurrence', () => {
+  test('lists every matching weekday from the start date through the end date', () => {
+    const result = expandWeeklyRecurrence('2025-09-01', { weekdays: [1, 3], untilDate: '2025-09-15' });
+
+    assert.deepEqual(result.dates, ['2025-09-01', '2025-09-03', '2025-09-08', '2025-09-10', '2025-09-15']);
+    assert.deepEqual(result.weekdays, [1, 3]);
+  });
+
+  test('skips excluded dates and normalizes the rule', () => {
+    const result = expandWeeklyRecurrence('2025-09-01', {
+      weekdays: ['3', 1, 1],
+      untilDate: '2025-09-10',
+      excludedDates: ['2025-09-08', '2025-09-03', '2025-09-08']
+    });
+
+    assert.deepEqual(result.dates, ['2025-09-01', '2025-09-10']);
+    assert.deepEqual(result.weekdays, [1, 3]);
+    assert.deepEqual(result.excludedDates, ['2025-09-03', '2025-09-08']);
+  });
+
+  test('keeps occurrences on their weekday across daylight-saving changes', () => {
+    const spring = expandWeeklyRecurrence('2025-03-02', { weekdays: [0], untilDate: '2025-03-16' });
+    const fall = expandWeeklyRecurrence('2025-10-26', { weekdays: [0], untilDate: '2025-11-09' });
+
+    assert.deepEqual(spring.dates, ['2025-03-02', '2025-03-09', '2025-03-16']);
+    assert.deepEqual(fall.dates, ['2025-10-26', '2025-11-02', '2025-11-09']);
+  });
+
+  test('handles leap days and year ends', () => {
+    const result = expandWeeklyRecurrence('2024-02-26', { weekdays: [4], untilDate: '2024-03-07' });
+    const newYear = expandWeeklyRecurrence('2025-12-31', { weekdays: [3], untilDate: '2026-01-07' });
+
+    assert.deepEqual(result.dates, ['2024-02-29', '2024-03-07']);
+    assert.deepEqual(newYear.dates, ['2025-12-31', '2026-01-07']);
+  });
+
+  test(`allows exactly ${MAX_SERIES_OCCURRENCES} occurrences`, () => {
+    // 20 weeks of Monday to Friday
+    const result = expandWeeklyRecurrence('2025-01-06', { weekdays: WEEKDAYS, untilDate: '2025-05-23' });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.dates.length, MAX_SERIES_OCCURRENCES);
+  });
+
+  test(`rejects more than ${MAX_SERIES_OCCURRENCES} occurrences`, () => {
+    const result = expandWeeklyRecurrence('2025-01-06', { weekdays: WEEKDAYS, untilDate: '2025-05-26' });
+
+    assert.equal(result.error, `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions`);
+  });
+
+  test('counts occurrences after exclusions', () => {
+    const result = expandWeeklyRecurrence('2025-01-06', {
+      weekdays: WEEKDAYS,
+      untilDate: '2025-05-26',
+      excludedDates: ['2025-05-26']
+    });
+
+    assert.equal(result.dates.length, MAX_SERIES_OCCURRENCES);
+  });
+
+  test(`allows a series spanning ${MAX_SERIES_DAYS} days`, () => {
+    // 2024 is a leap year, so this is 366 days
+    const result = expandWeeklyRecurrence('2024-01-01', { weekdays: [1], untilDate: '2025-01-01' });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.dates.at(-1), '2024-12-30');
+  });
+
+  test(`rejects a series spanning more than ${MAX_SERIES_DAYS} days`, () => {
+    const result = expandWeeklyRecurrence('2024-01-01', { weekdays: [1], untilDate: '2025-01-02' });
+
+    assert.equal(result.error, 'A series can run for at most one year');
+  });
+
+  test('rejects invalid rules', () => {
+    assert.equal(expandWeeklyRecurrence('2025-09-01', null).error, 'A recurrence rule is required');
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-01', { weekdays: [], untilDate: '2025-09-30' }).error,
+      'Choose at least one weekday for the series'
+    );
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-01', { weekdays: [7], untilDate: '2025-09-30' }).error,
+      'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)'
+    );
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-01', { weekdays: [1], untilDate: '09/30/2025' }).error,
+      'Series dates must be in YYYY-MM-DD format'
+    );
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-01', { weekdays: [1], untilDate: '2025-08-31' }).error,
+      'The series end date must be on or after the first session'
+    );
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-01', { weekdays: [1], untilDate: '2025-09-30', excludedDates: ['soon'] }).error,
+      'Excluded dates must be a list of YYYY-MM-DD dates'
+    );
+    assert.equal(
+      expandWeeklyRecurrence('2025-09-02', { weekdays: [1], untilDate: '2025-09-07' }).error,
+      'The recurrence rule does not produce any sessions'
+    );
+  });
+});
+
+describe('describeWeeklyRecurrence', () => {
+  test('names the weekdays and the end date', () => {
+    assert.equal(describeWeeklyRecurrence('1,3', '2025-12-10'), 'every Mon, Wed until 2025-12-10');
+    assert.equal(describeWeeklyRecurrence('5', '2025-12-12 00:00:00'), 'every Fri until 2025-12-12');
+  });
+});
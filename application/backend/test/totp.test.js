@@ -0,0 +1,203 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setClock, generateCode, verifyCode, STEP_SECONDS } = require('../src/utils/totp');
+const { generateRecoveryCodes, verifyTotpForUser, consumeRecoveryCode } = require('../src/utils/twoFactor');
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Unix time (seconds) -> the RFC's 8-digit value, trimmed to our 6 digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const pinClock = (seconds) => setClock(() => seconds * 1000);
+
+/**
+ * In-memory stand-in for the statements twoFactor.js runs against
+ * user_two_factor and two_factor_recovery_codes, with the same conditions
+ */
+const createTwoFactorStore = () => {
+  const lastUsedSteps = new Map();
+  const recoveryCodes = [];
+
+  const query = async (sql, params) => {
+    if (sql.includes('UPDATE user_two_factor SET last_used_step')) {
+      const [step, userId] = params;
+      const lastUsed = lastUsedSteps.get(userId);
+      if (lastUsed !== undefined && lastUsed >= step) {
+        return [{ affectedRows: 0 }];
+      }
+      lastUsedSteps.set(userId, step);
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.includes('DELETE FROM two_factor_recovery_codes')) {
+      recoveryCodes.splice(0, recoveryCodes.length, ...recoveryCodes.filter(row => row.userId !== params[0]));
+      return [{ affectedRows: 0 }];
+    }
+
+    if (sql.includes('INSERT INTO two_factor_recovery_codes')) {
+      for (const [userId, codeHash] of params[0]) {
+        recoveryCodes.push({ userId, codeHash, usedAt: null });
+      }
+      return [{ affectedRows: params[0].length }];
+    }
+
+    if (sql.includes('UPDATE two_factor_recovery_codes SET used_at')) {
+      const [userId, codeHash] = params;
+      const row = recoveryCodes.find(r => r.userId === userId && r.codeHash === codeHash && r.usedAt === null);
+      if (!row) {
+        return [{ affectedRows: 0 }];
+      }
+      row.usedAt = new Date();
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { query };
+};
+
+afterEach(() => setClock());
+
+describe('generateCode', () => {
+  for (const [seconds, expected] of RFC_VECTORS) {
+    test(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      pinClock(seconds);
+      assert.equal(generateCode(RFC_SECRET), expected);
+    });
+  }
+});
+
+describe('verifyCode', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    test(`accepts the RFC 6238 vector at T=${seconds}`, () => {
+      pinClock(seconds);
+      assert.equal(verifyCode(RFC_SECRET, code), Math.floor(seconds / STEP_SECONDS));
+    });
+  }
+
+  test('accepts codes one step either side of now', () => {
+    pinClock(1111111111);
+    const step = Math.floor(1111111111 / STEP_SECONDS);
+
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, (1111111111 - STEP_SECONDS) * 1000)), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, (1111111111 + STEP_SECONDS) * 1000)), step + 1);
+  });
+
+  test('rejects codes outside the drift window', () => {
+    pinClock(1111111111);
+
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, (1111111111 - 2 * STEP_SECONDS) * 1000)), null);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, (1111111111 + 2 * STEP_SECONDS) * 1000)), null);
+  });
+
+  test('honours a custom window', () => {
+    pinClock(1111111111);
+    const twoStepsAgo = generateCode(RFC_SECRET, (1111111111 - 2 * STEP_SECONDS) * 1000);
+
+    assert.equal(verifyCode(RFC_SECRET, twoStepsAgo, { window: 0 }), null);
+    assert.notEqual(verifyCode(RFC_SECRET, twoStepsAgo, { window: 2 }), null);
+  });
+
+  test('rejects malformed and wrong codes', () => {
+    pinClock(59);
+
+    assert.equal(verifyCode(RFC_SECRET, ''), null);
+    assert.equal(verifyCode(RFC_SECRET, '28708'), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyCode(RFC_SECRET, '287083'), null);
+    assert.equal(verifyCode(RFC_SECRET, '287 082'), Math.floor(59 / STEP_SECONDS));
+  });
+});
+
+describe('verifyTotpForUser', () => {
+  const record = { user_id: 1, secret_base32: RFC_SECRET };
+
+  test('accepts a code once and rejects a replay in the same step', async () => {
+    const store = createTwoFactorStore();
+    pinClock(1111111111);
+    const code = generateCode(RFC_SECRET);
+
+    assert.equal(await verifyTotpForUser(record, code, store), true);
+    assert.equal(await verifyTotpForUser(record, code, store), false);
+  });
+
+  test('rejects an older code after a newer one was used', async () => {
+    const store = createTwoFactorStore();
+    pinClock(1111111111);
+    const previous = generateCode(RFC_SECRET, (1111111111 - STEP_SECONDS) * 1000);
+
+    assert.equal(await verifyTotpForUser(record, generateCode(RFC_SECRET), store), true);
+    assert.equal(await verifyTotpForUser(record, previous, store), false);
+  });
+
+  test('accepts the next step after a code was used', async () => {
+    const store = createTwoFactorStore();
+    pinClock(1111111111);
+    assert.equal(await verifyTotpForUser(record, generateCode(RFC_SECRET), store), true);
+
+    pinClock(1111111111 + STEP_SECONDS);
+    assert.equal(await verifyTotpForUser(record, generateCode(RFC_SECRET), store), true);
+  });
+
+  test('rejects a wrong code without using up the step', async () => {
+    const store = createTwoFactorStore();
+    pinClock(1111111111);
+
+    assert.equal(await verifyTotpForUser(record, '000000', store), false);
+    assert.equal(await verifyTotpForUser(record, generateCode(RFC_SECRET), store), true);
+  });
+});
+
+describe('recovery codes', () => {
+  test('each code works once', async () => {
+    const store = createTwoFactorStore();
+    const codes = await generateRecoveryCodes(1, store);
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    assert.equal(await consumeRecoveryCode(1, codes[0], store), true);
+    assert.equal(await consumeRecoveryCode(1, codes[0], store), false);
+    assert.equal(await consumeRecoveryCode(1, codes[1], store), true);
+  });
+
+  test('ignores dashes, spaces and case', async () => {
+    const store = createTwoFactorStore();
+    const [code] = await generateRecoveryCodes(1, store);
+
+    assert.equal(await consumeRecoveryCode(1, ` ${code.replace('-', ' ').toUpperCase()} `, store), true);
+  });
+
+  test('only works for the user it was issued to', async () => {
+    const store = createTwoFactorStore();
+    const [code] = await generateRecoveryCodes(1, store);
+
+    assert.equal(await consumeRecoveryCode(2, code, store), false);
+    assert.equal(await consumeRecoveryCode(1, code, store), true);
+  });
+
+  test('regenerating replaces the old codes', async () => {
+    const store = createTwoFactorStore();
+    const [oldCode] = await generateRecoveryCodes(1, store);
+    const [newCode] = await generateRecoveryCodes(1, store);
+
+    assert.equal(await consumeRecoveryCode(1, oldCode, store), false);
+    assert.equal(await consumeRecoveryCode(1, newCode, store), true);
+  });
+
+  test('rejects an empty code', async () => {
+    const store = createTwoFactorStore();
+    await generateRecoveryCodes(1, store);
+
+    assert.equal(await consumeRecoveryCode(1, '', store), false);
+    assert.equal(await consumeRecoveryCode(1, ' - ', store), false);
+  });
+});
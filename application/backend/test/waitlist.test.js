@@ -0,0 +1,179 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { promoteFromWaitlist } = require('../src/utils/waitlist');
+
+const SESSION_ID = 1;
+const TUTOR_ID = 7;
+
+/**
+ * In-memory stand-in for the statements promoteFromWaitlist runs against sessions,
+ * session_waitlist, session_attendees, session_join_requests, session_invites and
+ * the inbox tables. The waitlist comes back in waitlist_id order, like the real query.
+ */
+const createWaitlistStore = ({ session = {}, waitlist = [], attendees = [], invites = {}, requests = [] } = {}) => {
+  const state = {
+    session: {
+      session_id: SESSION_ID,
+      tutor_id: TUTOR_ID,
+      title: 'Exam Review',
+      start_time: '2099-01-01 10:00:00',
+      location_details: 'Library 201',
+      capacity: 2,
+      status: 'scheduled',
+      ...session
+    },
+    waitlist: waitlist.map(entry => ({ student_name: `Student ${entry.user_id}`, invite_id: null, ...entry })),
+    attendees: [...attendees],
+    // invite_id -> uses left
+    invites: { ...invites },
+    requests: requests.map(request => ({ ...request })),
+    messages: []
+  };
+
+  const query = async (sql, params) => {
+    if (sql.includes('FROM sessions s') && sql.includes('enrolled_count')) {
+      if (params[0] !== state.session.session_id) {
+        return [[]];
+      }
+      return [[{ ...state.session, enrolled_count: state.attendees.length }]];
+    }
+
+    if (sql.includes('FROM session_waitlist w')) {
+      return [[...state.waitlist].sort((a, b) => a.waitlist_id - b.waitlist_id)];
+    }
+
+    if (sql.includes('DELETE FROM session_waitlist')) {
+      state.waitlist = state.waitlist.filter(entry => entry.waitlist_id !== params[0]);
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.includes('UPDATE session_invites')) {
+      if (!state.invites[params[0]]) {
+        return [{ affectedRows: 0 }];
+      }
+      state.invites[params[0]] -= 1;
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.includes('INSERT INTO session_attendees')) {
+      state.attendees.push(params[1]);
+      return [{ affectedRows: 1 }];
+    }
+
+    if (sql.includes('UPDATE session_join_requests')) {
+      const [, userId] = params;
+      const pending = state.requests.filter(r => r.requester_user_id === userId && r.status === 'pending');
+      pending.forEach(r => { r.status = 'accepted'; });
+      return [{ affectedRows: pending.length }];
+    }
+
+    if (sql.includes('INSERT INTO messages')) {
+      const [senderId, receiverId, subject] = params;
+      state.messages.push({ senderId, receiverId, subject });
+      return [{ insertId: state.messages.length }];
+    }
+
+    if (sql.includes('INSERT INTO user_messages')) {
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+
+  return { query, state };
+};
+
+describe('promoteFromWaitlist', () => {
+  test('promotes students in the order they joined the waitlist', async () => {
+    const store = createWaitlistStore({
+      session: { capacity: 3 },
+      attendees: [50],
+      waitlist: [
+        { waitlist_id: 12, user_id: 22 },
+        { waitlist_id: 10, user_id: 20 },
+        { waitlist_id: 13, user_id: 23 },
+        { waitlist_id: 11, user_id: 21 }
+      ]
+    });
+
+    const promoted = await promoteFromWaitlist(SESSION_ID, store);
+
+    assert.deepEqual(promoted, [20, 21]);
+    assert.deepEqual(store.state.attendees, [50, 20, 21]);
+    assert.deepEqual(store.state.waitlist.map(entry => entry.user_id).sort(), [22, 23]);
+  });
+
+  test('fills only the open seats', async () => {
+    const store = createWaitlistStore({
+      session: { capacity: 2 },
+      attendees: [50],
+      waitlist: [{ waitlist_id: 1, user_id: 20 }, { waitlist_id: 2, user_id: 21 }]
+    });
+
+    assert.deepEqual(await promoteFromWaitlist(SESSION_ID, store), [20]);
+    assert.deepEqual(await promoteFromWaitlist(SESSION_ID, store), []);
+    assert.deepEqual(store.state.waitlist.map(entry => entry.user_id), [21]);
+  });
+
+  test('skips a student whose invite is no longer valid and moves on to the next', async () => {
+    const store = createWaitlistStore({
+      session: { capacity: 1 },
+      invites: { 5: 0, 6: 1 },
+      waitlist: [
+        { waitlist_id: 1, user_id: 20, invite_id: 5 },
+        { waitlist_id: 2, user_id: 21, invite_id: 6 },
+        { waitlist_id: 3, user_id: 22 }
+      ]
+    });
+
+    const promoted = await promoteFromWaitlist(SESSION_ID, store);
+
+    assert.deepEqual(promoted, [21]);
+    assert.equal(store.state.invites[6], 0);
+    assert.deepEqual(store.state.waitlist.map(entry => entry.user_id), [22]);
+    assert.deepEqual(
+      store.state.messages.filter(m => m.receiverId === 20).map(m => m.subject),
+      ['Removed from Waitlist: Exam Review']
+    );
+  });
+
+  test('accepts the pending join request and tells the student and the tutor', async () => {
+    const store = createWaitlistStore({
+      session: { capacity: 1 },
+      waitlist: [{ waitlist_id: 1, user_id: 20 }],
+      requests: [{ requester_user_id: 20, status: 'pending' }]
+    });
+
+    await promoteFromWaitlist(SESSION_ID, store);
+
+    assert.equal(store.state.requests[0].status, 'accepted');
+    assert.deepEqual(store.state.messages, [
+      { senderId: TUTOR_ID, receiverId: 20, subject: 'Enrolled from Waitlist: Exam Review' },
+      { senderId: 20, receiverId: TUTOR_ID, subject: 'Waitlist Promotion: Exam Review' }
+    ]);
+  });
+
+  for (const [label, session] of [
+    ['cancelled', { status: 'cancelled' }],
+    ['already started', { start_time: '2000-01-01 10:00:00' }],
+    ['full', { capacity: 1 }]
+  ]) {
+    test(`leaves the waitlist alone when the session is ${label}`, async () => {
+      const store = createWaitlistStore({
+        session,
+        attendees: [50],
+        waitlist: [{ waitlist_id: 1, user_id: 20 }]
+      });
+
+      assert.deepEqual(await promoteFromWaitlist(SESSION_ID, store), []);
+      assert.equal(store.state.waitlist.length, 1);
+      assert.deepEqual(store.state.messages, []);
+    });
+  }
+
+  test('returns nothing for an unknown session', async () => {
+    const store = createWaitlistStore();
+
+    assert.deepEqual(await promoteFromWaitlist(999, store), []);
+  });
+});
@@ -218,6 +218,8 @@ function updateNavBarLoggedIn(navMenu, loginNavItem, user) {
     let dashboardFilename = 'studentDashboard.html';
     if (user.role === 'Tutor') {
         dashboardFilename = 'tutorDashboard.html';
+    } else if (user.role === 'Admin') {
+        dashboardFilename = 'adminDashboard.html';
     }
 
     // Create absolute URL to dashboard (works from any folder depth)
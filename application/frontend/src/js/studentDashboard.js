@@ -186,6 +186,75 @@ async function removeCourse(courseId) {
   }
 }
 
+// Default picture shown until the user uploads one
+const DEFAULT_PROFILE_IMAGE = 'public/edugator_logo_egg.png';
+
+// Show the user's profile picture, or the default one
+function renderProfilePicture(url) {
+    document.getElementById('profileImage').src = url || DEFAULT_PROFILE_IMAGE;
+    document.getElementById('removeAvatarBtn').style.display = url ? 'inline-block' : 'none';
+}
+
+// Upload the picked image as the new profile picture
+async function uploadProfilePicture(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    if (file.size > 5 * 1024 * 1024) {
+        showMessage('Profile pictures must be 5 MB or smaller', true);
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/users/me/avatar`, {
+            method: 'POST',
+            credentials: 'include',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showMessage(data.message || 'Failed to upload profile picture', true);
+            return;
+        }
+
+        renderProfilePicture(data.data.url);
+        showMessage(data.message);
+    } catch (error) {
+        console.error('Error uploading profile picture:', error);
+        showMessage('Failed to upload profile picture. Please try again.', true);
+    }
+}
+
+// Remove the profile picture after confirming
+async function removeProfilePicture() {
+    const confirmed = await showConfirm('Remove your profile picture?', 'Remove Photo');
+    if (!confirmed) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/users/me/avatar`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showMessage(data.message || 'Failed to remove profile picture', true);
+            return;
+        }
+
+        renderProfilePicture(null);
+        showMessage(data.message);
+    } catch (error) {
+        console.error('Error removing profile picture:', error);
+        showMessage('Failed to remove profile picture. Please try again.', true);
+    }
+}
+
 // Store current profile data
 let currentProfile = null;
 
@@ -367,6 +436,7 @@ function populateDashboard(data) {
   if (nameElement) {
     nameElement.textContent = `${profile.firstName} ${profile.lastName}`;
   }
+  renderProfilePicture(profile.profilePictureUrl);
 
   const subtitleElement = document.querySelector('.profile-subtitle');
   if (subtitleElement) {
@@ -390,6 +460,16 @@ function populateDashboard(data) {
   updateStat('Courses Enrolled', stats.coursesEnrolled);
   updateStat('Total Credits', stats.totalCredits);
   updateStat('Tutoring Sessions', stats.tutoringSessions);
+  updateStat('Attendance Rate', stats.attendance?.attendanceRate === null || stats.attendance?.attendanceRate === undefined
+    ? '—'
+    : `${stats.attendance.attendanceRate}%`);
+
+  // Repeated no-shows temporarily block new join requests
+  const noShowNotice = document.getElementById('noShowNotice');
+  if (noShowNotice) {
+    noShowNotice.textContent = stats.requestsBlocked ? stats.requestsBlocked.message : '';
+    noShowNotice.style.display = stats.requestsBlocked ? 'block' : 'none';
+  }
 
   // Update courses
   populateCourses(courses);
@@ -549,7 +629,8 @@ function getSessionStatusBadge(status) {
   const statusConfig = {
     scheduled: { label: 'Scheduled', class: 'session-status-scheduled' },
     active: { label: 'Active', class: 'session-status-active' },
-    over: { label: 'Completed', class: 'session-status-over' }
+    over: { label: 'Completed', class: 'session-status-over' },
+    cancelled: { label: 'Cancelled', class: 'session-status-cancelled' }
   };
   const config = statusConfig[status] || statusConfig.scheduled;
   return `<span class="session-status-badge ${config.class}">${config.label}</span>`;
@@ -625,6 +706,34 @@ function viewSession(sessionId) {
   window.location.href = `session.html?id=${sessionId}`;
 }
 
+// Open the session an invite code is for, with the invite attached
+async function joinWithInviteCode() {
+  const input = document.getElementById('inviteCodeInput');
+  const code = input.value.trim();
+
+  if (!code) {
+    showMessage('Enter the invite code your tutor shared', true);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/invites/${encodeURIComponent(code)}`, {
+      credentials: 'include'
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      showMessage(result.message || 'This invite code is not valid', true);
+      return;
+    }
+
+    window.location.href = `session.html?id=${result.data.sessionId}&invite=${encodeURIComponent(result.data.code)}&source=dashboard`;
+  } catch (error) {
+    console.error('Error looking up invite code:', error);
+    showMessage('Failed to look up invite code. Please try again.', true);
+  }
+}
+
 // Unenroll from a session
 async function unenrollFromSession(sessionId, sessionTitle) {
   const confirmed = await showConfirm(
@@ -668,8 +777,199 @@ async function unenrollFromSession(sessionId, sessionTitle) {
   }
 }
 
+// Load completed sessions the student still owes a review for
+async function loadPendingReviews() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/students/pending-reviews`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      return;
+    }
+
+    const result = await response.json();
+    if (result.success) {
+      populatePendingReviews(result.data);
+    }
+  } catch (error) {
+    console.error('Error loading sessions to review:', error);
+  }
+}
+
+let pendingReviews = [];
+
+// Populate the sessions to review grid; the section stays hidden when there are none
+function populatePendingReviews(sessions) {
+  pendingReviews = sessions || [];
+  const section = document.getElementById('pendingReviewsSection');
+  const grid = document.getElementById('pendingReviewsGrid');
+  if (!section || !grid) return;
+
+  if (pendingReviews.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  grid.innerHTML = pendingReviews.map(session => `
+    <div class="session-card">
+      <div class="course-header">
+        <div>
+          <h3>${escapeHtml(session.title)}</h3>
+          <span class="session-tutor">with ${escapeHtml(session.tutor_name)}</span>
+        </div>
+      </div>
+      <div class="session-meta">
+        <div><strong>Ended:</strong> ${formatSessionDateTime(session.end_time)}</div>
+      </div>
+      <div class="course-actions">
+        <button class="btn btn-primary" onclick="openReviewModal(${session.session_id})">Leave a Review</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+let reviewSessionId = null;
+let reviewRating = 0;
+
+function openReviewModal(sessionId) {
+  const session = pendingReviews.find(s => s.session_id === sessionId);
+  if (!session) return;
+
+  reviewSessionId = sessionId;
+  document.getElementById('reviewSessionSummary').textContent =
+    `${session.title} with ${session.tutor_name} • ${formatSessionDateTime(session.start_time)}`;
+  document.getElementById('reviewComment').value = '';
+  setReviewRating(0);
+  document.getElementById('reviewModal').style.display = 'flex';
+}
+
+function closeReviewModal() {
+  document.getElementById('reviewModal').style.display = 'none';
+  reviewSessionId = null;
+}
+
+function setReviewRating(rating) {
+  reviewRating = rating;
+  document.querySelectorAll('#reviewStars button').forEach(button => {
+    button.classList.toggle('selected', parseInt(button.dataset.rating, 10) <= rating);
+  });
+}
+
+async function submitReview() {
+  if (!reviewSessionId) return;
+
+  if (reviewRating < 1) {
+    showMessage('Please choose a rating from 1 to 5 stars', true);
+    return;
+  }
+
+  const submitBtn = document.getElementById('submitReviewBtn');
+  submitBtn.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${reviewSessionId}/reviews`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        rating: reviewRating,
+        comment: document.getElementById('reviewComment').value.trim()
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showMessage(result.message || 'Thanks for your review!', false);
+      closeReviewModal();
+      loadPendingReviews();
+    } else {
+      showMessage('Failed to submit review: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    showMessage('Failed to submit review. Please try again.', true);
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+// Load completed and cancelled sessions for the selected filter
+async function loadSessionArchive() {
+  const filter = document.getElementById('sessionArchiveFilter');
+  const status = filter ? filter.value : 'all';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/students/session-archive?status=${status}`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        return;
+      }
+      throw new Error('Failed to load past sessions');
+    }
+
+    const result = await response.json();
+    if (result.success) {
+      populateSessionArchive(result.data);
+    }
+  } catch (error) {
+    console.error('Error loading past sessions:', error);
+  }
+}
+
+// Populate past & cancelled sessions grid
+function populateSessionArchive(sessions) {
+  const archiveGrid = document.getElementById('sessionArchiveGrid');
+  if (!archiveGrid) return;
+
+  if (!sessions || sessions.length === 0) {
+    archiveGrid.innerHTML = `
+      <div class="empty-state">
+        <h3>No Past Sessions</h3>
+        <p>Sessions you attended or that were cancelled will show up here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const attendanceLabels = { present: 'Attended', absent: 'Missed' };
+
+  archiveGrid.innerHTML = sessions.map(session => `
+    <div class="session-card">
+      <div class="course-header">
+        <div>
+          <h3>${escapeHtml(session.title)}</h3>
+          <span class="session-tutor">with ${escapeHtml(session.tutor_name)}</span>
+        </div>
+        ${getSessionStatusBadge(session.status)}
+      </div>
+      <div class="session-meta">
+        <div><strong>Start:</strong> ${formatSessionDateTime(session.start_time)}</div>
+        <div><strong>End:</strong> ${formatSessionDateTime(session.end_time)}</div>
+        ${session.status === 'over' && attendanceLabels[session.attendance_status] ? `<div><strong>Attendance:</strong> ${attendanceLabels[session.attendance_status]}</div>` : ''}
+        ${session.status === 'cancelled' && session.cancellation_reason ? `<div><strong>Reason:</strong> ${escapeHtml(session.cancellation_reason)}</div>` : ''}
+      </div>
+      ${session.course_names ? `
+        <div class="session-courses">
+          ${session.course_names.split(', ').map(course => `<span class="session-course-pill">${escapeHtml(course)}</span>`).join('')}
+        </div>
+      ` : ''}
+      <div class="course-actions">
+        <button class="btn btn-primary" onclick="viewSession(${session.session_id})">View Session</button>
+      </div>
+    </div>
+  `).join('');
+}
+
 // Load dashboard when page loads
 document.addEventListener('DOMContentLoaded', () => {
   loadStudentDashboard();
   loadEnrolledSessions();
+  loadPendingReviews();
+  loadSessionArchive();
 });
@@ -7,6 +7,81 @@ const API_BASE_URL = window.location.origin;
 // Store tutor's courses for session creation
 let tutorCourses = [];
 
+// Store tutor's sessions so they can be edited in place
+let tutorSessions = [];
+
+// Session being edited in the session modal (null when creating)
+let editingSessionId = null;
+
+// Default picture shown until the user uploads one
+const DEFAULT_PROFILE_IMAGE = 'public/edugator_logo_egg.png';
+
+// Show the user's profile picture, or the default one
+function renderProfilePicture(url) {
+  document.getElementById('profileImage').src = url || DEFAULT_PROFILE_IMAGE;
+  document.getElementById('removeAvatarBtn').style.display = url ? 'inline-block' : 'none';
+}
+
+// Upload the picked image as the new profile picture
+async function uploadProfilePicture(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  if (file.size > 5 * 1024 * 1024) {
+    showMessage('Profile pictures must be 5 MB or smaller', true);
+    return;
+  }
+
+  const formData = new FormData();
+  formData.append('avatar', file);
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/users/me/avatar`, {
+      method: 'POST',
+      credentials: 'include',
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showMessage(data.message || 'Failed to upload profile picture', true);
+      return;
+    }
+
+    renderProfilePicture(data.data.url);
+    showMessage(data.message);
+  } catch (error) {
+    console.error('Error uploading profile picture:', error);
+    showMessage('Failed to upload profile picture. Please try again.', true);
+  }
+}
+
+// Remove the profile picture after confirming
+async function removeProfilePicture() {
+  const confirmed = await showConfirm('Remove your profile picture?', 'Remove Photo');
+  if (!confirmed) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/users/me/avatar`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showMessage(data.message || 'Failed to remove profile picture', true);
+      return;
+    }
+
+    renderProfilePicture(null);
+    showMessage(data.message);
+  } catch (error) {
+    console.error('Error removing profile picture:', error);
+    showMessage('Failed to remove profile picture. Please try again.', true);
+  }
+}
+
 // Helper function to show messages
 function showMessage(message, isError = false) {
   const errorElement = document.getElementById('error-message');
@@ -64,6 +139,36 @@ function showConfirm(message, title = 'Confirm Action') {
   });
 }
 
+// Ask which occurrences of a series an edit/removal applies to
+// Resolves to 'this', 'following', 'all', or null if cancelled
+function chooseSeriesScope(title) {
+  return new Promise((resolve) => {
+      const modal = document.getElementById('seriesScopeModal');
+      const buttons = modal.querySelectorAll('button[data-scope]');
+
+      document.getElementById('seriesScopeTitle').textContent = title;
+      modal.style.display = 'flex';
+
+      function handleClick(event) {
+          modal.style.display = 'none';
+          buttons.forEach(button => button.removeEventListener('click', handleClick));
+          resolve(event.currentTarget.dataset.scope || null);
+      }
+
+      buttons.forEach(button => button.addEventListener('click', handleClick));
+  });
+}
+
+// One line per scheduling conflict returned by the API
+function describeConflicts(conflicts) {
+  return (conflicts || []).map(conflict => {
+    if (conflict.type === 'class') {
+      return `• Class: ${conflict.title} (${conflict.schedule})`;
+    }
+    return `• "${conflict.title}" on ${formatDateTime(conflict.startTime)}, ${formatTime(conflict.startTime)} - ${formatTime(conflict.endTime)}`;
+  }).join('\n');
+}
+
 // Format date for display
 function formatDate(dateString) {
   if (!dateString) return 'Not set';
@@ -121,12 +226,14 @@ function populateDashboard(data) {
   currentProfile = profile;
   // Store courses for session creation dropdown
   tutorCourses = courses;
+  tutorSessions = sessions;
 
   // Update profile header
   const nameElement = document.querySelector('.profile-info h1');
   if (nameElement) {
     nameElement.textContent = `${profile.firstName} ${profile.lastName}`;
   }
+  renderProfilePicture(profile.profilePictureUrl);
 
   const subtitleElement = document.querySelector('.profile-subtitle');
   if (subtitleElement) {
@@ -150,6 +257,8 @@ function populateDashboard(data) {
   updateStat('Courses Offered', stats.coursesOffered);
   updateStat('Active Sessions', stats.activeSessions);
   updateStat('Students Helped', stats.studentsHelped);
+  updateStat('Attendance Rate', formatRate(stats.attendance?.attendanceRate));
+  updateStat('No-Show Rate', formatRate(stats.attendance?.noShowRate));
 
   // Update courses
   populateCourses(courses, sessions);
@@ -158,6 +267,11 @@ function populateDashboard(data) {
   populateSessions(sessions);
 }
 
+// Format an attendance percentage (null until attendance has been recorded)
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '—' : `${rate}%`;
+}
+
 // Update info item by label
 function updateInfoItem(label, value) {
   const items = document.querySelectorAll('.info-item');
@@ -240,6 +354,8 @@ function getStatusClass(status) {
       return 'status-upcoming';
     case 'over':
       return 'status-completed';
+    case 'cancelled':
+      return 'status-cancelled';
     default:
       return 'status-upcoming';
   }
@@ -254,6 +370,8 @@ function getStatusText(status) {
       return 'Upcoming';
     case 'over':
       return 'Completed';
+    case 'cancelled':
+      return 'Cancelled';
     default:
       return 'Scheduled';
   }
@@ -276,13 +394,14 @@ function populateSessions(sessions) {
 
   sessionsGrid.innerHTML = sessions.map(session => {
     const isCompleted = session.status === 'over';
-    const primaryBtnText = 'Remove Session';
     const secondaryBtnText = isCompleted ? 'View Feedback' : 'View Enrollments';
+    const canEdit = session.status === 'scheduled' && new Date(session.startTime) > new Date();
+    const canCheckIn = isCheckinOpen(session);
 
     return `
     <div class="session-card">
       <div class="session-header">
-        <h3>${escapeHtml(session.title || 'Tutoring Session')}</h3>
+        <h3>${escapeHtml(session.title || 'Tutoring Session')}${session.seriesId ? ' 🔁' : ''}${session.visibility === 'invite_only' ? ' 🔒' : ''}</h3>
         <span class="session-status ${getStatusClass(session.status)}">${getStatusText(session.status)}</span>
       </div>
       <div class="session-info">
@@ -304,7 +423,10 @@ function populateSessions(sessions) {
         </div>
       </div>
       <div class="session-actions">
-        <button class="btn btn-primary" onclick="removeSession(${session.sessionId})">${primaryBtnText}</button>
+        <button class="btn btn-primary" onclick="cancelSession(${session.sessionId})">Cancel Session</button>
+        ${canEdit ? `<button class="btn btn-secondary" onclick="openEditSessionModal(${session.sessionId})">Edit</button>` : ''}
+        ${canEdit ? `<button class="btn btn-secondary" onclick="openInvitesModal(${session.sessionId})">Invites</button>` : ''}
+        ${canCheckIn ? `<button class="btn btn-secondary" onclick="openCheckinModal(${session.sessionId})">Check-in Code</button>` : ''}
         <button class="btn btn-secondary" onclick="viewEnrollments(${session.sessionId})">${secondaryBtnText}</button>
       </div>
     </div>
@@ -337,36 +459,365 @@ function editCourse(courseId) {
   console.log('Edit course:', courseId);
 }
 
-async function removeSession(sessionId) {
-  const confirmed = await showConfirm(
-    'Are you sure you want to remove this session? This will also remove all enrollments. This action cannot be undone.',
-    'Remove Session'
+// Ask for confirmation and an optional reason before cancelling
+// Resolves to the reason ('' if none was given), or null if the tutor backed out
+function askCancellationReason(message) {
+  return new Promise((resolve) => {
+      const modal = document.getElementById('cancelReasonModal');
+      const reasonInput = document.getElementById('cancelReasonText');
+      const confirmButton = document.getElementById('cancelReasonConfirm');
+      const dismissButton = document.getElementById('cancelReasonDismiss');
+
+      document.getElementById('cancelReasonMessage').textContent = message;
+      reasonInput.value = '';
+      modal.style.display = 'flex';
+      reasonInput.focus();
+
+      function handleConfirm() {
+          modal.style.display = 'none';
+          cleanup();
+          resolve(reasonInput.value.trim());
+      }
+
+      function handleDismiss() {
+          modal.style.display = 'none';
+          cleanup();
+          resolve(null);
+      }
+
+      function cleanup() {
+          confirmButton.removeEventListener('click', handleConfirm);
+          dismissButton.removeEventListener('click', handleDismiss);
+      }
+
+      confirmButton.addEventListener('click', handleConfirm);
+      dismissButton.addEventListener('click', handleDismiss);
+  });
+}
+
+async function cancelSession(sessionId) {
+  const session = tutorSessions.find(s => s.sessionId === sessionId);
+  let scope = 'this';
+
+  if (session && session.seriesId) {
+    scope = await chooseSeriesScope('Cancel Recurring Session');
+    if (!scope) {
+      return;
+    }
+  }
+
+  const reason = await askCancellationReason(
+    scope === 'this'
+      ? 'Enrolled students will be notified. The session stays in your past & cancelled sessions.'
+      : 'Enrolled students will be notified. The sessions stay in your past & cancelled sessions.'
   );
 
-  if (!confirmed) {
+  if (reason === null) {
     return;
   }
 
   try {
-    const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}`, {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}?scope=${scope}`, {
       method: 'DELETE',
-      credentials: 'include'
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ reason })
     });
 
     const result = await response.json();
 
     if (result.success) {
-      showMessage('Session removed successfully!', false);
+      showMessage(result.message || 'Session cancelled', false);
       loadTutorDashboard();
     } else {
-      showMessage('Failed to remove session: ' + (result.message || 'Unknown error'), true);
+      showMessage('Failed to cancel session: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error cancelling session:', error);
+    showMessage('Failed to cancel session. Please try again.', true);
+  }
+}
+
+// Invite codes for a session
+let invitesSessionId = null;
+
+function openInvitesModal(sessionId) {
+  const session = tutorSessions.find(s => s.sessionId === sessionId);
+  invitesSessionId = sessionId;
+
+  document.getElementById('invitesModalTitle').textContent = `Invites: ${session ? session.title : 'Session'}`;
+  document.getElementById('invitesModalHint').textContent = session && session.visibility === 'invite_only'
+    ? 'This session is invite-only. Students can only find and join it with one of these codes or links.'
+    : 'This session is public. Invites let students you share them with join without waiting for approval.';
+  document.getElementById('inviteMaxUses').value = '';
+  document.getElementById('inviteExpiresAt').value = '';
+  document.getElementById('inviteSkipApproval').checked = !session || session.visibility !== 'invite_only';
+  document.getElementById('invitesModal').style.display = 'flex';
+  loadInvites();
+}
+
+function closeInvitesModal() {
+  document.getElementById('invitesModal').style.display = 'none';
+  invitesSessionId = null;
+}
+
+function getInviteLink(code) {
+  return new URL(`session.html?id=${invitesSessionId}&invite=${code}`, window.location.href).href;
+}
+
+function describeInvite(invite) {
+  const parts = [invite.skipApproval ? 'Joins right away' : 'Needs your approval'];
+  parts.push(invite.maxUses ? `${invite.useCount} / ${invite.maxUses} uses` : `${invite.useCount} use${invite.useCount !== 1 ? 's' : ''}`);
+
+  if (invite.revokedAt) {
+    parts.push('Revoked');
+  } else if (invite.expiresAt) {
+    parts.push(`${invite.usable ? 'Expires' : 'Expired'} ${formatDateTime(invite.expiresAt)} ${formatTime(invite.expiresAt)}`);
+  } else if (!invite.usable) {
+    parts.push('Used up');
+  }
+
+  return parts.join(' · ');
+}
+
+async function loadInvites() {
+  const list = document.getElementById('invitesList');
+  list.innerHTML = '<div class="loading-state">Loading invites...</div>';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${invitesSessionId}/invites`, {
+      credentials: 'include'
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      list.innerHTML = `<div class="empty-enrollment">${escapeHtml(result.message || 'Failed to load invites')}</div>`;
+      return;
     }
+
+    if (result.data.invites.length === 0) {
+      list.innerHTML = '<div class="empty-enrollment">No invites yet. Create one below.</div>';
+      return;
+    }
+
+    list.innerHTML = result.data.invites.map(invite => `
+      <div class="invite-item${invite.usable ? '' : ' inactive'}">
+        <div>
+          <div class="invite-code">${escapeHtml(invite.code)}</div>
+          <div class="archive-item-meta">${describeInvite(invite)}</div>
+        </div>
+        ${invite.usable ? `
+        <div class="invite-item-actions">
+          <button class="btn btn-secondary" onclick="copyInviteLink('${invite.code}')">Copy Link</button>
+          <button class="btn btn-secondary" onclick="revokeInvite(${invite.inviteId})">Revoke</button>
+        </div>` : ''}
+      </div>
+    `).join('');
   } catch (error) {
-    console.error('Error removing session:', error);
-    showMessage('Failed to remove session. Please try again.', true);
+    console.error('Error loading invites:', error);
+    list.innerHTML = '<div class="empty-enrollment">Failed to load invites. Please try again.</div>';
   }
 }
 
+async function createInvite() {
+  const createBtn = document.getElementById('createInviteBtn');
+  const maxUses = document.getElementById('inviteMaxUses').value;
+  const expiresAt = document.getElementById('inviteExpiresAt').value;
+
+  createBtn.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${invitesSessionId}/invites`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        skipApproval: document.getElementById('inviteSkipApproval').checked,
+        ...(maxUses && { maxUses: parseInt(maxUses, 10) }),
+        ...(expiresAt && { expiresAt })
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      document.getElementById('inviteMaxUses').value = '';
+      document.getElementById('inviteExpiresAt').value = '';
+      showMessage(`Invite ${result.data.code} created`, false);
+      loadInvites();
+    } else {
+      showMessage('Failed to create invite: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    showMessage('Failed to create invite. Please try again.', true);
+  } finally {
+    createBtn.disabled = false;
+  }
+}
+
+async function copyInviteLink(code) {
+  const link = getInviteLink(code);
+
+  try {
+    await navigator.clipboard.writeText(link);
+    showMessage('Invite link copied to clipboard', false);
+  } catch (error) {
+    showMessage(`Share this link: ${link}`, false);
+  }
+}
+
+async function revokeInvite(inviteId) {
+  const confirmed = await showConfirm(
+    'Revoke this invite? Nobody new will be able to use it. Students who already joined stay enrolled.',
+    'Revoke Invite'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${invitesSessionId}/invites/${inviteId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showMessage('Invite revoked', false);
+      loadInvites();
+    } else {
+      showMessage('Failed to revoke invite: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    showMessage('Failed to revoke invite. Please try again.', true);
+  }
+}
+
+// Completed and cancelled sessions
+function openArchiveModal() {
+  document.getElementById('archiveModal').style.display = 'flex';
+  loadSessionArchive();
+}
+
+function closeArchiveModal() {
+  document.getElementById('archiveModal').style.display = 'none';
+}
+
+async function loadSessionArchive() {
+  const list = document.getElementById('archiveList');
+  const status = document.getElementById('archiveStatusFilter').value;
+  list.innerHTML = '<div class="loading-state">Loading sessions...</div>';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/tutors/session-archive?status=${status}`, {
+      credentials: 'include'
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      list.innerHTML = `<div class="empty-enrollment">${escapeHtml(result.message || 'Failed to load sessions')}</div>`;
+      return;
+    }
+
+    if (result.data.length === 0) {
+      list.innerHTML = '<div class="empty-enrollment">No past or cancelled sessions yet.</div>';
+      return;
+    }
+
+    list.innerHTML = result.data.map(session => {
+      const isCancelled = session.status === 'cancelled';
+      return `
+      <div class="archive-item">
+        <div class="archive-item-header">
+          <strong>${escapeHtml(session.title || 'Tutoring Session')}</strong>
+          <span class="session-status ${isCancelled ? 'status-cancelled' : 'status-completed'}">${isCancelled ? 'Cancelled' : 'Completed'}</span>
+        </div>
+        <div class="archive-item-meta">
+          ${escapeHtml(session.course_names || '')} · ${formatDateTime(session.start_time)}, ${formatTime(session.start_time)} - ${formatTime(session.end_time)}
+        </div>
+        <div class="archive-item-meta">
+          ${isCancelled
+            ? `${session.enrolled_count} enrolled${session.cancellation_reason ? ` · Reason: ${escapeHtml(session.cancellation_reason)}` : ''}`
+            : `${session.attended_count} of ${session.enrolled_count} enrolled attended`}
+        </div>
+      </div>
+    `}).join('');
+  } catch (error) {
+    console.error('Error loading session archive:', error);
+    list.innerHTML = '<div class="empty-enrollment">Failed to load sessions. Please try again.</div>';
+  }
+}
+
+// Check-in opens 15 minutes before the start and closes at the end (matches the backend)
+function isCheckinOpen(session) {
+  if (session.status === 'active') return true;
+  if (session.status !== 'scheduled') return false;
+
+  const now = new Date();
+  const opensAt = new Date(new Date(session.startTime).getTime() - 15 * 60 * 1000);
+  return now >= opensAt && now <= new Date(session.endTime);
+}
+
+let checkinSessionId = null;
+let checkinRefreshTimer = null;
+let checkinCountdownTimer = null;
+
+// Show the rotating check-in code and QR for a session in progress
+async function openCheckinModal(sessionId) {
+  checkinSessionId = sessionId;
+  document.getElementById('checkinModal').style.display = 'flex';
+  await refreshCheckinCode();
+}
+
+async function refreshCheckinCode() {
+  if (checkinSessionId === null) return;
+
+  clearTimeout(checkinRefreshTimer);
+  clearInterval(checkinCountdownTimer);
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${checkinSessionId}/checkin-code`, {
+      credentials: 'include'
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      showMessage(result.message || 'Failed to load check-in code', true);
+      closeCheckinModal();
+      return;
+    }
+
+    const { code, qrCode, expiresInSeconds, enrolledCount, checkedInCount } = result.data;
+    document.getElementById('checkinQr').src = qrCode;
+    document.getElementById('checkinCode').textContent = code;
+    document.getElementById('checkinProgress').textContent = `${checkedInCount} / ${enrolledCount} students checked in`;
+
+    let remaining = expiresInSeconds;
+    const countdown = document.getElementById('checkinCountdown');
+    countdown.textContent = `New code in ${remaining}s`;
+    checkinCountdownTimer = setInterval(() => {
+      remaining = Math.max(remaining - 1, 0);
+      countdown.textContent = `New code in ${remaining}s`;
+    }, 1000);
+
+    checkinRefreshTimer = setTimeout(refreshCheckinCode, expiresInSeconds * 1000);
+  } catch (error) {
+    console.error('Error loading check-in code:', error);
+    showMessage('Failed to load check-in code. Please try again.', true);
+    closeCheckinModal();
+  }
+}
+
+function closeCheckinModal() {
+  clearTimeout(checkinRefreshTimer);
+  clearInterval(checkinCountdownTimer);
+  checkinSessionId = null;
+  document.getElementById('checkinModal').style.display = 'none';
+}
+
 let currentEnrollmentSessionId = null;
 
 async function viewEnrollments(sessionId) {
@@ -417,9 +868,15 @@ function renderEnrollments(data) {
       <h3>Enrolled Students <span class="enrollment-count">${data.enrolledCount}</span></h3>
   `;
 
+  // Attendance can be marked once the session has started
+  const hasStarted = new Date(data.startTime) <= new Date();
+
   if (data.enrollments.length > 0) {
     html += '<div class="enrollment-list">';
     data.enrollments.forEach(student => {
+      const attendanceLabel = student.attendance_status === 'present'
+        ? (student.checked_in_at ? 'Checked in' : 'Present')
+        : student.attendance_status === 'absent' ? 'No-show' : '';
       const enrolledDate = new Date(student.enrolled_at).toLocaleDateString('en-US', {
         month: 'short',
         day: 'numeric',
@@ -431,8 +888,16 @@ function renderEnrollments(data) {
             <span class="enrollment-name">${escapeHtml(student.student_name)}</span>
             <span class="enrollment-email">${escapeHtml(student.email)}</span>
             <span class="enrollment-date">Enrolled: ${enrolledDate}</span>
+            ${attendanceLabel ? `<span class="attendance-badge ${student.attendance_status}">${attendanceLabel}</span>` : ''}
           </div>
           <div class="enrollment-actions">
+            ${hasStarted ? `
+            <button class="enrollment-btn accept ${student.attendance_status === 'present' ? 'selected' : ''}" onclick="markAttendance(${currentEnrollmentSessionId}, ${student.user_id}, 'present')">
+              Present
+            </button>
+            <button class="enrollment-btn deny ${student.attendance_status === 'absent' ? 'selected' : ''}" onclick="markAttendance(${currentEnrollmentSessionId}, ${student.user_id}, 'absent')">
+              Absent
+            </button>` : ''}
             <button class="enrollment-btn remove" onclick="removeStudent(${currentEnrollmentSessionId}, ${student.user_id}, '${escapeHtml(student.student_name)}')">
               Remove
             </button>
@@ -491,6 +956,31 @@ function closeEnrollmentsModal() {
   currentEnrollmentSessionId = null;
 }
 
+async function markAttendance(sessionId, studentId, status) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}/attendance`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ attendance: [{ studentId, status }] })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      viewEnrollments(sessionId); // Refresh the modal
+      loadTutorDashboard(); // Refresh attendance stats
+    } else {
+      showMessage('Failed to save attendance: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error saving attendance:', error);
+    showMessage('Failed to save attendance. Please try again.', true);
+  }
+}
+
 async function removeStudent(sessionId, studentId, studentName) {
   const confirmed = await showConfirm(
     `Are you sure you want to remove ${studentName} from this session?`,
@@ -520,15 +1010,30 @@ async function removeStudent(sessionId, studentId, studentName) {
   }
 }
 
-async function acceptRequestFromModal(requestId) {
+async function acceptRequestFromModal(requestId, confirmConflicts = false) {
   try {
     const response = await fetch(`${API_BASE_URL}/api/session-requests/${requestId}/accept`, {
       method: 'POST',
-      credentials: 'include'
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ confirmConflicts })
     });
 
     const result = await response.json();
 
+    if (result.requiresConfirmation) {
+      const confirmed = await showConfirm(
+        `${result.message}:\n\n${describeConflicts(result.conflicts)}\n\nAccept anyway?`,
+        'Schedule Conflict'
+      );
+      if (confirmed) {
+        acceptRequestFromModal(requestId, true);
+      }
+      return;
+    }
+
     if (result.success) {
       showMessage(result.message || 'Request accepted!', false);
       if (currentEnrollmentSessionId) {
@@ -832,10 +1337,53 @@ function openCreateSessionModal() {
     if (checkbox) checkbox.checked = false;
   });
 
+  // Reset to create mode
+  editingSessionId = null;
+  document.getElementById('sessionModalTitle').textContent = 'Create New Session';
+  document.getElementById('createSessionBtn').textContent = 'Create Session';
+  document.getElementById('sessionType').disabled = false;
+  document.getElementById('sessionCapacity').disabled = false;
+  document.getElementById('sessionVisibility').disabled = false;
+  document.getElementById('sessionRepeatGroup').style.display = 'block';
+  handleRepeatChange();
+
   // Show modal
   document.getElementById('createSessionModal').style.display = 'flex';
 }
 
+// Open the session modal pre-filled to edit an existing session
+function openEditSessionModal(sessionId) {
+  const session = tutorSessions.find(s => s.sessionId === sessionId);
+  if (!session) return;
+
+  openCreateSessionModal();
+
+  editingSessionId = sessionId;
+  document.getElementById('sessionRepeatGroup').style.display = 'none'; // Repeat only applies when creating
+  document.getElementById('sessionModalTitle').textContent = 'Edit Session';
+  document.getElementById('createSessionBtn').textContent = 'Save Changes';
+
+  // start_time/end_time come back as "YYYY-MM-DD HH:mm:ss"
+  const [startDate, startClock] = session.startTime.split(' ');
+  const endClock = session.endTime.split(' ')[1];
+
+  document.getElementById('sessionTitle').value = session.title;
+  document.getElementById('sessionType').value = session.sessionType;
+  document.getElementById('sessionType').disabled = true; // Type can't change after creation
+  document.getElementById('sessionDate').value = startDate;
+  document.getElementById('sessionStartTime').value = startClock.slice(0, 5);
+  document.getElementById('sessionEndTime').value = endClock.slice(0, 5);
+  document.getElementById('sessionCapacity').value = session.capacity;
+  document.getElementById('sessionCapacity').disabled = session.sessionType === 'one_on_one';
+  document.getElementById('sessionLocation').value = session.locationDetails || '';
+  document.getElementById('sessionVisibility').value = session.visibility;
+
+  session.courseIds.forEach(courseId => {
+    const checkbox = document.getElementById(`course_${courseId}`);
+    if (checkbox) checkbox.checked = true;
+  });
+}
+
 // Close the create session modal
 function closeSessionModal() {
   document.getElementById('createSessionModal').style.display = 'none';
@@ -858,6 +1406,122 @@ function handleSessionTypeChange() {
   }
 }
 
+// Show the weekday/until options only when "Repeat weekly" is checked
+function handleRepeatChange() {
+  const repeat = document.getElementById('sessionRepeat').checked;
+  document.getElementById('sessionRepeatOptions').style.display = repeat ? 'block' : 'none';
+}
+
+// ========== AVAILABILITY FUNCTIONS ==========
+
+const AVAILABILITY_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Add one weekday/start/end row to the availability editor
+function addAvailabilityWindow(window = { weekday: 1, startTime: '09:00', endTime: '12:00' }) {
+  const row = document.createElement('div');
+  row.className = 'availability-window';
+  row.style.display = 'flex';
+  row.style.gap = '0.5rem';
+  row.style.alignItems = 'center';
+  row.style.marginBottom = '0.5rem';
+
+  const options = AVAILABILITY_WEEKDAYS
+    .map((day, index) => `<option value="${index}" ${index === window.weekday ? 'selected' : ''}>${day}</option>`)
+    .join('');
+
+  row.innerHTML = `
+    <select class="availability-weekday">${options}</select>
+    <input type="time" class="availability-start" value="${window.startTime}">
+    <span>to</span>
+    <input type="time" class="availability-end" value="${window.endTime}">
+    <button type="button" class="btn btn-secondary" onclick="this.parentElement.remove()">Remove</button>
+  `;
+
+  document.getElementById('availabilityWindows').appendChild(row);
+}
+
+// Open the availability editor filled with the saved settings
+async function openAvailabilityModal() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/tutors/availability`, {
+      credentials: 'include'
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      showMessage('Failed to load availability: ' + (result.message || 'Unknown error'), true);
+      return;
+    }
+
+    const availability = result.data;
+    document.getElementById('availabilityWindows').innerHTML = '';
+    availability.windows.forEach(window => addAvailabilityWindow(window));
+    document.getElementById('availabilitySlotMinutes').value = availability.slotMinutes;
+    document.getElementById('availabilityBufferMinutes').value = availability.bufferMinutes;
+    document.getElementById('availabilityLocation').value = availability.locationDetails || '';
+    document.getElementById('availabilityBlackouts').value = availability.blackoutDates.join(', ');
+    document.getElementById('availabilityAutoConfirm').checked = availability.autoConfirm;
+
+    document.getElementById('availabilityModal').style.display = 'flex';
+  } catch (error) {
+    console.error('Error loading availability:', error);
+    showMessage('Failed to load availability. Please try again.', true);
+  }
+}
+
+function closeAvailabilityModal() {
+  document.getElementById('availabilityModal').style.display = 'none';
+}
+
+// Save the availability editor
+async function saveAvailability() {
+  const windows = Array.from(document.querySelectorAll('#availabilityWindows .availability-window')).map(row => ({
+    weekday: parseInt(row.querySelector('.availability-weekday').value, 10),
+    startTime: row.querySelector('.availability-start').value,
+    endTime: row.querySelector('.availability-end').value
+  }));
+
+  const blackoutDates = document.getElementById('availabilityBlackouts').value
+    .split(',')
+    .map(date => date.trim())
+    .filter(Boolean);
+
+  const saveBtn = document.getElementById('saveAvailabilityBtn');
+  saveBtn.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/tutors/availability`, {
+      method: 'PUT',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        windows,
+        blackoutDates,
+        slotMinutes: parseInt(document.getElementById('availabilitySlotMinutes').value, 10),
+        bufferMinutes: parseInt(document.getElementById('availabilityBufferMinutes').value, 10) || 0,
+        locationDetails: document.getElementById('availabilityLocation').value,
+        autoConfirm: document.getElementById('availabilityAutoConfirm').checked
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showMessage(result.message || 'Availability saved', false);
+      closeAvailabilityModal();
+    } else {
+      showMessage('Failed to save availability: ' + (result.message || 'Unknown error'), true);
+    }
+  } catch (error) {
+    console.error('Error saving availability:', error);
+    showMessage('Failed to save availability. Please try again.', true);
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
 // Create a new session
 async function createSession() {
   const sessionTitle = document.getElementById('sessionTitle').value;
@@ -917,15 +1581,60 @@ async function createSession() {
     return;
   }
 
+  // Recurrence (create only)
+  const isEditing = editingSessionId !== null;
+  const isSeries = !isEditing && document.getElementById('sessionRepeat').checked;
+  let recurrence = null;
+
+  if (isSeries) {
+    const weekdays = Array.from(document.querySelectorAll('.repeat-day:checked')).map(cb => parseInt(cb.value));
+    const untilDate = document.getElementById('sessionRepeatUntil').value;
+    const excludedDates = document.getElementById('sessionRepeatExclude').value
+      .split(',')
+      .map(date => date.trim())
+      .filter(Boolean);
+
+    if (weekdays.length === 0) {
+      showMessage('Please select at least one day to repeat on.', true);
+      return;
+    }
+
+    if (!untilDate || untilDate < sessionDate) {
+      showMessage('Please choose an end date on or after the first session date.', true);
+      return;
+    }
+
+    recurrence = { weekdays, untilDate, excludedDates };
+  }
+
+  // Series sessions ask which occurrences the edit applies to
+  let scope = 'this';
+  if (isEditing) {
+    const session = tutorSessions.find(s => s.sessionId === editingSessionId);
+    if (session && session.seriesId) {
+      scope = await chooseSeriesScope('Edit Recurring Session');
+      if (!scope) {
+        return;
+      }
+    }
+  }
+
   // Disable button while saving
   const createBtn = document.getElementById('createSessionBtn');
   const originalText = createBtn.textContent;
-  createBtn.textContent = 'Creating...';
+  createBtn.textContent = isEditing ? 'Saving...' : 'Creating...';
   createBtn.disabled = true;
 
   try {
-    const response = await fetch(`${API_BASE_URL}/api/sessions`, {
-      method: 'POST',
+    let url = `${API_BASE_URL}/api/sessions`;
+    if (isEditing) {
+      url += `/${editingSessionId}?scope=${scope}`;
+    } else if (isSeries) {
+      url += '/series';
+    }
+
+    const response = await fetch(url, {
+      method: isEditing ? 'PATCH' : 'POST',
       credentials: 'include',
       headers: {
         'Content-Type': 'application/json'
@@ -937,22 +1646,28 @@ async function createSession() {
         startTime: startDateTime,
         endTime: endDateTime,
         capacity: parseInt(capacity),
-        locationDetails: location.trim()
+        locationDetails: location.trim(),
+        visibility: document.getElementById('sessionVisibility').value,
+        ...(recurrence && { recurrence })
       })
     });
 
     const result = await response.json();
 
     if (result.success) {
-      showMessage('Session created successfully!', false);
+      showMessage(isEditing || isSeries ? result.message : 'Session created successfully!', false);
       closeSessionModal();
       loadTutorDashboard(); // Refresh the dashboard to show new session
     } else {
-      showMessage('Failed to create session: ' + (result.message || 'Unknown error'), true);
+      let message = `Failed to ${isEditing ? 'update' : 'create'} session: ` + (result.message || 'Unknown error');
+      if (result.conflicts?.length) {
+        message += '\n' + describeConflicts(result.conflicts);
+      }
+      showMessage(message, true);
     }
   } catch (error) {
-    console.error('Error creating session:', error);
-    showMessage('Failed to create session. Please try again.', true);
+    console.error(`Error ${isEditing ? 'updating' : 'creating'} session:`, error);
+    showMessage(`Failed to ${isEditing ? 'update' : 'create'} session. Please try again.`, true);
   } finally {
     createBtn.textContent = originalText;
     createBtn.disabled = false;